@@ -93,6 +93,9 @@ describe("InfluxDB MCP Server Direct Handler Tests", () => {
       INFLUXDB_URL: `http://localhost:${INFLUXDB_PORT}`,
       INFLUXDB_TOKEN: INFLUXDB_ADMIN_TOKEN,
       DEFAULT_ORG: INFLUXDB_ORG,
+      INFLUXDB_BACKEND: "v2",
+      MAX_QUERY_ROWS: 1000,
+      MAX_QUERY_BYTES: 100000,
       validateEnvironment: () => {
         console.log("Mock validateEnvironment called with overridden env vars");
       },
@@ -0,0 +1,204 @@
+import { influxRequest } from "../utils/influxClient.js";
+import { flattenRows, parseAnnotatedCsv } from "../utils/annotatedCsv.js";
+import { fetchFluxAst } from "../utils/fluxAst.js";
+import { influxqlToTables, resolveDbrp, runInfluxQL } from "../utils/influxql.js";
+import { listAllBuckets } from "../utils/buckets.js";
+import { resolveOrg, resolveOrgID } from "../utils/orgs.js";
+import {
+  assertBucketAllowed,
+  assertBucketIDAllowed,
+  assertFluxAllowed,
+  assertInfluxQLAllowed,
+  assertOrgAllowed,
+  filterBuckets,
+  policyActive,
+} from "../utils/policy.js";
+import {
+  assertReadOnlyFlux,
+  assertReadOnlyInfluxQL,
+  isReadOnly,
+} from "../utils/readOnly.js";
+
+// Backend for InfluxDB 2 (OSS and Cloud): Flux over /api/v2/query, schema
+// discovery through the Flux schema package and InfluxQL through DBRP
+// mappings
+
+// Columns that schema.measurementTagKeys() reports but that are not user tags
+const INTERNAL_TAG_KEYS = ["_start", "_stop", "_measurement", "_field"];
+
+// Annotated CSV #datatype values mapped to InfluxDB field types
+const FIELD_TYPES = {
+  double: "float",
+  long: "integer",
+  unsignedLong: "uinteger",
+  string: "string",
+  boolean: "boolean",
+};
+
+// How far back field types are sampled, matching the schema package default
+const FIELD_TYPE_LOOKBACK = "-30d";
+
+// Run Flux within an org given by name or ID, or INFLUXDB_ORG when omitted
+async function runFlux(org, query, params, timeoutMs = 5000) {
+  const resolved = await resolveOrg(org);
+  assertOrgAllowed(resolved);
+  const response = await influxRequest(
+    "/api/v2/query?orgID=" + encodeURIComponent(resolved.id),
+    {
+      method: "POST",
+      body: JSON.stringify({ query, type: "flux", params }),
+    },
+    timeoutMs,
+  );
+  console.log("Flux API response received, status:", response.status);
+  return response.text();
+}
+
+// Run a schema.* Flux query and return the trimmed, non-empty values of its
+// _value column. Resource parameters are passed as Flux params rather than
+// spliced into the query text.
+async function querySchemaValues(org, fluxQuery, params) {
+  assertBucketAllowed(params.bucket);
+  console.log(`Making InfluxDB API request for schema values...`);
+  const responseText = await runFlux(
+    org,
+    `import "influxdata/influxdb/schema"
+
+${fluxQuery}`,
+    params,
+  );
+
+  console.log("Parsing CSV response...");
+  const { tables } = parseAnnotatedCsv(responseText);
+  const rows = flattenRows(tables);
+  console.log(`Found ${rows.length} data rows in ${tables.length} tables`);
+
+  return rows
+    .map((row) => row._value)
+    .filter((value) => value !== undefined && value !== null)
+    .map((value) => String(value).trim())
+    .filter((v) => v !== "");
+}
+
+// Pair the _field of every row with the #datatype of the _value column in its
+// table. Fields of different types always land in different tables.
+function parseFieldTypes(responseText) {
+  const fieldTypes = new Map();
+
+  for (const table of parseAnnotatedCsv(responseText).tables) {
+    const valueColumn = table.columns.find((column) => column.name === "_value");
+    if (!valueColumn) {
+      continue;
+    }
+
+    const type = FIELD_TYPES[valueColumn.datatype] || valueColumn.datatype;
+    for (const row of table.rows) {
+      const field = String(row._field ?? "").trim();
+      if (field === "") {
+        continue;
+      }
+      if (!fieldTypes.has(field)) {
+        fieldTypes.set(field, new Set());
+      }
+      fieldTypes.get(field).add(type);
+    }
+  }
+
+  return Array.from(fieldTypes.entries()).map(([name, types]) => {
+    const [type, ...others] = Array.from(types);
+    // The same field can be written with different types in different shards
+    return others.length === 0
+      ? { name, type }
+      : { name, type, conflictingTypes: [type, ...others] };
+  });
+}
+
+export const fluxBackend = {
+  name: "v2",
+  language: "flux",
+
+  // Run a Flux query within an org. Read-only mode and the access policy
+  // both check the server's parse of the query before it runs. Queries that
+  // write with to() can pass a longer timeoutMs.
+  async query({ org, query, params, timeoutMs }) {
+    if (isReadOnly() || policyActive()) {
+      const ast = await fetchFluxAst(query);
+      assertReadOnlyFlux(ast);
+      await assertFluxAllowed(ast, params);
+    }
+    const responseText = await runFlux(org, query, params, timeoutMs);
+
+    // Flux can fail part-way through a 200 response; parsing surfaces the
+    // error table instead of handing it back as if it were data
+    const { tables } = parseAnnotatedCsv(responseText);
+    return { tables, responseText };
+  },
+
+  // Run an InfluxQL query against the bucket mapped to db/rp
+  async influxql({ org, db, rp, query }) {
+    assertReadOnlyInfluxQL(query);
+    assertInfluxQLAllowed(query);
+    const resolved = await resolveOrg(org);
+    assertOrgAllowed(resolved);
+    const target = await resolveDbrp(resolved, db, rp);
+    await assertBucketIDAllowed(target.bucketID);
+    return {
+      tables: influxqlToTables(await runInfluxQL({ ...target, query })),
+      target,
+    };
+  },
+
+  // Buckets visible under the access policy, of one org given by name or ID
+  // or of every org the token can see
+  async buckets({ org, prefix, system }) {
+    return filterBuckets(await listAllBuckets({
+      prefix,
+      system,
+      orgID: org === undefined ? undefined : await resolveOrgID(org),
+    }));
+  },
+
+  measurements({ org, bucket }) {
+    return querySchemaValues(
+      org,
+      "schema.measurements(bucket: params.bucket)",
+      { bucket },
+    );
+  },
+
+  async tagKeys({ org, bucket, measurement }) {
+    const keys = await querySchemaValues(
+      org,
+      "schema.measurementTagKeys(bucket: params.bucket, measurement: params.measurement)",
+      { bucket, measurement },
+    );
+    return keys.filter((key) => !INTERNAL_TAG_KEYS.includes(key));
+  },
+
+  tagValues({ org, bucket, measurement, tag }) {
+    return querySchemaValues(
+      org,
+      "schema.measurementTagValues(bucket: params.bucket, measurement: params.measurement, tag: params.tag)",
+      { bucket, measurement, tag },
+    );
+  },
+
+  // Sample the latest point of every series so each field's _value column is
+  // reported with its annotated datatype. Series keep their group key: with
+  // only _field left in it, series of one field written with different
+  // types would be merged into one table and fail with a schema collision.
+  async fieldKeys({ org, bucket, measurement }) {
+    assertBucketAllowed(bucket);
+    console.log(`Making InfluxDB API request for field types...`);
+    const responseText = await runFlux(
+      org,
+      `from(bucket: params.bucket)
+  |> range(start: ${FIELD_TYPE_LOOKBACK})
+  |> filter(fn: (r) => r._measurement == params.measurement)
+  |> last()
+  |> drop(columns: ["_start", "_stop", "_time"])`,
+      { bucket, measurement },
+    );
+    return parseFieldTypes(responseText);
+  },
+};
@@ -0,0 +1,16 @@
+import { INFLUXDB_BACKEND } from "../config/env.js";
+import { fluxBackend } from "./fluxBackend.js";
+import { sqlBackend } from "./sqlBackend.js";
+
+// Query backends by INFLUXDB_BACKEND value. Each one runs queries and schema
+// lookups for one generation of the InfluxDB API behind the same interface:
+// query, influxql, buckets, measurements, tagKeys, tagValues and fieldKeys.
+const BACKENDS = {
+  v2: fluxBackend,
+  v3: sqlBackend,
+};
+
+// Backend for the configured InfluxDB connection
+export function getBackend() {
+  return BACKENDS[INFLUXDB_BACKEND];
+}
@@ -0,0 +1,173 @@
+import { influxRequest } from "../utils/influxClient.js";
+import {
+  inferDatatype,
+  influxqlToTables,
+  runInfluxQL,
+} from "../utils/influxql.js";
+import {
+  assertBucketAllowed,
+  assertInfluxQLAllowed,
+  bucketAllowed,
+} from "../utils/policy.js";
+import { assertReadOnlyInfluxQL } from "../utils/readOnly.js";
+
+// Backend for InfluxDB 3: SQL over /api/v3/query_sql, schema discovery
+// through information_schema and InfluxQL through the v1-compatible /query
+// endpoint. InfluxDB 3 has databases instead of orgs and buckets; the bucket
+// name used by resources and tools is the database name.
+
+// information_schema data types mapped to InfluxDB field types
+const FIELD_TYPES = {
+  Float64: "float",
+  Int64: "integer",
+  UInt64: "uinteger",
+  Utf8: "string",
+  Boolean: "boolean",
+};
+
+// How far back tag values are looked up, matching the Flux backend
+const TAG_VALUE_LOOKBACK = "30 days";
+
+// Quote a SQL identifier such as a table or column name
+function quoteIdentifier(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+async function runSql(database, query, params) {
+  if (!database) {
+    throw new Error("database is required for SQL queries");
+  }
+  // Databases stand in for buckets in the access policy
+  assertBucketAllowed(database);
+
+  const response = await influxRequest("/api/v3/query_sql", {
+    method: "POST",
+    body: JSON.stringify({ db: database, q: query, format: "json", params }),
+  });
+  console.log("SQL API response received, status:", response.status);
+  return response.json();
+}
+
+// Present JSON rows as a single ungrouped table. Rows omit null columns, so
+// columns are collected across every row.
+function rowsToTables(rows) {
+  if (rows.length === 0) {
+    return [];
+  }
+
+  const names = [];
+  for (const row of rows) {
+    for (const name of Object.keys(row)) {
+      if (!names.includes(name)) {
+        names.push(name);
+      }
+    }
+  }
+
+  return [{
+    result: "_result",
+    table: 0,
+    columns: names.map((name) => ({
+      name,
+      datatype: inferDatatype(name, rows.map((row) => row[name])),
+      group: false,
+    })),
+    groupKey: {},
+    rows: rows.map((row) =>
+      Object.fromEntries(names.map((name) => [name, row[name] ?? null]))
+    ),
+  }];
+}
+
+async function measurementColumns(bucket, measurement) {
+  return runSql(
+    bucket,
+    `SELECT column_name, data_type FROM information_schema.columns
+WHERE table_schema = 'iox' AND table_name = $measurement`,
+    { measurement },
+  );
+}
+
+export const sqlBackend = {
+  name: "v3",
+  language: "sql",
+
+  // Run a SQL query against a database; params fill $name placeholders.
+  // query_sql only reads, so read-only mode needs no check here.
+  async query({ database, query, params }) {
+    return { tables: rowsToTables(await runSql(database, query, params)) };
+  },
+
+  // Run an InfluxQL query; InfluxDB 3 addresses databases directly
+  async influxql({ db, rp, query }) {
+    assertReadOnlyInfluxQL(query);
+    assertInfluxQLAllowed(query);
+    assertBucketAllowed(db);
+    return {
+      tables: influxqlToTables(await runInfluxQL({ db, rp, query })),
+      target: { db, rp },
+    };
+  },
+
+  // Databases visible under the access policy, listed as buckets. Names
+  // starting with an underscore, such as _internal, are system databases.
+  async buckets({ org, prefix, system }) {
+    if (org !== undefined) {
+      throw new Error("InfluxDB 3 has no orgs; leave out the org filter");
+    }
+    const response = await influxRequest(
+      "/api/v3/configure/database?format=json",
+      {},
+      5000,
+    );
+    return (await response.json())
+      .map((row) => row["iox::database"])
+      .filter((name) =>
+        (!prefix || name.startsWith(prefix)) &&
+        (system || !name.startsWith("_")) &&
+        bucketAllowed(name)
+      )
+      .map((name) => ({ name }));
+  },
+
+  async measurements({ bucket }) {
+    const rows = await runSql(
+      bucket,
+      "SELECT table_name FROM information_schema.tables WHERE table_schema = 'iox' ORDER BY table_name",
+    );
+    return rows.map((row) => row.table_name);
+  },
+
+  // Tags are stored as dictionary-encoded string columns
+  async tagKeys({ bucket, measurement }) {
+    const columns = await measurementColumns(bucket, measurement);
+    return columns
+      .filter((column) => column.data_type.startsWith("Dictionary("))
+      .map((column) => column.column_name);
+  },
+
+  async tagValues({ bucket, measurement, tag }) {
+    const column = quoteIdentifier(tag);
+    const rows = await runSql(
+      bucket,
+      `SELECT DISTINCT ${column} AS value FROM ${quoteIdentifier(measurement)}
+WHERE time > now() - INTERVAL '${TAG_VALUE_LOOKBACK}' AND ${column} IS NOT NULL
+ORDER BY value`,
+    );
+    return rows.map((row) => String(row.value));
+  },
+
+  // Every column that is neither a tag nor the time column is a field
+  async fieldKeys({ bucket, measurement }) {
+    const columns = await measurementColumns(bucket, measurement);
+    return columns
+      .filter((column) =>
+        column.column_name !== "time" &&
+        !column.data_type.startsWith("Dictionary(")
+      )
+      .map((column) => ({
+        name: column.column_name,
+        type: FIELD_TYPES[column.data_type] || column.data_type,
+      }));
+  },
+};
@@ -3,10 +3,56 @@ export const INFLUXDB_URL = process.env.INFLUXDB_URL || "http://localhost:8086";
 export const INFLUXDB_TOKEN = process.env.INFLUXDB_TOKEN;
 export const DEFAULT_ORG = process.env.INFLUXDB_ORG;
 
+// Which InfluxDB API the server talks to: "v2" (Flux) or "v3" (SQL)
+export const INFLUXDB_BACKEND = process.env.INFLUXDB_BACKEND || "v2";
+
+// Caps on how much of a query result is returned in a single response
+export const MAX_QUERY_ROWS = Number(process.env.INFLUXDB_MAX_ROWS || 1000);
+export const MAX_QUERY_BYTES = Number(process.env.INFLUXDB_MAX_BYTES || 100000);
+
+// Reject writes and mutating tools; --read-only switches this on as well
+export const READ_ONLY = ["true", "1", "yes"].includes(
+  (process.env.INFLUXDB_READ_ONLY || "").toLowerCase(),
+);
+
+// Comma-separated lists of org and bucket names (orgs also by ID) the server
+// may use; * matches any characters
+function nameList(value) {
+  return (value || "")
+    .split(",")
+    .map((name) => name.trim())
+    .filter((name) => name !== "");
+}
+
+export const ACCESS_POLICY = {
+  allowedOrgs: nameList(process.env.INFLUXDB_ALLOWED_ORGS),
+  deniedOrgs: nameList(process.env.INFLUXDB_DENIED_ORGS),
+  allowedBuckets: nameList(process.env.INFLUXDB_ALLOWED_BUCKETS),
+  deniedBuckets: nameList(process.env.INFLUXDB_DENIED_BUCKETS),
+};
+
+// Tools that ask the user to confirm before they run ("*" for all of them)
+export const CONFIRM_TOOLS = nameList(process.env.INFLUXDB_CONFIRM_TOOLS);
+
 // Check required environment variables
 export function validateEnvironment() {
   if (!INFLUXDB_TOKEN) {
     console.error("Error: INFLUXDB_TOKEN environment variable is required");
     process.exit(1);
   }
+
+  if (!["v2", "v3"].includes(INFLUXDB_BACKEND)) {
+    console.error("Error: INFLUXDB_BACKEND must be either v2 or v3");
+    process.exit(1);
+  }
+
+  for (const [name, value] of [
+    ["INFLUXDB_MAX_ROWS", MAX_QUERY_ROWS],
+    ["INFLUXDB_MAX_BYTES", MAX_QUERY_BYTES],
+  ]) {
+    if (!Number.isInteger(value) || value <= 0) {
+      console.error(`Error: ${name} must be a positive integer`);
+      process.exit(1);
+    }
+  }
 }
@@ -1,5 +1,19 @@
-import { influxRequest } from "../utils/influxClient.js";
+import { getBackend } from "../backends/index.js";
 import { INFLUXDB_TOKEN, INFLUXDB_URL } from "../config/env.js";
+import { describeBucket, listAllBuckets } from "../utils/buckets.js";
+import { resolveOrgID } from "../utils/orgs.js";
+import { filterBuckets } from "../utils/policy.js";
+
+// Filters accepted as query parameters on influxdb://buckets
+function bucketFilters(uri) {
+  const params = uri.searchParams;
+  const system = params.get("system");
+  return {
+    org: params.get("org") || undefined,
+    prefix: params.get("prefix") || undefined,
+    system: system === null || !["false", "0", "no"].includes(system),
+  };
+}
 
 // Resource: List Buckets
 export async function listBuckets(uri) {
@@ -10,29 +24,13 @@ export async function listBuckets(uri) {
     console.log(`INFLUXDB_URL: ${INFLUXDB_URL}`);
     console.log(`INFLUXDB_TOKEN set: ${INFLUXDB_TOKEN ? "Yes" : "No"}`);
 
-    console.log("Making request to InfluxDB API for buckets...");
-    // Our influxRequest function already has built-in timeout
-    const response = await influxRequest("/api/v2/buckets", {}, 5000);
+    const { org, ...filters } = bucketFilters(uri);
     console.log(
-      "Buckets API response received, status:",
-      response.status,
+      `Making request to InfluxDB API for buckets with filters: ${JSON.stringify({ org, ...filters })}`,
     );
-
-    // Also add timeout for JSON parsing
-    console.log("Parsing response body for buckets...");
-    const data = await response.json();
-    console.log(`Found ${data.buckets?.length || 0} buckets`);
-
-    // If we have no buckets, return an empty array as stringified JSON in text field
-    if (!data.buckets || data.buckets.length === 0) {
-      console.log("No buckets found, returning empty list as JSON");
-      return {
-        contents: [{
-          uri: uri.href,
-          text: JSON.stringify({ buckets: [] }),
-        }],
-      };
-    }
+    // Buckets outside the access policy are left out
+    const buckets = await getBackend().buckets({ org, ...filters });
+    console.log(`Found ${buckets.length} buckets`);
 
     // Return the buckets data as stringified JSON in text field
     console.log("Returning bucket data as JSON...");
@@ -41,7 +39,7 @@ export async function listBuckets(uri) {
     const result = {
       contents: [{
         uri: uri.href,
-        text: JSON.stringify(data),
+        text: JSON.stringify({ buckets }),
       }],
     };
 
@@ -63,3 +61,47 @@ export async function listBuckets(uri) {
     };
   }
 }
+
+// Resource: Bucket details
+export async function bucketDetails(uri, { orgName, bucketName }) {
+  const bucket = decodeURIComponent(bucketName);
+  console.log(`=== BUCKET DETAILS RESOURCE CALLED for ${bucket} ===`);
+
+  try {
+    // Org-scoped URIs narrow the lookup to one org
+    const orgID = orgName === undefined
+      ? undefined
+      : await resolveOrgID(decodeURIComponent(orgName));
+    // Buckets outside the access policy are reported as not found
+    const matches = await filterBuckets(
+      await listAllBuckets({ orgID, name: bucket }),
+    );
+    if (matches.length === 0) {
+      throw new Error(`bucket '${bucket}' not found`);
+    }
+    if (matches.length > 1) {
+      throw new Error(
+        `bucket name '${bucket}' exists in several orgs (${matches.map((match) => match.orgID).join(", ")}); use influxdb://org/{orgName}/bucket/${bucketName} instead`,
+      );
+    }
+
+    console.log(`=== BUCKET DETAILS RESOURCE COMPLETED ===`);
+    return {
+      contents: [{
+        uri: uri.href,
+        text: JSON.stringify(describeBucket(matches[0])),
+      }],
+    };
+  } catch (error) {
+    console.error(`=== BUCKET DETAILS RESOURCE ERROR: ${error.message} ===`);
+    return {
+      contents: [{
+        uri: uri.href,
+        text: JSON.stringify({
+          error: `Error retrieving bucket: ${error.message}`,
+        }),
+      }],
+      error: true,
+    };
+  }
+}
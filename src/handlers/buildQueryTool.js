@@ -0,0 +1,55 @@
+import { getBackend } from "../backends/index.js";
+import { buildFluxQuery } from "../utils/fluxBuilder.js";
+import { queryResultContent } from "../utils/queryResponse.js";
+
+// Tool: Build a Flux query from structured inputs, optionally running it
+export async function buildQuery({
+  org,
+  execute,
+  format,
+  maxRows,
+  ...spec
+}) {
+  console.log(`=== BUILD-QUERY TOOL CALLED ===`);
+
+  let query;
+  try {
+    query = buildFluxQuery(spec);
+  } catch (error) {
+    console.error(`=== BUILD-QUERY TOOL ERROR: ${error.message} ===`);
+    return {
+      content: [{
+        type: "text",
+        text: `Error building query: ${error.message}`,
+      }],
+      isError: true,
+    };
+  }
+
+  if (!execute) {
+    console.log(`=== BUILD-QUERY TOOL COMPLETED ===`);
+    return {
+      content: [{ type: "text", text: query }],
+    };
+  }
+
+  try {
+    const result = await getBackend().query({ org, query });
+    console.log(`=== BUILD-QUERY TOOL COMPLETED: query executed ===`);
+    return {
+      content: [
+        { type: "text", text: query },
+        ...queryResultContent(result, { format: format || "csv", maxRows }),
+      ],
+    };
+  } catch (error) {
+    console.error(`=== BUILD-QUERY TOOL ERROR: ${error.message} ===`);
+    return {
+      content: [
+        { type: "text", text: query },
+        { type: "text", text: `Error executing query: ${error.message}` },
+      ],
+      isError: true,
+    };
+  }
+}
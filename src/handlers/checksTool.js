@@ -0,0 +1,156 @@
+import {
+  buildCheck,
+  CHECK_QUERY_SETTINGS,
+  checkSettings,
+  describeCheck,
+  describeThreshold,
+} from "../utils/checks.js";
+import { errorResult } from "../utils/errors.js";
+import { influxRequest } from "../utils/influxClient.js";
+import {
+  definedSettings,
+  listMonitoring,
+  monitoringPath,
+  resolveMonitoring,
+} from "../utils/monitoring.js";
+import { resolveOrg } from "../utils/orgs.js";
+import { assertBucketAllowed, assertOrgAllowed } from "../utils/policy.js";
+
+// When a check reports what, e.g. "CRIT when > 90" or "CRIT when no data
+// for 90s"
+function checkConditions(settings) {
+  return settings.type === "threshold"
+    ? settings.thresholds.map(describeThreshold).join("; ")
+    : `${settings.level || "CRIT"} when no data for ${settings.timeSince}`;
+}
+
+// Tool: List checks
+export async function listChecks({ org }) {
+  console.log(`=== LIST-CHECKS TOOL CALLED ===`);
+
+  try {
+    const owner = await resolveOrg(org);
+    assertOrgAllowed(owner);
+
+    const checks = (await listMonitoring("check", owner.id)).map(describeCheck);
+
+    console.log(`=== LIST-CHECKS TOOL COMPLETED: ${checks.length} checks ===`);
+    return {
+      content: [{
+        type: "text",
+        text: JSON.stringify({ org: owner, checks }),
+      }],
+    };
+  } catch (error) {
+    console.error(`=== LIST-CHECKS TOOL ERROR: ${error.message} ===`);
+    return errorResult("listing checks", error);
+  }
+}
+
+// Tool: Create a threshold or deadman check
+export async function createCheck({ org, ...settings }, { confirm } = {}) {
+  console.log(`=== CREATE-CHECK TOOL CALLED ===`);
+  console.log(`Creating ${settings.type} check: ${settings.name}, org: ${org}`);
+
+  try {
+    const owner = await resolveOrg(org);
+    assertOrgAllowed(owner);
+    const body = buildCheck(owner.id, settings);
+    assertBucketAllowed(settings.bucket);
+
+    await confirm?.(
+      `Create ${body.type} check '${body.name}' in organization '${owner.name}', running every ${body.every}: ${checkConditions(settings)}.\n\n${body.query.text}`,
+    );
+
+    const response = await influxRequest("/api/v2/checks", {
+      method: "POST",
+      body: JSON.stringify(body),
+    });
+    const check = describeCheck(await response.json());
+
+    console.log(`=== CREATE-CHECK TOOL COMPLETED SUCCESSFULLY ===`);
+    return {
+      content: [{
+        type: "text",
+        text: JSON.stringify(check),
+      }],
+    };
+  } catch (error) {
+    console.error(`=== CREATE-CHECK TOOL ERROR: ${error.message} ===`);
+    return errorResult("creating check", error);
+  }
+}
+
+// Tool: Update a check. Settings that are left out keep their values; the
+// query is rebuilt when one of the settings it is built from changes.
+export async function updateCheck({ org, check, ...changes }, { confirm } = {}) {
+  console.log(`=== UPDATE-CHECK TOOL CALLED ===`);
+  console.log(`Updating check: ${check}, org: ${org}`);
+
+  try {
+    const current = await resolveMonitoring("check", org, check);
+    const update = definedSettings(changes);
+    if (Object.keys(update).length === 0) {
+      throw new Error(`nothing to change for check '${current.name}'`);
+    }
+
+    const settings = { ...checkSettings(current), ...update };
+    if (CHECK_QUERY_SETTINGS.some((key) => key in update)) {
+      if (!current.query?.builderConfig) {
+        throw new Error(
+          `check '${current.name}' has a hand-written query, so its ${CHECK_QUERY_SETTINGS.slice(0, -1).join(", ")} and ${CHECK_QUERY_SETTINGS.at(-1)} cannot be changed here`,
+        );
+      }
+      assertBucketAllowed(settings.bucket);
+      delete settings.query;
+    }
+    const body = buildCheck(current.orgID, settings);
+
+    await confirm?.(
+      `Update check '${current.name}' (${current.id}): ${Object.keys(update).join(", ")}. It will report ${checkConditions(settings)}, every ${body.every}.`,
+    );
+
+    const response = await influxRequest(monitoringPath("check", current.id), {
+      method: "PUT",
+      body: JSON.stringify(body),
+    });
+    const updated = describeCheck(await response.json());
+
+    console.log(`=== UPDATE-CHECK TOOL COMPLETED SUCCESSFULLY ===`);
+    return {
+      content: [{
+        type: "text",
+        text: JSON.stringify(updated),
+      }],
+    };
+  } catch (error) {
+    console.error(`=== UPDATE-CHECK TOOL ERROR: ${error.message} ===`);
+    return errorResult("updating check", error);
+  }
+}
+
+// Tool: Delete a check
+export async function deleteCheck({ org, check }, { confirm } = {}) {
+  console.log(`=== DELETE-CHECK TOOL CALLED ===`);
+  console.log(`Deleting check: ${check}`);
+
+  try {
+    const current = await resolveMonitoring("check", org, check);
+    await confirm?.(
+      `Delete ${current.type} check '${current.name}' (${current.id}). Statuses it already wrote stay in _monitoring.`,
+    );
+
+    await influxRequest(monitoringPath("check", current.id), { method: "DELETE" });
+
+    console.log(`=== DELETE-CHECK TOOL COMPLETED SUCCESSFULLY ===`);
+    return {
+      content: [{
+        type: "text",
+        text: `Check '${current.name}' (${current.id}) deleted successfully`,
+      }],
+    };
+  } catch (error) {
+    console.error(`=== DELETE-CHECK TOOL ERROR: ${error.message} ===`);
+    return errorResult("deleting check", error);
+  }
+}
@@ -1,51 +1,64 @@
-import fetch from "node-fetch";
-import { INFLUXDB_TOKEN, INFLUXDB_URL } from "../config/env.js";
+import { createAuthorization } from "../utils/authorizations.js";
+import { createBucketRecord, formatRetention } from "../utils/buckets.js";
+import { resolveOrg } from "../utils/orgs.js";
+import { assertBucketAllowed, assertOrgAllowed } from "../utils/policy.js";
 
 // Tool: Create Bucket
-export async function createBucket({ name, orgID, retentionPeriodSeconds }) {
+export async function createBucket(
+  { name, org, orgID, retentionPeriodSeconds, createWriteToken },
+  { confirm } = {},
+) {
   console.log(`=== CREATE-BUCKET TOOL CALLED ===`);
-  console.log(`Creating bucket: ${name}, orgID: ${orgID}`);
+  console.log(`Creating bucket: ${name}, org: ${org || orgID}`);
 
   try {
-    const bucketData = {
+    // orgID is the original parameter name; both take a name or an ID
+    const owner = await resolveOrg(org || orgID);
+    assertOrgAllowed(owner);
+    assertBucketAllowed(name);
+    await confirm?.(
+      `Create bucket '${name}' in org '${owner.name}' (${owner.id}) with ${formatRetention(retentionPeriodSeconds)} retention${createWriteToken ? ", and a write-only token for it" : ""}.`,
+    );
+    const bucketResponse = await createBucketRecord(
+      owner,
       name,
-      orgID,
-      retentionRules: retentionPeriodSeconds
-        ? [
-          { type: "expire", everySeconds: retentionPeriodSeconds },
-        ]
-        : undefined,
-    };
-
-    console.log(`Creating bucket with data: ${JSON.stringify(bucketData)}`);
+      retentionPeriodSeconds,
+    );
 
-    // Use fetch directly instead of our wrapper
-    const response = await fetch(`${INFLUXDB_URL}/api/v2/buckets`, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        "Authorization": `Token ${INFLUXDB_TOKEN}`,
-      },
-      body: JSON.stringify(bucketData),
-    });
+    let text =
+      `Bucket created successfully:\nID: ${bucketResponse.id}\nName: ${bucketResponse.name}\nOrganization ID: ${bucketResponse.orgID}`;
 
-    console.log(`Create bucket response status: ${response.status}`);
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(
-        `Failed to create bucket: ${response.status} ${errorText}`,
-      );
+    if (createWriteToken) {
+      try {
+        const token = await createAuthorization(
+          owner,
+          `Write token for bucket ${bucketResponse.name}`,
+          [{
+            action: "write",
+            resource: { type: "buckets", id: bucketResponse.id, orgID: owner.id },
+          }],
+        );
+        text +=
+          `\n\nWrite-only token created:\nID: ${token.id}\nToken: ${token.token}\n\nStore the token now; it is not shown again.`;
+      } catch (error) {
+        // The bucket exists either way, so say so rather than report a
+        // failed create-bucket
+        console.error(`=== CREATE-BUCKET TOOL ERROR: ${error.message} ===`);
+        return {
+          content: [{
+            type: "text",
+            text: `${text}\n\nError creating write token: ${error.message}`,
+          }],
+          isError: true,
+        };
+      }
     }
 
-    const bucketResponse = await response.json();
-
     console.log(`=== CREATE-BUCKET TOOL COMPLETED SUCCESSFULLY ===`);
     return {
       content: [{
         type: "text",
-        text:
-          `Bucket created successfully:\nID: ${bucketResponse.id}\nName: ${bucketResponse.name}\nOrganization ID: ${bucketResponse.orgID}`,
+        text,
       }],
     };
   } catch (error) {
@@ -1,8 +1,14 @@
 import { influxRequest } from "../utils/influxClient.js";
+import { assertOrgAllowed } from "../utils/policy.js";
 
 // Tool: Create Organization
-export async function createOrg({ name, description }) {
+export async function createOrg({ name, description }, { confirm } = {}) {
   try {
+    // A new org has no ID yet, so only its name is checked
+    assertOrgAllowed({ name });
+    await confirm?.(
+      `Create organization '${name}'${description ? ` (${description})` : ""}.`,
+    );
     const orgData = {
       name,
       description,
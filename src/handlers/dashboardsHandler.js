@@ -0,0 +1,54 @@
+import {
+  describeDashboard,
+  fetchDashboard,
+  listAllDashboards,
+} from "../utils/dashboards.js";
+import { errorContents } from "../utils/errors.js";
+import { resolveOrg } from "../utils/orgs.js";
+import { assertOrgAllowed } from "../utils/policy.js";
+
+// Resource: Dashboards of an org with their cell counts
+export async function listDashboards(uri, { orgName }) {
+  const org = orgName === undefined ? undefined : decodeURIComponent(orgName);
+  console.log(`=== DASHBOARDS RESOURCE CALLED for ${org || "default org"} ===`);
+
+  try {
+    const owner = await resolveOrg(org);
+    assertOrgAllowed(owner);
+    const dashboards = (await listAllDashboards(owner.id))
+      .map((dashboard) => describeDashboard(dashboard, { cells: false }));
+
+    console.log(`=== DASHBOARDS RESOURCE COMPLETED: ${dashboards.length} dashboards ===`);
+    return {
+      contents: [{
+        uri: uri.href,
+        text: JSON.stringify({ org: owner, dashboards }),
+      }],
+    };
+  } catch (error) {
+    console.error(`=== DASHBOARDS RESOURCE ERROR: ${error.message} ===`);
+    return errorContents(uri, `Error retrieving dashboards: ${error.message}`);
+  }
+}
+
+// Resource: A dashboard with its cells and their Flux queries
+export async function dashboardDetails(uri, { dashboardID }) {
+  const id = decodeURIComponent(dashboardID);
+  console.log(`=== DASHBOARD DETAILS RESOURCE CALLED for ${id} ===`);
+
+  try {
+    const dashboard = await fetchDashboard(id);
+    assertOrgAllowed(await resolveOrg(dashboard.orgID));
+
+    console.log(`=== DASHBOARD DETAILS RESOURCE COMPLETED ===`);
+    return {
+      contents: [{
+        uri: uri.href,
+        text: JSON.stringify(describeDashboard(dashboard)),
+      }],
+    };
+  } catch (error) {
+    console.error(`=== DASHBOARD DETAILS RESOURCE ERROR: ${error.message} ===`);
+    return errorContents(uri, `Error retrieving dashboard: ${error.message}`);
+  }
+}
@@ -0,0 +1,135 @@
+import {
+  describeCell,
+  describeDashboard,
+  findDashboard,
+  listAllDashboards,
+  nextCellPosition,
+  viewProperties,
+  withDashboardTimeRange,
+} from "../utils/dashboards.js";
+import { errorResult } from "../utils/errors.js";
+import { influxRequest } from "../utils/influxClient.js";
+import { fetchFluxAst, findWriteCalls } from "../utils/fluxAst.js";
+import { resolveOrg } from "../utils/orgs.js";
+import { assertFluxAllowed, assertOrgAllowed, policyActive } from "../utils/policy.js";
+
+// Tool: Create an empty dashboard
+export async function createDashboard({ org, name, description }, { confirm } = {}) {
+  console.log(`=== CREATE-DASHBOARD TOOL CALLED ===`);
+  console.log(`Creating dashboard: ${name}, org: ${org}`);
+
+  try {
+    const owner = await resolveOrg(org);
+    assertOrgAllowed(owner);
+    // Cells are added by dashboard name, which only works for unique names
+    const existing = (await listAllDashboards(owner.id))
+      .find((dashboard) => dashboard.name === name);
+    if (existing) {
+      throw new Error(
+        `A dashboard named '${name}' already exists in org '${owner.name}' (${existing.id})`,
+      );
+    }
+
+    await confirm?.(`Create dashboard '${name}' in organization '${owner.name}'.`);
+
+    const response = await influxRequest("/api/v2/dashboards", {
+      method: "POST",
+      body: JSON.stringify({ orgID: owner.id, name, description }),
+    });
+    const dashboard = describeDashboard(await response.json());
+
+    console.log(`=== CREATE-DASHBOARD TOOL COMPLETED SUCCESSFULLY ===`);
+    return {
+      content: [{
+        type: "text",
+        text: JSON.stringify(dashboard),
+      }],
+    };
+  } catch (error) {
+    console.error(`=== CREATE-DASHBOARD TOOL ERROR: ${error.message} ===`);
+    return errorResult("creating dashboard", error);
+  }
+}
+
+// Tool: Pin a Flux query to a dashboard as a new cell below the others
+export async function addDashboardCell(
+  {
+    org,
+    dashboard,
+    query,
+    name,
+    type = "xy",
+    timeRange = "dashboard",
+    width,
+    height,
+  },
+  { confirm } = {},
+) {
+  console.log(`=== ADD-DASHBOARD-CELL TOOL CALLED ===`);
+  console.log(`Adding cell '${name}' to dashboard ${dashboard}, org: ${org}`);
+
+  try {
+    const owner = await resolveOrg(org);
+    assertOrgAllowed(owner);
+    const board = await findDashboard(owner, dashboard);
+    if (board.orgID !== owner.id) {
+      assertOrgAllowed(await resolveOrg(board.orgID));
+    }
+
+    // The cell reruns its query whenever the dashboard refreshes
+    const ast = await fetchFluxAst(query);
+    const writes = findWriteCalls(ast);
+    if (writes.length > 0) {
+      throw new Error(
+        `dashboard cells rerun their query on every refresh, so it must not write data; the query calls ${writes.join(", ")}`,
+      );
+    }
+    if (policyActive()) {
+      await assertFluxAllowed(ast);
+    }
+
+    const text = timeRange === "dashboard"
+      ? withDashboardTimeRange(query, ast)
+      : query;
+    const properties = viewProperties(type, text);
+    const position = nextCellPosition(board.cells, { w: width, h: height });
+
+    await confirm?.(
+      `Add ${type} cell '${name}' to dashboard '${board.name}' (${board.id}), below its ${(board.cells || []).length} cells, running:\n\n${text}`,
+    );
+
+    const cellsPath = `/api/v2/dashboards/${encodeURIComponent(board.id)}/cells`;
+    const response = await influxRequest(cellsPath, {
+      method: "POST",
+      body: JSON.stringify({ name, ...position }),
+    });
+    const cell = await response.json();
+
+    // A cell is created empty and gets its query through its view
+    try {
+      await influxRequest(`${cellsPath}/${encodeURIComponent(cell.id)}/view`, {
+        method: "PATCH",
+        body: JSON.stringify({ name, properties }),
+      });
+    } catch (error) {
+      await influxRequest(`${cellsPath}/${encodeURIComponent(cell.id)}`, {
+        method: "DELETE",
+      }).catch(() => {});
+      throw error;
+    }
+
+    console.log(`=== ADD-DASHBOARD-CELL TOOL COMPLETED SUCCESSFULLY ===`);
+    return {
+      content: [{
+        type: "text",
+        text: JSON.stringify({
+          dashboard: { id: board.id, name: board.name, uri: `influxdb://dashboard/${board.id}` },
+          cell: describeCell({ ...cell, name, properties }),
+        }),
+      }],
+    };
+  } catch (error) {
+    console.error(`=== ADD-DASHBOARD-CELL TOOL ERROR: ${error.message} ===`);
+    return errorResult("adding dashboard cell", error);
+  }
+}
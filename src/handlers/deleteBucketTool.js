@@ -0,0 +1,48 @@
+import { influxRequest } from "../utils/influxClient.js";
+import { describeBucket, findBucket, formatRetention } from "../utils/buckets.js";
+import { resolveOrg } from "../utils/orgs.js";
+import { assertBucketAllowed, assertOrgAllowed } from "../utils/policy.js";
+
+// Tool: Delete Bucket
+export async function deleteBucket({ org, bucket }, { confirm } = {}) {
+  console.log(`=== DELETE-BUCKET TOOL CALLED ===`);
+  console.log(`Deleting bucket: ${bucket}, org: ${org}`);
+
+  try {
+    const owner = await resolveOrg(org);
+    assertOrgAllowed(owner);
+    assertBucketAllowed(bucket);
+
+    const target = describeBucket(await findBucket(owner, bucket));
+    // _monitoring and _tasks back checks and tasks; InfluxDB needs them
+    if (target.type === "system") {
+      throw new Error(`'${target.name}' is a system bucket and cannot be deleted`);
+    }
+
+    await confirm?.(
+      `Delete bucket '${target.name}' (${target.id}) in org '${owner.name}', which has ${formatRetention(target.retentionPeriodSeconds)} retention, together with all of its data. This cannot be undone.`,
+    );
+
+    await influxRequest(
+      `/api/v2/buckets/${encodeURIComponent(target.id)}`,
+      { method: "DELETE" },
+    );
+
+    console.log(`=== DELETE-BUCKET TOOL COMPLETED SUCCESSFULLY ===`);
+    return {
+      content: [{
+        type: "text",
+        text: `Bucket deleted successfully:\nID: ${target.id}\nName: ${target.name}`,
+      }],
+    };
+  } catch (error) {
+    console.error(`=== DELETE-BUCKET TOOL ERROR: ${error.message} ===`);
+    return {
+      content: [{
+        type: "text",
+        text: `Error deleting bucket: ${error.message}`,
+      }],
+      isError: true,
+    };
+  }
+}
@@ -0,0 +1,94 @@
+import { getBackend } from "../backends/index.js";
+import { flattenRows } from "../utils/annotatedCsv.js";
+import { influxRequest } from "../utils/influxClient.js";
+import {
+  deletePreviewQuery,
+  deleteTime,
+  parseDeletePredicate,
+} from "../utils/deletePredicate.js";
+import { resolveOrg } from "../utils/orgs.js";
+import { assertBucketAllowed, assertOrgAllowed } from "../utils/policy.js";
+
+// Tool: Delete data matching a predicate, or count it first with preview
+export async function deleteData(
+  { org, bucket, start, stop, predicate = "", preview = false },
+  { confirm } = {},
+) {
+  console.log(`=== DELETE-DATA TOOL CALLED ===`);
+  console.log(
+    `Deleting from org: ${org}, bucket: ${bucket}, range: ${start} to ${stop}, predicate: ${predicate}, preview: ${preview}`,
+  );
+
+  try {
+    const owner = await resolveOrg(org);
+    assertOrgAllowed(owner);
+    assertBucketAllowed(bucket);
+
+    const range = { start: deleteTime(start, "start"), stop: deleteTime(stop, "stop") };
+    if (Date.parse(range.start) > Date.parse(range.stop)) {
+      throw new Error("start must not be later than stop");
+    }
+    const comparisons = parseDeletePredicate(predicate);
+    const matching = comparisons.length > 0
+      ? `points matching ${predicate.trim()}`
+      : "all points";
+
+    if (preview) {
+      const query = deletePreviewQuery({ bucket, ...range, comparisons });
+      const { tables } = await getBackend().query({ org: owner.id, query });
+      const measurements = flattenRows(tables).map((row) => ({
+        measurement: row._measurement,
+        points: Number(row._value),
+      }));
+      const points = measurements.reduce((total, row) => total + row.points, 0);
+
+      console.log(`=== DELETE-DATA TOOL COMPLETED: ${points} points would be deleted ===`);
+      return {
+        content: [{
+          type: "text",
+          text: JSON.stringify({
+            preview: true,
+            org: owner.name,
+            bucket,
+            ...range,
+            predicate,
+            points,
+            measurements,
+            query,
+          }),
+        }],
+      };
+    }
+
+    await confirm?.(
+      `Delete ${matching} between ${range.start} and ${range.stop} from bucket '${bucket}' in org '${owner.name}' (${owner.id}). This cannot be undone.`,
+    );
+
+    await influxRequest(
+      `/api/v2/delete?orgID=${encodeURIComponent(owner.id)}&bucket=${encodeURIComponent(bucket)}`,
+      {
+        method: "POST",
+        body: JSON.stringify({ ...range, predicate: predicate.trim() }),
+      },
+      30000, // Deletes rewrite shards and can take a while
+    );
+
+    console.log(`=== DELETE-DATA TOOL COMPLETED SUCCESSFULLY ===`);
+    return {
+      content: [{
+        type: "text",
+        text:
+          `Deleted ${matching} between ${range.start} and ${range.stop} from bucket '${bucket}'`,
+      }],
+    };
+  } catch (error) {
+    console.error(`=== DELETE-DATA TOOL ERROR: ${error.message} ===`);
+    return {
+      content: [{
+        type: "text",
+        text: `Error deleting data: ${error.message}`,
+      }],
+      isError: true,
+    };
+  }
+}
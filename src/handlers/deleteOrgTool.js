@@ -0,0 +1,54 @@
+import { influxRequest } from "../utils/influxClient.js";
+import { listAllBuckets } from "../utils/buckets.js";
+import { forgetOrgs, resolveOrg } from "../utils/orgs.js";
+import { assertBucketAllowed, assertOrgAllowed } from "../utils/policy.js";
+
+// Tool: Delete Organization
+export async function deleteOrg({ org }, { confirm } = {}) {
+  console.log(`=== DELETE-ORG TOOL CALLED ===`);
+  console.log(`Deleting org: ${org}`);
+
+  try {
+    // No default here: deleting INFLUXDB_ORG by omission would be too easy
+    if (!org) {
+      throw new Error("org is required");
+    }
+    const target = await resolveOrg(org);
+    assertOrgAllowed(target);
+
+    // The org's buckets go with it, so each must pass the policy, system
+    // buckets included, and the confirmation names them
+    const allBuckets = await listAllBuckets({ orgID: target.id });
+    allBuckets.forEach((bucket) => assertBucketAllowed(bucket.name));
+    const buckets = allBuckets.filter((bucket) => bucket.type !== "system");
+    const bucketNames = buckets.length === 0
+      ? "no buckets"
+      : `${buckets.length} bucket${buckets.length === 1 ? "" : "s"} (${buckets.map((bucket) => bucket.name).join(", ")})`;
+    await confirm?.(
+      `Delete organization '${target.name}' (${target.id}) with ${bucketNames} and all of its data, tasks, dashboards and tokens. This cannot be undone.`,
+    );
+
+    await influxRequest(
+      `/api/v2/orgs/${encodeURIComponent(target.id)}`,
+      { method: "DELETE" },
+    );
+    forgetOrgs();
+
+    console.log(`=== DELETE-ORG TOOL COMPLETED SUCCESSFULLY ===`);
+    return {
+      content: [{
+        type: "text",
+        text: `Organization deleted successfully:\nID: ${target.id}\nName: ${target.name}`,
+      }],
+    };
+  } catch (error) {
+    console.error(`=== DELETE-ORG TOOL ERROR: ${error.message} ===`);
+    return {
+      content: [{
+        type: "text",
+        text: `Error deleting organization: ${error.message}`,
+      }],
+      isError: true,
+    };
+  }
+}
@@ -0,0 +1,39 @@
+import { getBackend } from "../backends/index.js";
+import { queryResultResource } from "../utils/queryResponse.js";
+
+// Resource: InfluxQL query results as a resource
+export async function executeInfluxQL(uri, { orgName, db, influxqlQuery }) {
+  console.log(`=== INFLUXQL RESOURCE CALLED ===`);
+
+  try {
+    const org = decodeURIComponent(orgName);
+    const database = decodeURIComponent(db);
+    const decodedQuery = decodeURIComponent(influxqlQuery);
+    console.log(`InfluxQL query for org: ${org}, db: ${database}`);
+
+    const { tables, target } = await getBackend().influxql({
+      org,
+      db: database,
+      query: decodedQuery,
+    });
+
+    console.log(`=== INFLUXQL RESOURCE COMPLETED SUCCESSFULLY ===`);
+    return queryResultResource(uri, tables, {
+      query: decodedQuery,
+      organization: org,
+      database: target.db,
+      retentionPolicy: target.rp,
+    });
+  } catch (error) {
+    console.error(`=== INFLUXQL RESOURCE ERROR: ${error.message} ===`);
+    return {
+      contents: [{
+        uri: uri.href,
+        text: JSON.stringify({
+          error: `Error executing InfluxQL query: ${error.message}`,
+        }),
+      }],
+      error: true,
+    };
+  }
+}
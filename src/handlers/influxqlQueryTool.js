@@ -0,0 +1,29 @@
+import { getBackend } from "../backends/index.js";
+import { queryResultContent } from "../utils/queryResponse.js";
+
+// Tool: Query Data with InfluxQL
+export async function queryInfluxQL({ org, db, rp, query, format, maxRows }) {
+  console.log(`=== QUERY-INFLUXQL TOOL CALLED ===`);
+  console.log(`InfluxQL query for org: ${org}, db: ${db}, rp: ${rp || "default"}`);
+
+  try {
+    const { tables } = await getBackend().influxql({ org, db, rp, query });
+
+    console.log(`=== QUERY-INFLUXQL TOOL COMPLETED SUCCESSFULLY ===`);
+    return {
+      content: queryResultContent(
+        { tables },
+        { format: format || "csv", maxRows },
+      ),
+    };
+  } catch (error) {
+    console.error(`=== QUERY-INFLUXQL TOOL ERROR: ${error.message} ===`);
+    return {
+      content: [{
+        type: "text",
+        text: `Error executing InfluxQL query: ${error.message}`,
+      }],
+      isError: true,
+    };
+  }
+}
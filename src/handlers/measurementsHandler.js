@@ -1,123 +1,188 @@
-import { influxRequest } from "../utils/influxClient.js";
-import { DEFAULT_ORG } from "../config/env.js";
+import { getBackend } from "../backends/index.js";
+
+// The org of an org-scoped URI (influxdb://org/{orgName}/bucket/...), or
+// undefined for the default-org shortcuts
+function uriOrg(orgName) {
+  return orgName === undefined ? undefined : decodeURIComponent(orgName);
+}
 
 // Resource: Get Measurements in a Bucket
-export async function bucketMeasurements(uri, { bucketName }) {
+export async function bucketMeasurements(uri, { orgName, bucketName }) {
+  const org = uriOrg(orgName);
+  const bucket = decodeURIComponent(bucketName);
   console.log(
-    `Processing measurements in bucket '${bucketName}' request - START`,
+    `Processing measurements in bucket '${bucket}' request - START`,
   );
 
-  if (!DEFAULT_ORG) {
-    console.error("Error: INFLUXDB_ORG environment variable is not set");
+  try {
+    const measurements = await getBackend().measurements({ org, bucket });
+
+    console.log(`Found ${measurements.length} measurements`);
+    console.log("Successfully processed measurements request - END");
+
     return {
       contents: [{
         uri: uri.href,
         text: JSON.stringify({
-          error: "INFLUXDB_ORG environment variable is not set",
+          org,
+          bucket,
+          measurements,
+        }),
+      }],
+    };
+  } catch (error) {
+    console.error(`Error in bucket measurements resource: ${error.message}`);
+    console.error(error.stack);
+
+    return {
+      contents: [{
+        uri: uri.href,
+        text: JSON.stringify({
+          error: `Error retrieving measurements: ${error.message}`,
         }),
       }],
       error: true,
     };
   }
+}
+
+// Resource: Get Tag Keys of a Measurement
+export async function measurementTagKeys(
+  uri,
+  { orgName, bucketName, measurement },
+) {
+  const org = uriOrg(orgName);
+  const bucket = decodeURIComponent(bucketName);
+  const measurementName = decodeURIComponent(measurement);
+  console.log(
+    `Processing tag keys of '${measurementName}' in bucket '${bucket}' request - START`,
+  );
 
   try {
-    // Use Flux query to get measurements
-    console.log(
-      `Creating Flux query for bucket '${bucketName}' measurements`,
-    );
-    const queryBody = JSON.stringify({
-      query: `import "influxdata/influxdb/schema"
-
-schema.measurements(bucket: "${bucketName}")`,
-      type: "flux",
+    const tagKeys = await getBackend().tagKeys({
+      org,
+      bucket,
+      measurement: measurementName,
     });
 
-    console.log(`Making InfluxDB API request for measurements...`);
-    const response = await influxRequest(
-      "/api/v2/query?org=" + encodeURIComponent(DEFAULT_ORG),
-      {
-        method: "POST",
-        body: queryBody,
-      },
-      5000, // Explicit timeout
-    );
-    console.log(
-      "Measurements API response received, status:",
-      response.status,
-    );
-
-    console.log("Reading response text...");
-    const responseText = await response.text();
-
-    console.log("Parsing CSV response...");
-    const lines = responseText
-      .split("\n")
-      .map((line) => line.replace(/\r/g, ""))
-      .filter((line) => line.trim() !== "");
-    console.log(`Found ${lines.length} lines in the response`);
-
-    // Flux CSV responses include metadata rows that start with '#'
-    const dataLines = lines.filter((line) => !line.startsWith("#"));
-    console.log(`Found ${dataLines.length} data lines after removing metadata`);
-
-    if (dataLines.length === 0) {
-      console.log("No data rows found in the response");
-      return {
-        contents: [{
-          uri: uri.href,
-          text: JSON.stringify({
-            bucket: bucketName,
-            measurements: [],
-          }),
-        }],
-      };
-    }
-
-    const headers = dataLines[0].split(",").map((header) => header.trim());
-    const valueIndex = headers.indexOf("_value");
-    console.log("Headers:", headers);
-    console.log("Value index:", valueIndex);
-
-    if (valueIndex === -1) {
-      console.log("No _value column found in the response");
-      return {
-        contents: [{
-          uri: uri.href,
-          text: JSON.stringify({
-            bucket: bucketName,
-            measurements: [],
-          }),
-        }],
-      };
-    }
-
-    console.log("Extracting measurement values...");
-    const measurements = dataLines.slice(1)
-      .map((line) => line.split(",")[valueIndex] || "")
-      .map((value) => value.trim())
-      .filter((m) => m !== "");
+    console.log(`Found ${tagKeys.length} tag keys`);
+    return {
+      contents: [{
+        uri: uri.href,
+        text: JSON.stringify({
+          org,
+          bucket,
+          measurement: measurementName,
+          tagKeys,
+        }),
+      }],
+    };
+  } catch (error) {
+    console.error(`Error in measurement tag keys resource: ${error.message}`);
+    console.error(error.stack);
 
-    console.log(`Found ${measurements.length} measurements`);
-    console.log("Successfully processed measurements request - END");
+    return {
+      contents: [{
+        uri: uri.href,
+        text: JSON.stringify({
+          error: `Error retrieving tag keys: ${error.message}`,
+        }),
+      }],
+      error: true,
+    };
+  }
+}
+
+// Resource: Get Values of a Tag Key within a Measurement
+export async function measurementTagValues(
+  uri,
+  { orgName, bucketName, measurement, tagKey },
+) {
+  const org = uriOrg(orgName);
+  const bucket = decodeURIComponent(bucketName);
+  const measurementName = decodeURIComponent(measurement);
+  const tag = decodeURIComponent(tagKey);
+  console.log(
+    `Processing values of tag '${tag}' on '${measurementName}' in bucket '${bucket}' request - START`,
+  );
+
+  try {
+    const values = await getBackend().tagValues({
+      org,
+      bucket,
+      measurement: measurementName,
+      tag,
+    });
 
+    console.log(`Found ${values.length} tag values`);
     return {
       contents: [{
         uri: uri.href,
         text: JSON.stringify({
-          bucket: bucketName,
-          measurements,
+          org,
+          bucket,
+          measurement: measurementName,
+          tagKey: tag,
+          values,
         }),
       }],
     };
   } catch (error) {
-    console.error(`Error in bucket measurements resource: ${error.message}`);
+    console.error(`Error in measurement tag values resource: ${error.message}`);
     console.error(error.stack);
 
     return {
       contents: [{
         uri: uri.href,
         text: JSON.stringify({
-          error: `Error retrieving measurements: ${error.message}`,
+          error: `Error retrieving tag values: ${error.message}`,
+        }),
+      }],
+      error: true,
+    };
+  }
+}
+
+// Resource: Get Field Keys and Types of a Measurement
+export async function measurementFieldKeys(
+  uri,
+  { orgName, bucketName, measurement },
+) {
+  const org = uriOrg(orgName);
+  const bucket = decodeURIComponent(bucketName);
+  const measurementName = decodeURIComponent(measurement);
+  console.log(
+    `Processing field keys of '${measurementName}' in bucket '${bucket}' request - START`,
+  );
+
+  try {
+    const fields = await getBackend().fieldKeys({
+      org,
+      bucket,
+      measurement: measurementName,
+    });
+
+    console.log(`Found ${fields.length} field keys`);
+    return {
+      contents: [{
+        uri: uri.href,
+        text: JSON.stringify({
+          org,
+          bucket,
+          measurement: measurementName,
+          fields,
+        }),
+      }],
+    };
+  } catch (error) {
+    console.error(`Error in measurement field keys resource: ${error.message}`);
+    console.error(error.stack);
+
+    return {
+      contents: [{
+        uri: uri.href,
+        text: JSON.stringify({
+          error: `Error retrieving field keys: ${error.message}`,
         }),
       }],
       error: true,
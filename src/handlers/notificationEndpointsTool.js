@@ -0,0 +1,157 @@
+import { errorResult } from "../utils/errors.js";
+import { influxRequest } from "../utils/influxClient.js";
+import {
+  definedSettings,
+  listMonitoring,
+  monitoringPath,
+  resolveMonitoring,
+} from "../utils/monitoring.js";
+import {
+  buildEndpoint,
+  describeEndpoint,
+  endpointSettings,
+} from "../utils/notifications.js";
+import { resolveOrg } from "../utils/orgs.js";
+import { assertOrgAllowed } from "../utils/policy.js";
+
+// Where an endpoint delivers to, for confirmations. PagerDuty endpoints are
+// addressed by their routing key, which is a secret.
+function endpointTarget(endpoint) {
+  return endpoint.type === "pagerduty"
+    ? "PagerDuty"
+    : `${endpoint.method ? `${endpoint.method} ` : ""}${endpoint.url}`;
+}
+
+// Tool: List notification endpoints
+export async function listNotificationEndpoints({ org }) {
+  console.log(`=== LIST-NOTIFICATION-ENDPOINTS TOOL CALLED ===`);
+
+  try {
+    const owner = await resolveOrg(org);
+    assertOrgAllowed(owner);
+
+    const endpoints = (await listMonitoring("endpoint", owner.id))
+      .map(describeEndpoint);
+
+    console.log(
+      `=== LIST-NOTIFICATION-ENDPOINTS TOOL COMPLETED: ${endpoints.length} endpoints ===`,
+    );
+    return {
+      content: [{
+        type: "text",
+        text: JSON.stringify({ org: owner, endpoints }),
+      }],
+    };
+  } catch (error) {
+    console.error(`=== LIST-NOTIFICATION-ENDPOINTS TOOL ERROR: ${error.message} ===`);
+    return errorResult("listing notification endpoints", error);
+  }
+}
+
+// Tool: Create an HTTP, Slack or PagerDuty notification endpoint
+export async function createNotificationEndpoint(
+  { org, ...settings },
+  { confirm } = {},
+) {
+  console.log(`=== CREATE-NOTIFICATION-ENDPOINT TOOL CALLED ===`);
+  console.log(`Creating ${settings.type} endpoint: ${settings.name}, org: ${org}`);
+
+  try {
+    const owner = await resolveOrg(org);
+    assertOrgAllowed(owner);
+    const body = buildEndpoint(owner.id, settings);
+
+    await confirm?.(
+      `Create ${body.type} notification endpoint '${body.name}' in organization '${owner.name}', delivering to ${endpointTarget(body)}.`,
+    );
+
+    const response = await influxRequest("/api/v2/notificationEndpoints", {
+      method: "POST",
+      body: JSON.stringify(body),
+    });
+    const endpoint = describeEndpoint(await response.json());
+
+    console.log(`=== CREATE-NOTIFICATION-ENDPOINT TOOL COMPLETED SUCCESSFULLY ===`);
+    return {
+      content: [{
+        type: "text",
+        text: JSON.stringify(endpoint),
+      }],
+    };
+  } catch (error) {
+    console.error(`=== CREATE-NOTIFICATION-ENDPOINT TOOL ERROR: ${error.message} ===`);
+    return errorResult("creating notification endpoint", error);
+  }
+}
+
+// Tool: Update a notification endpoint. Settings that are left out, secrets
+// included, keep their values.
+export async function updateNotificationEndpoint(
+  { org, endpoint, ...changes },
+  { confirm } = {},
+) {
+  console.log(`=== UPDATE-NOTIFICATION-ENDPOINT TOOL CALLED ===`);
+  console.log(`Updating endpoint: ${endpoint}, org: ${org}`);
+
+  try {
+    const current = await resolveMonitoring("endpoint", org, endpoint);
+    const update = definedSettings(changes);
+    if (Object.keys(update).length === 0) {
+      throw new Error(`nothing to change for notification endpoint '${current.name}'`);
+    }
+    const body = buildEndpoint(current.orgID, { ...endpointSettings(current), ...update });
+
+    await confirm?.(
+      `Update ${current.type} notification endpoint '${current.name}' (${current.id}): ${Object.keys(update).join(", ")}. It will deliver to ${endpointTarget(body)}.`,
+    );
+
+    const response = await influxRequest(monitoringPath("endpoint", current.id), {
+      method: "PUT",
+      body: JSON.stringify(body),
+    });
+    const updated = describeEndpoint(await response.json());
+
+    console.log(`=== UPDATE-NOTIFICATION-ENDPOINT TOOL COMPLETED SUCCESSFULLY ===`);
+    return {
+      content: [{
+        type: "text",
+        text: JSON.stringify(updated),
+      }],
+    };
+  } catch (error) {
+    console.error(`=== UPDATE-NOTIFICATION-ENDPOINT TOOL ERROR: ${error.message} ===`);
+    return errorResult("updating notification endpoint", error);
+  }
+}
+
+// Tool: Delete a notification endpoint
+export async function deleteNotificationEndpoint(
+  { org, endpoint },
+  { confirm } = {},
+) {
+  console.log(`=== DELETE-NOTIFICATION-ENDPOINT TOOL CALLED ===`);
+  console.log(`Deleting endpoint: ${endpoint}`);
+
+  try {
+    const current = await resolveMonitoring("endpoint", org, endpoint);
+    // Name the rules that notify through it, which stop working with it
+    const rules = (await listMonitoring("rule", current.orgID))
+      .filter((rule) => rule.endpointID === current.id);
+    await confirm?.(
+      `Delete ${current.type} notification endpoint '${current.name}' (${current.id}).${rules.length > 0 ? ` Notification rules using it: ${rules.map((rule) => `'${rule.name}'`).join(", ")}.` : ""}`,
+    );
+
+    await influxRequest(monitoringPath("endpoint", current.id), { method: "DELETE" });
+
+    console.log(`=== DELETE-NOTIFICATION-ENDPOINT TOOL COMPLETED SUCCESSFULLY ===`);
+    return {
+      content: [{
+        type: "text",
+        text: `Notification endpoint '${current.name}' (${current.id}) deleted successfully`,
+      }],
+    };
+  } catch (error) {
+    console.error(`=== DELETE-NOTIFICATION-ENDPOINT TOOL ERROR: ${error.message} ===`);
+    return errorResult("deleting notification endpoint", error);
+  }
+}
@@ -0,0 +1,166 @@
+import { errorResult } from "../utils/errors.js";
+import { influxRequest } from "../utils/influxClient.js";
+import {
+  definedSettings,
+  findMonitoring,
+  listMonitoring,
+  monitoringPath,
+  resolveMonitoring,
+} from "../utils/monitoring.js";
+import { buildRule, describeRule, ruleSettings } from "../utils/notifications.js";
+import { resolveOrg } from "../utils/orgs.js";
+import { assertOrgAllowed } from "../utils/policy.js";
+
+// What a rule notifies about, e.g. "CRIT statuses tagged host=a, checked
+// every 10m"
+function ruleConditions(body) {
+  const statuses = describeRule(body).statusRules.join(" or ");
+  const tags = body.tagRules.map(({ key, value }) => `${key}=${value}`);
+  return `${statuses} statuses${tags.length > 0 ? ` tagged ${tags.join(", ")}` : ""}, checked every ${body.every}`;
+}
+
+// Find the endpoint a rule sends to, which has to be in the rule's org
+async function findEndpoint(owner, endpoint) {
+  const target = await findMonitoring("endpoint", owner, endpoint);
+  if (target.orgID !== owner.id) {
+    throw new Error(
+      `Notification endpoint '${target.name}' belongs to another org than '${owner.name}'`,
+    );
+  }
+  return target;
+}
+
+// Tool: List notification rules
+export async function listNotificationRules({ org }) {
+  console.log(`=== LIST-NOTIFICATION-RULES TOOL CALLED ===`);
+
+  try {
+    const owner = await resolveOrg(org);
+    assertOrgAllowed(owner);
+
+    const rules = (await listMonitoring("rule", owner.id)).map(describeRule);
+
+    console.log(`=== LIST-NOTIFICATION-RULES TOOL COMPLETED: ${rules.length} rules ===`);
+    return {
+      content: [{
+        type: "text",
+        text: JSON.stringify({ org: owner, rules }),
+      }],
+    };
+  } catch (error) {
+    console.error(`=== LIST-NOTIFICATION-RULES TOOL ERROR: ${error.message} ===`);
+    return errorResult("listing notification rules", error);
+  }
+}
+
+// Tool: Create a notification rule sending matching statuses to an endpoint
+export async function createNotificationRule(
+  { org, endpoint, ...settings },
+  { confirm } = {},
+) {
+  console.log(`=== CREATE-NOTIFICATION-RULE TOOL CALLED ===`);
+  console.log(`Creating notification rule: ${settings.name}, org: ${org}`);
+
+  try {
+    const owner = await resolveOrg(org);
+    assertOrgAllowed(owner);
+    const target = await findEndpoint(owner, endpoint);
+    const body = buildRule(owner.id, target, settings);
+
+    await confirm?.(
+      `Create notification rule '${body.name}' in organization '${owner.name}', sending ${ruleConditions(body)}, to ${target.type} endpoint '${target.name}'.`,
+    );
+
+    const response = await influxRequest("/api/v2/notificationRules", {
+      method: "POST",
+      body: JSON.stringify(body),
+    });
+    const rule = describeRule(await response.json());
+
+    console.log(`=== CREATE-NOTIFICATION-RULE TOOL COMPLETED SUCCESSFULLY ===`);
+    return {
+      content: [{
+        type: "text",
+        text: JSON.stringify(rule),
+      }],
+    };
+  } catch (error) {
+    console.error(`=== CREATE-NOTIFICATION-RULE TOOL ERROR: ${error.message} ===`);
+    return errorResult("creating notification rule", error);
+  }
+}
+
+// Tool: Update a notification rule. Settings that are left out keep their
+// values.
+export async function updateNotificationRule(
+  { org, rule, endpoint, ...changes },
+  { confirm } = {},
+) {
+  console.log(`=== UPDATE-NOTIFICATION-RULE TOOL CALLED ===`);
+  console.log(`Updating notification rule: ${rule}, org: ${org}`);
+
+  try {
+    const current = await resolveMonitoring("rule", org, rule);
+    const update = definedSettings(changes);
+    if (Object.keys(update).length === 0 && endpoint === undefined) {
+      throw new Error(`nothing to change for notification rule '${current.name}'`);
+    }
+
+    const owner = await resolveOrg(current.orgID);
+    const target = await findEndpoint(owner, endpoint ?? current.endpointID);
+    const settings = { ...ruleSettings(current), ...update };
+    // Slack and PagerDuty templates mean nothing to an HTTP endpoint and the
+    // other way round, so a new endpoint type starts from its defaults
+    if (target.type !== current.type && update.messageTemplate === undefined) {
+      delete settings.messageTemplate;
+    }
+    const body = buildRule(current.orgID, target, settings);
+
+    await confirm?.(
+      `Update notification rule '${current.name}' (${current.id}): ${[...Object.keys(update), ...(endpoint === undefined ? [] : ["endpoint"])].join(", ")}. It will send ${ruleConditions(body)}, to ${target.type} endpoint '${target.name}'.`,
+    );
+
+    const response = await influxRequest(monitoringPath("rule", current.id), {
+      method: "PUT",
+      body: JSON.stringify(body),
+    });
+    const updated = describeRule(await response.json());
+
+    console.log(`=== UPDATE-NOTIFICATION-RULE TOOL COMPLETED SUCCESSFULLY ===`);
+    return {
+      content: [{
+        type: "text",
+        text: JSON.stringify(updated),
+      }],
+    };
+  } catch (error) {
+    console.error(`=== UPDATE-NOTIFICATION-RULE TOOL ERROR: ${error.message} ===`);
+    return errorResult("updating notification rule", error);
+  }
+}
+
+// Tool: Delete a notification rule
+export async function deleteNotificationRule({ org, rule }, { confirm } = {}) {
+  console.log(`=== DELETE-NOTIFICATION-RULE TOOL CALLED ===`);
+  console.log(`Deleting notification rule: ${rule}`);
+
+  try {
+    const current = await resolveMonitoring("rule", org, rule);
+    await confirm?.(
+      `Delete notification rule '${current.name}' (${current.id}). Matching statuses are no longer sent to its endpoint.`,
+    );
+
+    await influxRequest(monitoringPath("rule", current.id), { method: "DELETE" });
+
+    console.log(`=== DELETE-NOTIFICATION-RULE TOOL COMPLETED SUCCESSFULLY ===`);
+    return {
+      content: [{
+        type: "text",
+        text: `Notification rule '${current.name}' (${current.id}) deleted successfully`,
+      }],
+    };
+  } catch (error) {
+    console.error(`=== DELETE-NOTIFICATION-RULE TOOL ERROR: ${error.message} ===`);
+    return errorResult("deleting notification rule", error);
+  }
+}
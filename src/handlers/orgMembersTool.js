@@ -0,0 +1,149 @@
+import { influxRequest } from "../utils/influxClient.js";
+import { resolveOrg } from "../utils/orgs.js";
+import { assertOrgAllowed } from "../utils/policy.js";
+import { resolveUser } from "../utils/users.js";
+
+// Org membership endpoints by role
+const ROLE_PATHS = { member: "members", owner: "owners" };
+
+async function fetchRole(orgID, role) {
+  const response = await influxRequest(
+    `/api/v2/orgs/${encodeURIComponent(orgID)}/${ROLE_PATHS[role]}`,
+    {},
+    5000,
+  );
+  return ((await response.json()).users || []).map(({ id, name, status }) => ({
+    id,
+    name,
+    status,
+  }));
+}
+
+// Tool: List the members and owners of an organization
+export async function listOrgMembers({ org }) {
+  console.log(`=== LIST-ORG-MEMBERS TOOL CALLED ===`);
+
+  try {
+    const target = await resolveOrg(org);
+    assertOrgAllowed(target);
+
+    const [members, owners] = await Promise.all([
+      fetchRole(target.id, "member"),
+      fetchRole(target.id, "owner"),
+    ]);
+
+    console.log(
+      `=== LIST-ORG-MEMBERS TOOL COMPLETED: ${members.length} members, ${owners.length} owners ===`,
+    );
+    return {
+      content: [{
+        type: "text",
+        text: JSON.stringify({ org: target, members, owners }),
+      }],
+    };
+  } catch (error) {
+    console.error(`=== LIST-ORG-MEMBERS TOOL ERROR: ${error.message} ===`);
+    return {
+      content: [{
+        type: "text",
+        text: `Error listing organization members: ${error.message}`,
+      }],
+      isError: true,
+    };
+  }
+}
+
+// Tool: Add a user to an organization as a member or owner
+export async function addOrgMember({ org, user, role = "member" }, { confirm } = {}) {
+  console.log(`=== ADD-ORG-MEMBER TOOL CALLED ===`);
+  console.log(`Adding user: ${user} to org: ${org} as ${role}`);
+
+  try {
+    const target = await resolveOrg(org);
+    assertOrgAllowed(target);
+    const account = await resolveUser(user);
+
+    await confirm?.(
+      `Add user '${account.name}' (${account.id}) to organization '${target.name}' as ${role}.`,
+    );
+
+    await influxRequest(
+      `/api/v2/orgs/${encodeURIComponent(target.id)}/${ROLE_PATHS[role]}`,
+      {
+        method: "POST",
+        body: JSON.stringify({ id: account.id }),
+      },
+    );
+
+    console.log(`=== ADD-ORG-MEMBER TOOL COMPLETED SUCCESSFULLY ===`);
+    return {
+      content: [{
+        type: "text",
+        text: `Added user '${account.name}' (${account.id}) to organization '${target.name}' as ${role}`,
+      }],
+    };
+  } catch (error) {
+    console.error(`=== ADD-ORG-MEMBER TOOL ERROR: ${error.message} ===`);
+    return {
+      content: [{
+        type: "text",
+        text: `Error adding organization member: ${error.message}`,
+      }],
+      isError: true,
+    };
+  }
+}
+
+// Tool: Remove a member or owner from an organization
+export async function removeOrgMember(
+  { org, user, role = "member" },
+  { confirm } = {},
+) {
+  console.log(`=== REMOVE-ORG-MEMBER TOOL CALLED ===`);
+  console.log(`Removing user: ${user} from org: ${org} as ${role}`);
+
+  try {
+    const target = await resolveOrg(org);
+    assertOrgAllowed(target);
+    const account = await resolveUser(user);
+
+    const current = await fetchRole(target.id, role);
+    if (!current.some(({ id }) => id === account.id)) {
+      throw new Error(
+        `user '${account.name}' is not ${role === "owner" ? "an owner" : "a member"} of organization '${target.name}'`,
+      );
+    }
+    // An org without owners can only be managed with an operator token
+    if (role === "owner" && current.length === 1) {
+      throw new Error(
+        `user '${account.name}' is the last owner of organization '${target.name}'; add another owner first`,
+      );
+    }
+
+    await confirm?.(
+      `Remove user '${account.name}' (${account.id}) from organization '${target.name}' as ${role}.`,
+    );
+
+    await influxRequest(
+      `/api/v2/orgs/${encodeURIComponent(target.id)}/${ROLE_PATHS[role]}/${encodeURIComponent(account.id)}`,
+      { method: "DELETE" },
+    );
+
+    console.log(`=== REMOVE-ORG-MEMBER TOOL COMPLETED SUCCESSFULLY ===`);
+    return {
+      content: [{
+        type: "text",
+        text: `Removed user '${account.name}' (${account.id}) from organization '${target.name}' as ${role}`,
+      }],
+    };
+  } catch (error) {
+    console.error(`=== REMOVE-ORG-MEMBER TOOL ERROR: ${error.message} ===`);
+    return {
+      content: [{
+        type: "text",
+        text: `Error removing organization member: ${error.message}`,
+      }],
+      isError: true,
+    };
+  }
+}
@@ -1,5 +1,6 @@
 import { influxRequest } from "../utils/influxClient.js";
 import { INFLUXDB_TOKEN, INFLUXDB_URL } from "../config/env.js";
+import { filterOrgs } from "../utils/policy.js";
 
 // Resource: List Organizations
 export async function listOrganizations(uri) {
@@ -21,6 +22,10 @@ export async function listOrganizations(uri) {
     // Also add timeout for JSON parsing
     console.log("Parsing response body...");
     const data = await response.json();
+    if (data.orgs) {
+      // Orgs outside the access policy are left out
+      data.orgs = filterOrgs(data.orgs);
+    }
     console.log(`Found ${data.orgs?.length || 0} organizations`);
 
     // If we have no orgs, return an empty array as stringified JSON in text field
@@ -1,23 +1,29 @@
-import { influxRequest } from "../utils/influxClient.js";
+import { getBackend } from "../backends/index.js";
+import { cursorContent, queryResultContent } from "../utils/queryResponse.js";
 
 // Tool: Query Data
-export async function queryData({ org, query }) {
+export async function queryData({
+  org,
+  database,
+  query,
+  params,
+  format,
+  maxRows,
+  cursor,
+}) {
   try {
-    const response = await influxRequest(
-      `/api/v2/query?org=${encodeURIComponent(org)}`,
-      {
-        method: "POST",
-        body: JSON.stringify({ query, type: "flux" }),
-      },
-    );
+    if (cursor) {
+      return { content: cursorContent(cursor, { format, maxRows }) };
+    }
 
-    const responseText = await response.text();
+    if (!query) {
+      throw new Error("query is required unless a cursor is given");
+    }
+
+    const result = await getBackend().query({ org, database, query, params });
 
     return {
-      content: [{
-        type: "text",
-        text: responseText,
-      }],
+      content: queryResultContent(result, { format: format || "csv", maxRows }),
     };
   } catch (error) {
     return {
@@ -0,0 +1,163 @@
+import { getBackend } from "../backends/index.js";
+import {
+  createBucketRecord,
+  formatRetention,
+  listAllBuckets,
+} from "../utils/buckets.js";
+import {
+  backfillChunks,
+  buildDownsampleFlux,
+  durationMs,
+} from "../utils/downsampling.js";
+import { influxRequest } from "../utils/influxClient.js";
+import { resolveOrg } from "../utils/orgs.js";
+import { assertBucketAllowed, assertOrgAllowed } from "../utils/policy.js";
+import { describeTask, listAllTasks, withTaskOptions } from "../utils/tasks.js";
+
+// Backfill chunks aggregate a day of raw data or more, well past the default
+// request timeout
+const BACKFILL_CHUNK_TIMEOUT_MS = 60000;
+
+// Tool: Create a downsampled copy of measurements in a bucket: the
+// destination bucket, the task that keeps it filled and, optionally, a
+// backfill of the history the task will never see
+export async function setupDownsampling(
+  {
+    org,
+    sourceBucket,
+    measurements,
+    fields,
+    window,
+    aggregates = ["mean"],
+    destinationBucket,
+    retentionPeriodSeconds,
+    taskName,
+    every,
+    offset,
+    backfillStart,
+    backfillStop,
+    backfillChunk,
+  },
+  { confirm } = {},
+) {
+  console.log(`=== SETUP-DOWNSAMPLING TOOL CALLED ===`);
+  console.log(
+    `Downsampling ${sourceBucket} into ${destinationBucket} every ${window}`,
+  );
+
+  const done = [];
+  try {
+    const owner = await resolveOrg(org);
+    assertOrgAllowed(owner);
+    assertBucketAllowed(sourceBucket);
+    assertBucketAllowed(destinationBucket);
+    if (sourceBucket === destinationBucket) {
+      throw new Error("the destination bucket must differ from the source bucket");
+    }
+
+    const options = { sourceBucket, destinationBucket, measurements, fields, window, aggregates };
+    const name = taskName ||
+      `Downsample ${measurements?.join(", ")} from ${sourceBucket} to ${destinationBucket}`;
+    const script = withTaskOptions(
+      buildDownsampleFlux({ ...options, range: "start: -task.every" }),
+      { name, every: every || window, offset },
+    );
+    // Windows are aligned to the epoch; a schedule that is not a multiple of
+    // the window would cut windows in two
+    if (every && every !== window &&
+      durationMs(every, "every") % durationMs(window, "window") !== 0) {
+      throw new Error(`every must be a multiple of the window (${window})`);
+    }
+    const chunks = backfillStart
+      ? backfillChunks({ start: backfillStart, stop: backfillStop, window, chunk: backfillChunk })
+      : [];
+
+    // Reuse what an earlier call already set up, so that a failed backfill
+    // can be resumed by calling the tool again
+    const [existingBucket] = await listAllBuckets({ orgID: owner.id, name: destinationBucket });
+    const [existingTask, ...others] = await listAllTasks({ orgID: owner.id, name });
+    if (existingTask && (others.length > 0 || existingTask.flux !== script)) {
+      throw new Error(
+        `A task named '${name}' already exists in org '${owner.name}' with a different script; pass another taskName or change it with update-task`,
+      );
+    }
+
+    await confirm?.(
+      [
+        `Set up downsampling of ${measurements.join(", ")} from bucket '${sourceBucket}' in org '${owner.name}':`,
+        existingBucket
+          ? `- write to the existing bucket '${destinationBucket}'`
+          : `- create bucket '${destinationBucket}' with ${formatRetention(retentionPeriodSeconds)} retention`,
+        existingTask
+          ? `- keep the existing task '${name}'`
+          : `- create task '${name}' running every ${every || window}`,
+        ...(chunks.length > 0
+          ? [`- backfill ${chunks[0].start} to ${chunks[chunks.length - 1].stop} in ${chunks.length} queries`]
+          : []),
+        "",
+        script,
+      ].join("\n"),
+    );
+
+    const bucket = existingBucket ||
+      await createBucketRecord(owner, destinationBucket, retentionPeriodSeconds);
+    done.push(
+      existingBucket
+        ? `Using existing bucket '${bucket.name}' (${bucket.id})`
+        : `Created bucket '${bucket.name}' (${bucket.id}) with ${formatRetention(retentionPeriodSeconds)} retention`,
+    );
+
+    let task = existingTask;
+    if (!task) {
+      const response = await influxRequest("/api/v2/tasks", {
+        method: "POST",
+        body: JSON.stringify({ orgID: owner.id, flux: script, status: "active" }),
+      });
+      task = await response.json();
+    }
+    done.push(
+      `${existingTask ? "Using existing" : "Created"} task '${task.name}' (${task.id}) running every ${task.every || every || window}`,
+    );
+
+    for (const [index, chunk] of chunks.entries()) {
+      console.log(`Backfilling ${chunk.start} to ${chunk.stop} (${index + 1}/${chunks.length})`);
+      try {
+        await getBackend().query({
+          org: owner.id,
+          query: buildDownsampleFlux({
+            ...options,
+            range: `start: ${chunk.start}, stop: ${chunk.stop}`,
+          }),
+          timeoutMs: BACKFILL_CHUNK_TIMEOUT_MS,
+        });
+      } catch (error) {
+        throw new Error(
+          `backfilling ${chunk.start} to ${chunk.stop} failed after ${index} of ${chunks.length} queries: ${error.message}. Call the tool again with backfillStart ${chunk.start} to resume.`,
+        );
+      }
+    }
+    if (chunks.length > 0) {
+      done.push(
+        `Backfilled ${chunks[0].start} to ${chunks[chunks.length - 1].stop} in ${chunks.length} queries`,
+      );
+    }
+
+    console.log(`=== SETUP-DOWNSAMPLING TOOL COMPLETED SUCCESSFULLY ===`);
+    return {
+      content: [{
+        type: "text",
+        text: `${done.join("\n")}\n\n${JSON.stringify(describeTask(task))}`,
+      }],
+    };
+  } catch (error) {
+    console.error(`=== SETUP-DOWNSAMPLING TOOL ERROR: ${error.message} ===`);
+    // Whatever was created before the error stays, so report it
+    return {
+      content: [{
+        type: "text",
+        text: `${done.map((line) => `${line}\n`).join("")}Error setting up downsampling: ${error.message}`,
+      }],
+      isError: true,
+    };
+  }
+}
@@ -0,0 +1,75 @@
+import { getBackend } from "../backends/index.js";
+import { flattenRows } from "../utils/annotatedCsv.js";
+
+// How many of the most recent statuses the resource returns, from how far back
+const STATUS_LIMIT = 100;
+const STATUS_LOOKBACK = "-24h";
+
+// Columns checks write to every status; the rest are tags of the checked data
+const STATUS_COLUMNS = [
+  "result",
+  "table",
+  "_start",
+  "_stop",
+  "_time",
+  "_measurement",
+  "_field",
+  "_value",
+  "_check_id",
+  "_check_name",
+  "_level",
+  "_source_measurement",
+  "_source_timestamp",
+  "_type",
+];
+
+const STATUSES_QUERY = `from(bucket: "_monitoring")
+  |> range(start: ${STATUS_LOOKBACK})
+  |> filter(fn: (r) => r._measurement == "statuses" and r._field == "_message")
+  |> group()
+  |> sort(columns: ["_time"], desc: true)
+  |> limit(n: ${STATUS_LIMIT})`;
+
+// Resource: Most recent statuses written by checks, newest first
+export async function recentStatuses(uri, { orgName }) {
+  const org = orgName === undefined ? undefined : decodeURIComponent(orgName);
+  console.log(`=== STATUSES RESOURCE CALLED for ${org || "default org"} ===`);
+
+  try {
+    const { tables } = await getBackend().query({ org, query: STATUSES_QUERY });
+    const statuses = flattenRows(tables).map((row) => ({
+      time: row._time,
+      check: row._check_name,
+      checkID: row._check_id,
+      type: row._type,
+      level: row._level,
+      message: row._value,
+      measurement: row._source_measurement,
+      tags: Object.fromEntries(
+        Object.entries(row).filter(([key, value]) =>
+          !STATUS_COLUMNS.includes(key) &&
+          value !== null && value !== undefined && value !== ""
+        ),
+      ),
+    }));
+
+    console.log(`=== STATUSES RESOURCE COMPLETED: ${statuses.length} statuses ===`);
+    return {
+      contents: [{
+        uri: uri.href,
+        text: JSON.stringify({ org, statuses }),
+      }],
+    };
+  } catch (error) {
+    console.error(`=== STATUSES RESOURCE ERROR: ${error.message} ===`);
+    return {
+      contents: [{
+        uri: uri.href,
+        text: JSON.stringify({
+          error: `Error retrieving statuses: ${error.message}`,
+        }),
+      }],
+      error: true,
+    };
+  }
+}
@@ -0,0 +1,111 @@
+import { errorContents } from "../utils/errors.js";
+import { influxRequest } from "../utils/influxClient.js";
+import { assertOrgAllowed } from "../utils/policy.js";
+import { describeTask } from "../utils/tasks.js";
+
+// How many of the most recent runs the runs resource returns
+const TASK_RUN_LIMIT = 50;
+
+// Fetch a task by ID and check its org against the access policy
+async function fetchTask(taskID) {
+  const response = await influxRequest(
+    `/api/v2/tasks/${encodeURIComponent(taskID)}`,
+    {},
+    5000,
+  );
+  const task = await response.json();
+  assertOrgAllowed({ id: task.orgID, name: task.org });
+  return task;
+}
+
+// Resource: Task details, including its Flux script
+export async function taskDetails(uri, { taskID }) {
+  const id = decodeURIComponent(taskID);
+  console.log(`=== TASK DETAILS RESOURCE CALLED for ${id} ===`);
+
+  try {
+    const task = describeTask(await fetchTask(id));
+
+    console.log(`=== TASK DETAILS RESOURCE COMPLETED ===`);
+    return {
+      contents: [{
+        uri: uri.href,
+        text: JSON.stringify(task),
+      }],
+    };
+  } catch (error) {
+    console.error(`=== TASK DETAILS RESOURCE ERROR: ${error.message} ===`);
+    return errorContents(uri, `Error retrieving task: ${error.message}`);
+  }
+}
+
+// Resource: Most recent runs of a task, failed ones with their error
+export async function taskRuns(uri, { taskID }) {
+  const id = decodeURIComponent(taskID);
+  console.log(`=== TASK RUNS RESOURCE CALLED for ${id} ===`);
+
+  try {
+    const task = await fetchTask(id);
+    const response = await influxRequest(
+      `/api/v2/tasks/${encodeURIComponent(id)}/runs?limit=${TASK_RUN_LIMIT}`,
+      {},
+      5000,
+    );
+    const runs = ((await response.json()).runs || []).map((run) => ({
+      id: run.id,
+      status: run.status,
+      scheduledFor: run.scheduledFor,
+      requestedAt: run.requestedAt,
+      startedAt: run.startedAt,
+      finishedAt: run.finishedAt,
+      // Failed runs carry their log inline; the last message is the error
+      ...(run.status === "failed" && run.log?.length
+        ? { error: run.log[run.log.length - 1].message }
+        : {}),
+    }));
+
+    console.log(`=== TASK RUNS RESOURCE COMPLETED: ${runs.length} runs ===`);
+    return {
+      contents: [{
+        uri: uri.href,
+        text: JSON.stringify({
+          task: { id: task.id, name: task.name, status: task.status },
+          runs,
+        }),
+      }],
+    };
+  } catch (error) {
+    console.error(`=== TASK RUNS RESOURCE ERROR: ${error.message} ===`);
+    return errorContents(uri, `Error retrieving task runs: ${error.message}`);
+  }
+}
+
+// Resource: Log events of one task run
+export async function taskRunLogs(uri, { taskID, runID }) {
+  const id = decodeURIComponent(taskID);
+  const run = decodeURIComponent(runID);
+  console.log(`=== TASK RUN LOGS RESOURCE CALLED for ${id}/${run} ===`);
+
+  try {
+    await fetchTask(id);
+    const response = await influxRequest(
+      `/api/v2/tasks/${encodeURIComponent(id)}/runs/${encodeURIComponent(run)}/logs`,
+      {},
+      5000,
+    );
+    const events = ((await response.json()).events || []).map(
+      ({ time, message }) => ({ time, message }),
+    );
+
+    console.log(`=== TASK RUN LOGS RESOURCE COMPLETED: ${events.length} events ===`);
+    return {
+      contents: [{
+        uri: uri.href,
+        text: JSON.stringify({ taskID: id, runID: run, events }),
+      }],
+    };
+  } catch (error) {
+    console.error(`=== TASK RUN LOGS RESOURCE ERROR: ${error.message} ===`);
+    return errorContents(uri, `Error retrieving task run logs: ${error.message}`);
+  }
+}
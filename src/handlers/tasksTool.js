@@ -0,0 +1,234 @@
+import { errorResult } from "../utils/errors.js";
+import { influxRequest } from "../utils/influxClient.js";
+import { fetchFluxAst } from "../utils/fluxAst.js";
+import { resolveOrg } from "../utils/orgs.js";
+import { assertFluxAllowed, assertOrgAllowed, policyActive } from "../utils/policy.js";
+import {
+  describeTask,
+  findTask,
+  listAllTasks,
+  withTaskOptions,
+} from "../utils/tasks.js";
+
+// Tasks run their Flux on the server long after the tool call, so the
+// access policy checks the script when it is saved
+async function assertTaskFluxAllowed(flux) {
+  if (policyActive()) {
+    await assertFluxAllowed(await fetchFluxAst(flux));
+  }
+}
+
+// Resolve the org and the task in it, checking both against the policy
+async function resolveTask(org, task) {
+  const owner = await resolveOrg(org);
+  assertOrgAllowed(owner);
+  const found = await findTask(owner, task);
+  assertOrgAllowed({ id: found.orgID, name: found.org });
+  return found;
+}
+
+// Tool: List tasks
+export async function listTasks({ org, name }) {
+  console.log(`=== LIST-TASKS TOOL CALLED ===`);
+
+  try {
+    const owner = await resolveOrg(org);
+    assertOrgAllowed(owner);
+
+    const tasks = (await listAllTasks({ orgID: owner.id, name }))
+      .map((task) => describeTask(task, { flux: false }));
+
+    console.log(`=== LIST-TASKS TOOL COMPLETED: ${tasks.length} tasks ===`);
+    return {
+      content: [{
+        type: "text",
+        text: JSON.stringify({ org: owner, tasks }),
+      }],
+    };
+  } catch (error) {
+    console.error(`=== LIST-TASKS TOOL ERROR: ${error.message} ===`);
+    return errorResult("listing tasks", error);
+  }
+}
+
+// Tool: Create a task
+export async function createTask(
+  { org, flux, name, every, cron, offset, description, status = "active" },
+  { confirm } = {},
+) {
+  console.log(`=== CREATE-TASK TOOL CALLED ===`);
+  console.log(`Creating task: ${name}, org: ${org}`);
+
+  try {
+    const owner = await resolveOrg(org);
+    assertOrgAllowed(owner);
+    const script = withTaskOptions(flux, { name, every, cron, offset });
+    await assertTaskFluxAllowed(script);
+
+    await confirm?.(
+      `Create ${status} task ${name ? `'${name}' ` : ""}in organization '${owner.name}' running:\n\n${script}`,
+    );
+
+    const response = await influxRequest("/api/v2/tasks", {
+      method: "POST",
+      body: JSON.stringify({ orgID: owner.id, flux: script, description, status }),
+    });
+    const task = describeTask(await response.json());
+
+    console.log(`=== CREATE-TASK TOOL COMPLETED SUCCESSFULLY ===`);
+    return {
+      content: [{
+        type: "text",
+        text: JSON.stringify(task),
+      }],
+    };
+  } catch (error) {
+    console.error(`=== CREATE-TASK TOOL ERROR: ${error.message} ===`);
+    return errorResult("creating task", error);
+  }
+}
+
+// Tool: Update a task's script, schedule or description
+export async function updateTask(
+  { org, task, flux, name, every, cron, offset, description },
+  { confirm } = {},
+) {
+  console.log(`=== UPDATE-TASK TOOL CALLED ===`);
+  console.log(`Updating task: ${task}, org: ${org}`);
+
+  try {
+    const current = await resolveTask(org, task);
+    if (every && cron) {
+      throw new Error("every and cron cannot both be set");
+    }
+
+    const update = Object.fromEntries(
+      Object.entries({ flux, name, every, cron, offset, description })
+        .filter(([, value]) => value !== undefined),
+    );
+    if (Object.keys(update).length === 0) {
+      throw new Error(`nothing to change for task '${current.name}'`);
+    }
+    if (flux !== undefined) {
+      await assertTaskFluxAllowed(flux);
+    }
+
+    await confirm?.(
+      `Update task '${current.name}' (${current.id}): ${Object.keys(update).join(", ")}.${flux === undefined ? "" : `\n\nNew script:\n\n${flux}`}`,
+    );
+
+    const response = await influxRequest(
+      `/api/v2/tasks/${encodeURIComponent(current.id)}`,
+      {
+        method: "PATCH",
+        body: JSON.stringify(update),
+      },
+    );
+    const updated = describeTask(await response.json());
+
+    console.log(`=== UPDATE-TASK TOOL COMPLETED SUCCESSFULLY ===`);
+    return {
+      content: [{
+        type: "text",
+        text: JSON.stringify(updated),
+      }],
+    };
+  } catch (error) {
+    console.error(`=== UPDATE-TASK TOOL ERROR: ${error.message} ===`);
+    return errorResult("updating task", error);
+  }
+}
+
+// Tool: Enable or disable a task
+export async function setTaskStatus({ org, task, status }, { confirm } = {}) {
+  console.log(`=== SET-TASK-STATUS TOOL CALLED ===`);
+  console.log(`Setting task ${task} to ${status}`);
+
+  try {
+    const current = await resolveTask(org, task);
+    await confirm?.(`Set task '${current.name}' (${current.id}) to ${status}.`);
+
+    const response = await influxRequest(
+      `/api/v2/tasks/${encodeURIComponent(current.id)}`,
+      {
+        method: "PATCH",
+        body: JSON.stringify({ status }),
+      },
+    );
+    const updated = await response.json();
+
+    console.log(`=== SET-TASK-STATUS TOOL COMPLETED SUCCESSFULLY ===`);
+    return {
+      content: [{
+        type: "text",
+        text: `Task '${updated.name}' (${updated.id}) is now ${updated.status}`,
+      }],
+    };
+  } catch (error) {
+    console.error(`=== SET-TASK-STATUS TOOL ERROR: ${error.message} ===`);
+    return errorResult("updating task status", error);
+  }
+}
+
+// Tool: Run a task now, outside its schedule
+export async function runTask({ org, task, scheduledFor }, { confirm } = {}) {
+  console.log(`=== RUN-TASK TOOL CALLED ===`);
+  console.log(`Running task ${task}`);
+
+  try {
+    const current = await resolveTask(org, task);
+    await confirm?.(
+      `Run task '${current.name}' (${current.id}) now${scheduledFor ? ` as if scheduled for ${scheduledFor}` : ""}.`,
+    );
+
+    const response = await influxRequest(
+      `/api/v2/tasks/${encodeURIComponent(current.id)}/runs`,
+      {
+        method: "POST",
+        body: JSON.stringify(scheduledFor ? { scheduledFor } : {}),
+      },
+    );
+    const run = await response.json();
+
+    console.log(`=== RUN-TASK TOOL COMPLETED SUCCESSFULLY ===`);
+    return {
+      content: [{
+        type: "text",
+        text:
+          `Run ${run.id} of task '${current.name}' queued with status ${run.status}. Read influxdb://task/${current.id}/runs/${run.id}/logs for its logs.`,
+      }],
+    };
+  } catch (error) {
+    console.error(`=== RUN-TASK TOOL ERROR: ${error.message} ===`);
+    return errorResult("running task", error);
+  }
+}
+
+// Tool: Delete a task
+export async function deleteTask({ org, task }, { confirm } = {}) {
+  console.log(`=== DELETE-TASK TOOL CALLED ===`);
+  console.log(`Deleting task ${task}`);
+
+  try {
+    const current = await resolveTask(org, task);
+    await confirm?.(
+      `Delete task '${current.name}' (${current.id}) and its run history. This cannot be undone.`,
+    );
+
+    await influxRequest(
+      `/api/v2/tasks/${encodeURIComponent(current.id)}`,
+      { method: "DELETE" },
+    );
+
+    console.log(`=== DELETE-TASK TOOL COMPLETED SUCCESSFULLY ===`);
+    return {
+      content: [{
+        type: "text",
+        text: `Task '${current.name}' (${current.id}) deleted successfully`,
+      }],
+    };
+  } catch (error) {
+    console.error(`=== DELETE-TASK TOOL ERROR: ${error.message} ===`);
+    return errorResult("deleting task", error);
+  }
+}
@@ -0,0 +1,217 @@
+import { findBucket } from "../utils/buckets.js";
+import { findDashboard } from "../utils/dashboards.js";
+import { errorResult } from "../utils/errors.js";
+import { fetchFluxAst } from "../utils/fluxAst.js";
+import { findMonitoring } from "../utils/monitoring.js";
+import { resolveOrg } from "../utils/orgs.js";
+import {
+  assertBucketAllowed,
+  assertFluxAllowed,
+  assertOrgAllowed,
+  policyActive,
+} from "../utils/policy.js";
+import { findTask } from "../utils/tasks.js";
+import {
+  applyTemplate as applyTemplateRequest,
+  describeDiff,
+  diffBuckets,
+  diffQueries,
+  diffTelegrafConfigs,
+  exportTemplate as exportTemplateRequest,
+  findLabel,
+  listStacks as listStackRecords,
+  stackURLs,
+  summarizeDiff,
+} from "../utils/templates.js";
+
+// Resolve the names or IDs of the resources to export to { kind, id } pairs.
+// Resources found by ID can belong to another org, which the policy checks.
+async function exportResources(
+  owner,
+  { buckets = [], tasks = [], checks = [], dashboards = [], labels = [] },
+) {
+  const resources = [];
+  const add = async (kind, item) => {
+    if (item.orgID && item.orgID !== owner.id) {
+      assertOrgAllowed(await resolveOrg(item.orgID));
+    }
+    resources.push({ kind, id: item.id });
+  };
+
+  for (const name of buckets) {
+    assertBucketAllowed(name);
+    await add("Bucket", await findBucket(owner, name));
+  }
+  for (const task of tasks) {
+    await add("Task", await findTask(owner, task));
+  }
+  for (const check of checks) {
+    await add("Check", await findMonitoring("check", owner, check));
+  }
+  for (const dashboard of dashboards) {
+    await add("Dashboard", await findDashboard(owner, dashboard));
+  }
+  for (const label of labels) {
+    await add("Label", await findLabel(owner, label));
+  }
+  return resources;
+}
+
+// Check what a template would do against the access policy: the buckets it
+// touches and the buckets the queries of its tasks, checks and dashboard
+// cells read or write. Telegraf configs name their bucket in TOML, so under
+// a policy they are refused.
+async function assertDiffAllowed(diff) {
+  if (!policyActive()) return;
+
+  const telegrafs = diffTelegrafConfigs(diff);
+  if (telegrafs.length > 0) {
+    throw new Error(
+      `The template changes Telegraf configs (${telegrafs.join(", ")}), whose buckets the access policy cannot check; remove them from the template`,
+    );
+  }
+  diffBuckets(diff).forEach(assertBucketAllowed);
+  for (const query of diffQueries(diff)) {
+    await assertFluxAllowed(await fetchFluxAst(query));
+  }
+}
+
+// The server fetches remote templates for the dry run and again for the
+// apply, and what it checked the first time may not be what it applies, so
+// under a policy only inline templates are applied
+async function assertNoRemotes({ url, stack }) {
+  if (!policyActive()) return;
+
+  if (url) {
+    throw new Error(
+      "Templates given by url cannot be checked against the access policy, as they are fetched again when applied; pass the template inline",
+    );
+  }
+  if (stack) {
+    const urls = await stackURLs(stack);
+    if (urls.length > 0) {
+      throw new Error(
+        `Stack ${stack} applies templates from ${urls.join(", ")}, which cannot be checked against the access policy, as they are fetched again when applied`,
+      );
+    }
+  }
+}
+
+// Tool: List the stacks of an org, each tracking the resources applied from
+// a template
+export async function listStacks({ org }) {
+  console.log(`=== LIST-STACKS TOOL CALLED ===`);
+  console.log(`Listing stacks of org: ${org}`);
+
+  try {
+    const owner = await resolveOrg(org);
+    assertOrgAllowed(owner);
+    const stacks = await listStackRecords(owner.id);
+
+    console.log(`=== LIST-STACKS TOOL COMPLETED: ${stacks.length} stacks ===`);
+    return {
+      content: [{
+        type: "text",
+        text: JSON.stringify({ org: owner, stacks }),
+      }],
+    };
+  } catch (error) {
+    console.error(`=== LIST-STACKS TOOL ERROR: ${error.message} ===`);
+    return errorResult("listing stacks", error);
+  }
+}
+
+// Tool: Export resources, a stack or a whole org as a template
+export async function exportTemplate({ org, stack, ...selection }) {
+  console.log(`=== EXPORT-TEMPLATE TOOL CALLED ===`);
+  console.log(`Exporting template from org: ${org}, stack: ${stack}`);
+
+  try {
+    const owner = await resolveOrg(org);
+    assertOrgAllowed(owner);
+    const resources = await exportResources(owner, selection);
+    const template = await exportTemplateRequest(owner.id, { resources, stack });
+
+    // A stack or a whole org can hold buckets hidden by the policy
+    if (policyActive()) {
+      template
+        .filter((object) => object.kind === "Bucket")
+        .forEach((object) => assertBucketAllowed(object.spec?.name ?? object.metadata?.name));
+    }
+
+    console.log(`=== EXPORT-TEMPLATE TOOL COMPLETED: ${template.length} objects ===`);
+    return {
+      content: [{
+        type: "text",
+        text: JSON.stringify(template, null, 2),
+      }],
+    };
+  } catch (error) {
+    console.error(`=== EXPORT-TEMPLATE TOOL ERROR: ${error.message} ===`);
+    return errorResult("exporting template", error);
+  }
+}
+
+// Tool: Dry-run a template or stack and show what applying it would create,
+// update and delete
+export async function diffTemplate({ org, ...source }) {
+  console.log(`=== DIFF-TEMPLATE TOOL CALLED ===`);
+  console.log(`Diffing template for org: ${org}, stack: ${source.stack}, url: ${source.url}`);
+
+  try {
+    const owner = await resolveOrg(org);
+    assertOrgAllowed(owner);
+    const result = await applyTemplateRequest(owner.id, source, { dryRun: true });
+    await assertDiffAllowed(result.diff);
+
+    console.log(`=== DIFF-TEMPLATE TOOL COMPLETED SUCCESSFULLY ===`);
+    return {
+      content: [{
+        type: "text",
+        text: JSON.stringify({
+          stackID: result.stackID,
+          changes: summarizeDiff(result.diff),
+        }),
+      }],
+    };
+  } catch (error) {
+    console.error(`=== DIFF-TEMPLATE TOOL ERROR: ${error.message} ===`);
+    return errorResult("diffing template", error);
+  }
+}
+
+// Tool: Apply a template or stack. The changes are worked out with a dry run
+// first, so that they are checked and confirmed before anything is applied.
+export async function applyTemplate({ org, ...source }, { confirm } = {}) {
+  console.log(`=== APPLY-TEMPLATE TOOL CALLED ===`);
+  console.log(`Applying template to org: ${org}, stack: ${source.stack}, url: ${source.url}`);
+
+  try {
+    const owner = await resolveOrg(org);
+    assertOrgAllowed(owner);
+    await assertNoRemotes(source);
+    const dryRun = await applyTemplateRequest(owner.id, source, { dryRun: true });
+    await assertDiffAllowed(dryRun.diff);
+
+    const target = source.stack ? `stack ${source.stack}` : "a new stack";
+    await confirm?.(
+      `Apply the template to organization '${owner.name}' as ${target}:\n\n${describeDiff(summarizeDiff(dryRun.diff))}`,
+    );
+
+    const result = await applyTemplateRequest(owner.id, source, { dryRun: false });
+
+    console.log(`=== APPLY-TEMPLATE TOOL COMPLETED SUCCESSFULLY ===`);
+    return {
+      content: [{
+        type: "text",
+        text: JSON.stringify({
+          stackID: result.stackID,
+          changes: summarizeDiff(result.diff),
+        }),
+      }],
+    };
+  } catch (error) {
+    console.error(`=== APPLY-TEMPLATE TOOL ERROR: ${error.message} ===`);
+    return errorResult("applying template", error);
+  }
+}
@@ -0,0 +1,178 @@
+import { influxRequest } from "../utils/influxClient.js";
+import {
+  buildPermissions,
+  createAuthorization,
+  describeAuthorization,
+  describePermission,
+} from "../utils/authorizations.js";
+import { resolveOrg } from "../utils/orgs.js";
+import { assertOrgAllowed, orgAllowed } from "../utils/policy.js";
+
+// Fetch an authorization by ID and check its org against the access policy
+async function fetchAuthorization(id) {
+  const response = await influxRequest(
+    `/api/v2/authorizations/${encodeURIComponent(id)}`,
+    {},
+    5000,
+  );
+  const authorization = describeAuthorization(await response.json());
+  assertOrgAllowed({ id: authorization.orgID, name: authorization.org });
+  return authorization;
+}
+
+// Tool: List API tokens without their secret values
+export async function listTokens({ org, user }) {
+  console.log(`=== LIST-TOKENS TOOL CALLED ===`);
+
+  try {
+    const query = new URLSearchParams();
+    if (org) {
+      const target = await resolveOrg(org);
+      assertOrgAllowed(target);
+      query.set("orgID", target.id);
+    }
+    if (user) {
+      query.set("user", user);
+    }
+
+    const response = await influxRequest(`/api/v2/authorizations?${query}`, {}, 5000);
+    const authorizations = ((await response.json()).authorizations || [])
+      .map(describeAuthorization)
+      .filter(({ orgID, org: name }) => orgAllowed({ id: orgID, name }));
+
+    console.log(`=== LIST-TOKENS TOOL COMPLETED: ${authorizations.length} tokens ===`);
+    return {
+      content: [{
+        type: "text",
+        text: JSON.stringify({ authorizations }),
+      }],
+    };
+  } catch (error) {
+    console.error(`=== LIST-TOKENS TOOL ERROR: ${error.message} ===`);
+    return {
+      content: [{
+        type: "text",
+        text: `Error listing tokens: ${error.message}`,
+      }],
+      isError: true,
+    };
+  }
+}
+
+// Tool: Create an API token with per-bucket and org-wide permissions
+export async function createToken(
+  { org, description, readBuckets, writeBuckets, resources },
+  { confirm } = {},
+) {
+  console.log(`=== CREATE-TOKEN TOOL CALLED ===`);
+  console.log(`Creating token in org: ${org}, description: ${description}`);
+
+  try {
+    const owner = await resolveOrg(org);
+    assertOrgAllowed(owner);
+    const permissions = await buildPermissions(owner, {
+      readBuckets,
+      writeBuckets,
+      resources,
+    });
+
+    await confirm?.(
+      `Create a token '${description || ""}' in organization '${owner.name}' with: ${permissions.map(describePermission).join(", ")}.`,
+    );
+
+    const created = await createAuthorization(owner, description, permissions);
+
+    console.log(`=== CREATE-TOKEN TOOL COMPLETED SUCCESSFULLY ===`);
+    return {
+      content: [{
+        type: "text",
+        text:
+          `Token created successfully:\nID: ${created.id}\nPermissions: ${(created.permissions || []).map(describePermission).join(", ")
+          }\nToken: ${created.token}\n\nStore the token now; it is not shown again.`,
+      }],
+    };
+  } catch (error) {
+    console.error(`=== CREATE-TOKEN TOOL ERROR: ${error.message} ===`);
+    return {
+      content: [{
+        type: "text",
+        text: `Error creating token: ${error.message}`,
+      }],
+      isError: true,
+    };
+  }
+}
+
+// Tool: Activate or deactivate an API token
+export async function setTokenStatus({ id, status }, { confirm } = {}) {
+  console.log(`=== SET-TOKEN-STATUS TOOL CALLED ===`);
+  console.log(`Setting token ${id} to ${status}`);
+
+  try {
+    const current = await fetchAuthorization(id);
+    await confirm?.(
+      `Set token ${current.id} ('${current.description}', ${current.permissions.join(", ")}) to ${status}.`,
+    );
+
+    const response = await influxRequest(
+      `/api/v2/authorizations/${encodeURIComponent(id)}`,
+      {
+        method: "PATCH",
+        body: JSON.stringify({ status }),
+      },
+    );
+    const updated = describeAuthorization(await response.json());
+
+    console.log(`=== SET-TOKEN-STATUS TOOL COMPLETED SUCCESSFULLY ===`);
+    return {
+      content: [{
+        type: "text",
+        text: `Token ${updated.id} is now ${updated.status}`,
+      }],
+    };
+  } catch (error) {
+    console.error(`=== SET-TOKEN-STATUS TOOL ERROR: ${error.message} ===`);
+    return {
+      content: [{
+        type: "text",
+        text: `Error updating token: ${error.message}`,
+      }],
+      isError: true,
+    };
+  }
+}
+
+// Tool: Delete an API token
+export async function deleteToken({ id }, { confirm } = {}) {
+  console.log(`=== DELETE-TOKEN TOOL CALLED ===`);
+  console.log(`Deleting token ${id}`);
+
+  try {
+    const current = await fetchAuthorization(id);
+    await confirm?.(
+      `Delete token ${current.id} ('${current.description}', ${current.permissions.join(", ")}) in organization '${current.org}'. Clients using it lose access immediately.`,
+    );
+
+    await influxRequest(
+      `/api/v2/authorizations/${encodeURIComponent(id)}`,
+      { method: "DELETE" },
+    );
+
+    console.log(`=== DELETE-TOKEN TOOL COMPLETED SUCCESSFULLY ===`);
+    return {
+      content: [{
+        type: "text",
+        text: `Token ${current.id} ('${current.description}') deleted successfully`,
+      }],
+    };
+  } catch (error) {
+    console.error(`=== DELETE-TOKEN TOOL ERROR: ${error.message} ===`);
+    return {
+      content: [{
+        type: "text",
+        text: `Error deleting token: ${error.message}`,
+      }],
+      isError: true,
+    };
+  }
+}
@@ -0,0 +1,106 @@
+import { influxRequest } from "../utils/influxClient.js";
+import { describeBucket, findBucket, formatRetention } from "../utils/buckets.js";
+import { resolveOrg } from "../utils/orgs.js";
+import { assertBucketAllowed, assertOrgAllowed } from "../utils/policy.js";
+
+// Tool: Update Bucket
+export async function updateBucket(
+  {
+    org,
+    bucket,
+    name,
+    description,
+    retentionPeriodSeconds,
+    shardGroupDurationSeconds,
+  },
+  { confirm } = {},
+) {
+  console.log(`=== UPDATE-BUCKET TOOL CALLED ===`);
+  console.log(`Updating bucket: ${bucket}, org: ${org}`);
+
+  try {
+    const owner = await resolveOrg(org);
+    assertOrgAllowed(owner);
+    assertBucketAllowed(bucket);
+    if (name !== undefined) {
+      assertBucketAllowed(name);
+    }
+
+    const current = describeBucket(await findBucket(owner, bucket));
+    const update = {};
+    const changes = [];
+
+    if (name !== undefined && name !== current.name) {
+      update.name = name;
+      changes.push(`name '${current.name}' -> '${name}'`);
+    }
+    if (description !== undefined && description !== current.description) {
+      update.description = description;
+      changes.push(`description -> '${description}'`);
+    }
+
+    // The retention rule is replaced as a whole, so a change to either
+    // setting carries the other one over from the current rule
+    const everySeconds = retentionPeriodSeconds ?? current.retentionPeriodSeconds;
+    const shardGroup = shardGroupDurationSeconds ?? current.shardGroupDurationSeconds;
+    if (everySeconds !== current.retentionPeriodSeconds) {
+      changes.push(
+        `retention ${formatRetention(current.retentionPeriodSeconds)} -> ${formatRetention(everySeconds)}`,
+      );
+    }
+    if (shardGroup !== current.shardGroupDurationSeconds) {
+      changes.push(
+        `shard group duration ${current.shardGroupDurationSeconds ?? "default"} -> ${shardGroup} seconds`,
+      );
+    }
+    if (
+      everySeconds !== current.retentionPeriodSeconds ||
+      shardGroup !== current.shardGroupDurationSeconds
+    ) {
+      // No expire rule means infinite retention
+      update.retentionRules = everySeconds === 0 && shardGroup === undefined
+        ? []
+        : [{
+          type: "expire",
+          everySeconds,
+          ...(shardGroup === undefined ? {} : { shardGroupDurationSeconds: shardGroup }),
+        }];
+    }
+
+    if (changes.length === 0) {
+      throw new Error(`nothing to change for bucket '${current.name}'`);
+    }
+
+    await confirm?.(
+      `Update bucket '${current.name}' (${current.id}) in org '${owner.name}': ${changes.join(", ")}.`,
+    );
+
+    console.log(`Updating bucket with data: ${JSON.stringify(update)}`);
+    const response = await influxRequest(
+      `/api/v2/buckets/${encodeURIComponent(current.id)}`,
+      {
+        method: "PATCH",
+        body: JSON.stringify(update),
+      },
+    );
+    const updated = describeBucket(await response.json());
+
+    console.log(`=== UPDATE-BUCKET TOOL COMPLETED SUCCESSFULLY ===`);
+    return {
+      content: [{
+        type: "text",
+        text:
+          `Bucket updated successfully:\nID: ${updated.id}\nName: ${updated.name}\nRetention: ${formatRetention(updated.retentionPeriodSeconds)}\nChanges: ${changes.join(", ")}`,
+      }],
+    };
+  } catch (error) {
+    console.error(`=== UPDATE-BUCKET TOOL ERROR: ${error.message} ===`);
+    return {
+      content: [{
+        type: "text",
+        text: `Error updating bucket: ${error.message}`,
+      }],
+      isError: true,
+    };
+  }
+}
@@ -0,0 +1,62 @@
+import { influxRequest } from "../utils/influxClient.js";
+import { forgetOrgs, resolveOrg } from "../utils/orgs.js";
+import { assertOrgAllowed } from "../utils/policy.js";
+
+// Tool: Update Organization
+export async function updateOrg({ org, name, description }, { confirm } = {}) {
+  console.log(`=== UPDATE-ORG TOOL CALLED ===`);
+  console.log(`Updating org: ${org}`);
+
+  try {
+    const current = await resolveOrg(org);
+    assertOrgAllowed(current);
+
+    const update = {};
+    const changes = [];
+    if (name !== undefined && name !== current.name) {
+      assertOrgAllowed({ name });
+      update.name = name;
+      changes.push(`name '${current.name}' -> '${name}'`);
+    }
+    if (description !== undefined) {
+      update.description = description;
+      changes.push(`description -> '${description}'`);
+    }
+    if (changes.length === 0) {
+      throw new Error(`nothing to change for org '${current.name}'`);
+    }
+
+    await confirm?.(
+      `Update organization '${current.name}' (${current.id}): ${changes.join(", ")}.`,
+    );
+
+    const response = await influxRequest(
+      `/api/v2/orgs/${encodeURIComponent(current.id)}`,
+      {
+        method: "PATCH",
+        body: JSON.stringify(update),
+      },
+    );
+    const updated = await response.json();
+    forgetOrgs();
+
+    console.log(`=== UPDATE-ORG TOOL COMPLETED SUCCESSFULLY ===`);
+    return {
+      content: [{
+        type: "text",
+        text:
+          `Organization updated successfully:\nID: ${updated.id}\nName: ${updated.name}\nDescription: ${updated.description || "N/A"
+          }`,
+      }],
+    };
+  } catch (error) {
+    console.error(`=== UPDATE-ORG TOOL ERROR: ${error.message} ===`);
+    return {
+      content: [{
+        type: "text",
+        text: `Error updating organization: ${error.message}`,
+      }],
+      isError: true,
+    };
+  }
+}
@@ -0,0 +1,58 @@
+import { influxRequest } from "../utils/influxClient.js";
+import { fetchFluxAst, findReferences } from "../utils/fluxAst.js";
+
+// Tool: Validate a Flux query without running it
+export async function validateQuery({ query }) {
+  console.log(`=== VALIDATE-QUERY TOOL CALLED ===`);
+
+  try {
+    const response = await influxRequest("/api/v2/query/analyze", {
+      method: "POST",
+      body: JSON.stringify({ query, type: "flux" }),
+    });
+    const analysis = await response.json();
+    const errors = (analysis.errors || []).map(
+      ({ line, column, character, message }) => ({
+        line,
+        column,
+        character,
+        message,
+      }),
+    );
+
+    // References are best-effort: a query with syntax errors may not parse
+    // far enough for the AST to be useful
+    let references = null;
+    try {
+      references = findReferences(await fetchFluxAst(query));
+    } catch (error) {
+      console.error(`Could not inspect query AST: ${error.message}`);
+    }
+
+    console.log(`=== VALIDATE-QUERY TOOL COMPLETED: ${errors.length} errors ===`);
+    return {
+      content: [{
+        type: "text",
+        text: JSON.stringify({
+          valid: errors.length === 0,
+          errors,
+          references: references && {
+            buckets: references.buckets,
+            bucketIDs: references.bucketIDs,
+            measurements: references.measurements,
+            functions: references.functions,
+          },
+        }),
+      }],
+    };
+  } catch (error) {
+    console.error(`=== VALIDATE-QUERY TOOL ERROR: ${error.message} ===`);
+    return {
+      content: [{
+        type: "text",
+        text: `Error validating query: ${error.message}`,
+      }],
+      isError: true,
+    };
+  }
+}
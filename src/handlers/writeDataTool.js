@@ -1,8 +1,32 @@
 import fetch from "node-fetch";
+import { getBackend } from "../backends/index.js";
 import { INFLUXDB_TOKEN, INFLUXDB_URL } from "../config/env.js";
+import { resolveOrg } from "../utils/orgs.js";
+import { assertBucketAllowed, assertOrgAllowed } from "../utils/policy.js";
+
+// Count the points in a line protocol payload and collect their measurement
+// names, skipping blank lines and comments
+function summarizePoints(data) {
+  const measurements = new Set();
+  let points = 0;
+  for (const line of data.split("\n")) {
+    const text = line.trim();
+    if (text === "" || text.startsWith("#")) continue;
+    points++;
+    measurements.add(text.match(/^(?:[^,\s\\]|\\.)*/)[0]);
+  }
+  return { points, measurements: Array.from(measurements) };
+}
+
+// Confirmation summary of a write; owner is undefined on InfluxDB 3
+function describeWrite(data, { bucket, owner, precision }) {
+  const { points, measurements } = summarizePoints(data);
+  const org = owner ? ` in org '${owner.name}' (${owner.id})` : "";
+  return `Write ${points} point${points === 1 ? "" : "s"} (measurements: ${measurements.join(", ")}) to bucket '${bucket}'${org}${precision ? ` with ${precision} precision` : ""}.`;
+}
 
 // Tool: Write Data
-export async function writeData({ org, bucket, data, precision }) {
+export async function writeData({ org, bucket, data, precision }, { confirm } = {}) {
   // Add extremely clear logging
   console.log(`=== WRITE-DATA TOOL CALLED ===`);
   console.log(
@@ -10,8 +34,18 @@ export async function writeData({ org, bucket, data, precision }) {
   );
 
   try {
+    // org may be a name or an ID; the write API is addressed by ID.
+    // InfluxDB 3 has no orgs and takes the database name as the bucket.
+    const owner = getBackend().language === "sql" ? undefined : await resolveOrg(org);
+    if (owner) {
+      assertOrgAllowed(owner);
+    }
+    assertBucketAllowed(bucket);
+
+    await confirm?.(describeWrite(data, { bucket, owner, precision }));
+
     // Simplified approach focusing on core functionality
-    let endpoint = `/api/v2/write?org=${encodeURIComponent(org)}&bucket=${encodeURIComponent(bucket)
+    let endpoint = `/api/v2/write?${owner ? `orgID=${encodeURIComponent(owner.id)}&` : ""}bucket=${encodeURIComponent(bucket)
       }`;
     if (precision) {
       endpoint += `&precision=${precision}`;
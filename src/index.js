@@ -8,22 +8,104 @@ import { program } from "commander";
 import express from "express";
 
 // Import config
-import { validateEnvironment } from "./config/env.js";
+import {
+  ACCESS_POLICY,
+  CONFIRM_TOOLS,
+  READ_ONLY,
+  validateEnvironment,
+} from "./config/env.js";
+import { getBackend } from "./backends/index.js";
 
 // Import utilities
 import { configureLogger } from "./utils/loggerConfig.js";
+import { QUERY_FORMATS } from "./utils/queryFormatters.js";
+import { PERMISSION_ACTIONS, RESOURCE_TYPES } from "./utils/authorizations.js";
+import { FLUX_AGGREGATES } from "./utils/fluxBuilder.js";
+import { CHECK_TYPES, THRESHOLD_TYPES } from "./utils/checks.js";
+import { CHECK_LEVELS, RULE_LEVELS } from "./utils/monitoring.js";
+import { ENDPOINT_TYPES, HTTP_AUTH_METHODS } from "./utils/notifications.js";
+import { CELL_TYPES } from "./utils/dashboards.js";
+import { isReadOnly, setReadOnly } from "./utils/readOnly.js";
+import { policyActive, setPolicy } from "./utils/policy.js";
+import {
+  confirmationRequired,
+  confirmToolCall,
+  setConfirmTools,
+} from "./utils/confirm.js";
 
 // Import resource handlers
 import { listOrganizations } from "./handlers/organizationsHandler.js";
-import { listBuckets } from "./handlers/bucketsHandler.js";
-import { bucketMeasurements } from "./handlers/measurementsHandler.js";
+import { bucketDetails, listBuckets } from "./handlers/bucketsHandler.js";
+import {
+  bucketMeasurements,
+  measurementFieldKeys,
+  measurementTagKeys,
+  measurementTagValues,
+} from "./handlers/measurementsHandler.js";
 import { executeQuery } from "./handlers/queryHandler.js";
+import { executeInfluxQL } from "./handlers/influxqlHandler.js";
+import { taskDetails, taskRunLogs, taskRuns } from "./handlers/tasksHandler.js";
+import { recentStatuses } from "./handlers/statusesHandler.js";
+import { dashboardDetails, listDashboards } from "./handlers/dashboardsHandler.js";
 
 // Import tool handlers
 import { writeData } from "./handlers/writeDataTool.js";
+import { deleteData } from "./handlers/deleteDataTool.js";
 import { queryData } from "./handlers/queryDataTool.js";
+import { validateQuery } from "./handlers/validateQueryTool.js";
+import { buildQuery } from "./handlers/buildQueryTool.js";
+import { queryInfluxQL } from "./handlers/influxqlQueryTool.js";
 import { createBucket } from "./handlers/createBucketTool.js";
+import { updateBucket } from "./handlers/updateBucketTool.js";
+import { deleteBucket } from "./handlers/deleteBucketTool.js";
 import { createOrg } from "./handlers/createOrgTool.js";
+import { updateOrg } from "./handlers/updateOrgTool.js";
+import { deleteOrg } from "./handlers/deleteOrgTool.js";
+import {
+  addOrgMember,
+  listOrgMembers,
+  removeOrgMember,
+} from "./handlers/orgMembersTool.js";
+import {
+  createToken,
+  deleteToken,
+  listTokens,
+  setTokenStatus,
+} from "./handlers/tokensTool.js";
+import {
+  createTask,
+  deleteTask,
+  listTasks,
+  runTask,
+  setTaskStatus,
+  updateTask,
+} from "./handlers/tasksTool.js";
+import { setupDownsampling } from "./handlers/setupDownsamplingTool.js";
+import {
+  createCheck,
+  deleteCheck,
+  listChecks,
+  updateCheck,
+} from "./handlers/checksTool.js";
+import {
+  createNotificationEndpoint,
+  deleteNotificationEndpoint,
+  listNotificationEndpoints,
+  updateNotificationEndpoint,
+} from "./handlers/notificationEndpointsTool.js";
+import {
+  createNotificationRule,
+  deleteNotificationRule,
+  listNotificationRules,
+  updateNotificationRule,
+} from "./handlers/notificationRulesTool.js";
+import { addDashboardCell, createDashboard } from "./handlers/dashboardsTool.js";
+import {
+  applyTemplate,
+  diffTemplate,
+  exportTemplate,
+  listStacks,
+} from "./handlers/templatesTool.js";
 
 // Import prompt handlers
 import { fluxQueryExamplesPrompt } from "./prompts/fluxQueryExamplesPrompt.js";
@@ -37,10 +119,30 @@ validateEnvironment();
 program
   .option("--http [port]", "Start server with Streamable HTTP transport on specified port (default: 3000)")
   .option("--stdio", "Force stdio transport (default behavior)")
+  .option("--read-only", "Reject writes: hide mutating tools and block queries that write data")
+  .option("--confirm <tools>", "Comma-separated tools that ask the user to confirm before running, or * for all")
   .parse(process.argv);
 
 const options = program.opts();
 
+setReadOnly(options.readOnly || READ_ONLY);
+if (isReadOnly()) {
+  console.log("Read-only mode enabled");
+}
+
+const confirmTools = options.confirm
+  ? options.confirm.split(",").map((name) => name.trim()).filter(Boolean)
+  : CONFIRM_TOOLS;
+setConfirmTools(confirmTools);
+if (confirmTools.length > 0) {
+  console.log(`Confirmation required for: ${confirmTools.join(", ")}`);
+}
+
+setPolicy(ACCESS_POLICY);
+if (policyActive()) {
+  console.log(`Access policy enabled: ${JSON.stringify(ACCESS_POLICY)}`);
+}
+
 if (options.http !== undefined && options.stdio) {
   console.error("Cannot use --http and --stdio at the same time. Please choose one transport.");
   process.exit(1);
@@ -53,9 +155,51 @@ const createMcpServer = () => {
     version: "0.1.1",
   });
 
-  // Register resources
-  server.resource("orgs", "influxdb://orgs", listOrganizations);
+  // Tools describe the query language of the configured backend
+  const sqlBackend = getBackend().language === "sql";
+
+  // Every tool declares whether it only reads. In read-only mode the others
+  // are never registered, so a new tool stays hidden there until it is
+  // annotated with readOnlyHint: true.
+  // Handlers get a confirm(summary) function in their second argument that
+  // asks the user through elicitation, only when the tool is configured for
+  // it, so that confirm?.() skips building summaries nobody will see.
+  const registerTool = (name, description, schema, annotations, handler) => {
+    if (isReadOnly() && !annotations.readOnlyHint) {
+      console.log(`Read-only mode: not registering ${name}`);
+      return;
+    }
+    server.tool(name, description, schema, annotations, (args, extra) =>
+      handler(args, {
+        ...extra,
+        confirm: confirmationRequired(name)
+          ? (summary) =>
+            confirmToolCall(server.server, extra, name, summary, args.confirm)
+          : undefined,
+      })
+    );
+  };
+
+  // Register resources. InfluxDB 3 has no orgs, and its databases, listed
+  // as buckets, have no details beyond their name.
+  if (!sqlBackend) {
+    server.resource("orgs", "influxdb://orgs", listOrganizations);
+  }
   server.resource("buckets", "influxdb://buckets", listBuckets);
+  // Filters are read from the query string by the handler, so any
+  // combination of org, prefix and system can be given
+  server.resource(
+    "buckets-filtered",
+    new ResourceTemplate("influxdb://buckets?{+filters}", { list: undefined }),
+    listBuckets,
+  );
+  if (!sqlBackend) {
+    server.resource(
+      "bucket",
+      new ResourceTemplate("influxdb://bucket/{bucketName}", { list: undefined }),
+      bucketDetails,
+    );
+  }
   server.resource(
     "bucket-measurements",
     new ResourceTemplate("influxdb://bucket/{bucketName}/measurements", {
@@ -63,6 +207,82 @@ const createMcpServer = () => {
     }),
     bucketMeasurements,
   );
+  server.resource(
+    "measurement-tag-keys",
+    new ResourceTemplate(
+      "influxdb://bucket/{bucketName}/measurement/{measurement}/tags",
+      { list: undefined },
+    ),
+    measurementTagKeys,
+  );
+  server.resource(
+    "measurement-tag-values",
+    new ResourceTemplate(
+      "influxdb://bucket/{bucketName}/measurement/{measurement}/tags/{tagKey}/values",
+      { list: undefined },
+    ),
+    measurementTagValues,
+  );
+  server.resource(
+    "measurement-field-keys",
+    new ResourceTemplate(
+      "influxdb://bucket/{bucketName}/measurement/{measurement}/fields",
+      { list: undefined },
+    ),
+    measurementFieldKeys,
+  );
+  // Org-scoped variants of the bucket resources above, for tokens that span
+  // several orgs. The shorter URIs use INFLUXDB_ORG.
+  if (!sqlBackend) {
+    server.resource(
+      "org-bucket",
+      new ResourceTemplate("influxdb://org/{orgName}/bucket/{bucketName}", {
+        list: undefined,
+      }),
+      bucketDetails,
+    );
+  }
+  server.resource(
+    "org-bucket-measurements",
+    new ResourceTemplate(
+      "influxdb://org/{orgName}/bucket/{bucketName}/measurements",
+      { list: undefined },
+    ),
+    bucketMeasurements,
+  );
+  server.resource(
+    "org-measurement-tag-keys",
+    new ResourceTemplate(
+      "influxdb://org/{orgName}/bucket/{bucketName}/measurement/{measurement}/tags",
+      { list: undefined },
+    ),
+    measurementTagKeys,
+  );
+  server.resource(
+    "org-measurement-tag-values",
+    new ResourceTemplate(
+      "influxdb://org/{orgName}/bucket/{bucketName}/measurement/{measurement}/tags/{tagKey}/values",
+      { list: undefined },
+    ),
+    measurementTagValues,
+  );
+  server.resource(
+    "org-measurement-field-keys",
+    new ResourceTemplate(
+      "influxdb://org/{orgName}/bucket/{bucketName}/measurement/{measurement}/fields",
+      { list: undefined },
+    ),
+    measurementFieldKeys,
+  );
+  // Registered before "query", whose {fluxQuery} would otherwise also match
+  // the ?params= suffix
+  server.resource(
+    "query-with-params",
+    new ResourceTemplate("influxdb://query/{orgName}/{fluxQuery}{?params}", {
+      list: undefined,
+    }),
+    executeQuery,
+  );
   server.resource(
     "query",
     new ResourceTemplate("influxdb://query/{orgName}/{fluxQuery}", {
@@ -70,16 +290,69 @@ const createMcpServer = () => {
     }),
     executeQuery,
   );
+  server.resource(
+    "influxql-query",
+    new ResourceTemplate("influxdb://influxql/{orgName}/{db}/{influxqlQuery}", {
+      list: undefined,
+    }),
+    executeInfluxQL,
+  );
+  // Tasks run Flux, so they only exist on the InfluxDB 2 backend
+  if (!sqlBackend) {
+    server.resource(
+      "task",
+      new ResourceTemplate("influxdb://task/{taskID}", { list: undefined }),
+      taskDetails,
+    );
+    server.resource(
+      "task-runs",
+      new ResourceTemplate("influxdb://task/{taskID}/runs", { list: undefined }),
+      taskRuns,
+    );
+    server.resource(
+      "task-run-logs",
+      new ResourceTemplate("influxdb://task/{taskID}/runs/{runID}/logs", {
+        list: undefined,
+      }),
+      taskRunLogs,
+    );
+    // Statuses are written by checks, which are tasks as well
+    server.resource("statuses", "influxdb://statuses", recentStatuses);
+    server.resource(
+      "org-statuses",
+      new ResourceTemplate("influxdb://org/{orgName}/statuses", {
+        list: undefined,
+      }),
+      recentStatuses,
+    );
+    // Dashboard cells hold Flux queries, so dashboards are InfluxDB 2 only
+    server.resource("dashboards", "influxdb://dashboards", listDashboards);
+    server.resource(
+      "org-dashboards",
+      new ResourceTemplate("influxdb://org/{orgName}/dashboards", {
+        list: undefined,
+      }),
+      listDashboards,
+    );
+    server.resource(
+      "dashboard",
+      new ResourceTemplate("influxdb://dashboard/{dashboardID}", {
+        list: undefined,
+      }),
+      dashboardDetails,
+    );
+  }
 
   // Register tools
-  server.tool(
+  registerTool(
     "write-data",
     "Stream newline-delimited line protocol records into a bucket. Use this after composing measurements so the LLM can insert real telemetry, optionally controlling timestamp precision.",
     {
       org: z
         .string()
+        .optional()
         .describe(
-          "Human-readable organization name that owns the destination bucket (the same value returned by the orgs resource).",
+          "Organization that owns the destination bucket, by name or ID. Defaults to INFLUXDB_ORG.",
         ),
       bucket: z
         .string()
@@ -98,66 +371,1188 @@ const createMcpServer = () => {
           "Optional timestamp precision. Provide it only when the line protocol omits unit suffix context; defaults to nanoseconds.",
         ),
     },
+    { readOnlyHint: false, destructiveHint: false },
     writeData,
   );
-  server.tool(
+  if (!sqlBackend) {
+    registerTool(
+      "delete-data",
+      "Delete points from a bucket within a time range, optionally narrowed by a predicate such as _measurement=\"cpu\" AND host=\"a\". Run with preview first to count the matching points per measurement without deleting anything.",
+      {
+        org: z
+          .string()
+          .optional()
+          .describe(
+            "Organization that owns the bucket, by name or ID. Defaults to INFLUXDB_ORG.",
+          ),
+        bucket: z
+          .string()
+          .describe("Bucket to delete from."),
+        start: z
+          .string()
+          .describe("Start of the time range as an RFC3339 timestamp, e.g. 2024-01-01T00:00:00Z."),
+        stop: z
+          .string()
+          .describe("End of the time range as an RFC3339 timestamp. Points at this time are deleted too."),
+        predicate: z
+          .string()
+          .optional()
+          .describe(
+            "Delete predicate of key=\"value\" comparisons joined by AND, e.g. _measurement=\"cpu\" AND host=\"a\". OR, != and _field are not supported. Omit to delete every point in the range.",
+          ),
+        preview: z
+          .boolean()
+          .optional()
+          .describe("Count the points that would be deleted instead of deleting them."),
+      },
+      { readOnlyHint: false, destructiveHint: true },
+      deleteData,
+    );
+  }
+  registerTool(
     "query-data",
-    "Execute a Flux query inside an organization to inspect measurement schemas, run aggregations, or validate recently written data.",
+    sqlBackend
+      ? "Execute a SQL query against an InfluxDB 3 database to inspect measurement schemas, run aggregations, or validate recently written data. Large results are returned a page at a time with a cursor for the next page."
+      : "Execute a Flux query inside an organization to inspect measurement schemas, run aggregations, or validate recently written data. Large results are returned a page at a time with a cursor for the next page.",
     {
       org: z
         .string()
+        .optional()
+        .describe(
+          sqlBackend
+            ? "Not used with InfluxDB 3; pass database instead."
+            : "Organization whose buckets the query should target, by name or ID. Defaults to INFLUXDB_ORG.",
+        ),
+      database: z
+        .string()
+        .optional()
         .describe(
-          "Organization whose buckets the query should target (exact name, not ID).",
+          sqlBackend
+            ? "Database to query. Required unless cursor is given."
+            : "Not used with InfluxDB 2; name buckets inside the Flux query instead.",
         ),
       query: z
         .string()
+        .optional()
         .describe(
-          "Flux query text. Multi-line strings are supported; results are returned as annotated CSV for easy parsing.",
+          sqlBackend
+            ? "SQL query text, e.g. SELECT * FROM cpu WHERE time > now() - INTERVAL '1 hour'. Reference values from params as $name instead of interpolating them. Required unless cursor is given."
+            : "Flux query text. Multi-line strings are supported. Reference values from params as params.<name> instead of interpolating them. Required unless cursor is given.",
+        ),
+      params: z
+        .record(z.union([z.string(), z.number(), z.boolean()]))
+        .optional()
+        .describe(
+          sqlBackend
+            ? "Optional SQL parameters, referenced in the query as $name (e.g. {\"host\": \"server01\"})."
+            : "Optional Flux parameters, referenced in the query as params.<name> (e.g. {\"bucket\": \"metrics\", \"host\": \"server01\"}). Pass times and durations as strings and convert them with time(v: params.start) or duration(v: params.every).",
+        ),
+      format: z
+        .enum(QUERY_FORMATS)
+        .optional()
+        .describe(
+          "Optional result format: csv (raw annotated CSV, default), json (typed records grouped by table), markdown (compact tables for chat) or summary (row counts, columns and min/max/mean per numeric column).",
+        ),
+      maxRows: z
+        .number()
+        .int()
+        .positive()
+        .optional()
+        .describe(
+          "Optional page size in rows. Cannot exceed the server-wide INFLUXDB_MAX_ROWS cap.",
+        ),
+      cursor: z
+        .string()
+        .optional()
+        .describe(
+          "Cursor from a previous truncated result. Fetches the next page of that result without running the query again; org and query are ignored.",
         ),
     },
+    { readOnlyHint: true },
     queryData,
   );
-  server.tool(
-    "create-bucket",
-    "Provision a new bucket under an organization so that subsequent write-data calls have a destination.",
+  if (!sqlBackend) {
+    registerTool(
+      "validate-query",
+      "Check a Flux query without running it. Returns syntax and semantic errors with line/column positions, plus the buckets, measurements and functions the query references, so mistakes can be fixed before query-data touches any data.",
+      {
+        query: z
+          .string()
+          .describe("Flux query text to analyze."),
+      },
+      { readOnlyHint: true },
+      validateQuery,
+    );
+    registerTool(
+      "build-query",
+      "Build a Flux query from structured inputs instead of writing Flux by hand: bucket, measurement, time range, tag filters, fields, an optional aggregate with or without a window, group-by columns and a limit. All names and values are escaped. Returns the Flux text and, with execute, its results.",
+      {
+        org: z
+          .string()
+          .optional()
+          .describe(
+            "Organization to run the query in when executing, by name or ID. Defaults to INFLUXDB_ORG.",
+          ),
+        bucket: z
+          .string()
+          .describe("Bucket to read from."),
+        measurement: z
+          .string()
+          .optional()
+          .describe("Optional measurement to filter on."),
+        start: z
+          .string()
+          .optional()
+          .describe(
+            "Range start as a relative duration (-1h, -7d) or an RFC3339 timestamp. Defaults to -1h.",
+          ),
+        stop: z
+          .string()
+          .optional()
+          .describe(
+            "Optional range stop as a relative duration, an RFC3339 timestamp or now().",
+          ),
+        tags: z
+          .record(z.union([z.string(), z.array(z.string())]))
+          .optional()
+          .describe(
+            "Optional tag filters mapping tag keys to a value or a list of accepted values, e.g. {\"host\": [\"server01\", \"server02\"]}.",
+          ),
+        fields: z
+          .array(z.string())
+          .optional()
+          .describe("Optional list of fields to keep."),
+        aggregate: z
+          .enum(FLUX_AGGREGATES)
+          .optional()
+          .describe(
+            "Optional aggregate function. Applied per window when window is set, otherwise once per table.",
+          ),
+        window: z
+          .string()
+          .optional()
+          .describe(
+            "Optional window duration for aggregateWindow, e.g. 5m. Requires aggregate.",
+          ),
+        createEmpty: z
+          .boolean()
+          .optional()
+          .describe(
+            "Whether aggregateWindow emits rows for empty windows. Defaults to false.",
+          ),
+        groupBy: z
+          .array(z.string())
+          .optional()
+          .describe(
+            "Optional columns to group by before aggregating, e.g. [\"host\"]. An empty list merges all series.",
+          ),
+        limit: z
+          .number()
+          .int()
+          .positive()
+          .optional()
+          .describe("Optional maximum number of rows per table."),
+        execute: z
+          .boolean()
+          .optional()
+          .describe(
+            "Run the built query and return its results after the Flux text. Defaults to false.",
+          ),
+        format: z
+          .enum(QUERY_FORMATS)
+          .optional()
+          .describe(
+            "Optional result format when executing, as for query-data.",
+          ),
+        maxRows: z
+          .number()
+          .int()
+          .positive()
+          .optional()
+          .describe(
+            "Optional page size in rows when executing. Further pages are fetched with query-data and the returned cursor.",
+          ),
+      },
+      { readOnlyHint: true },
+      buildQuery,
+    );
+  }
+  registerTool(
+    "query-influxql",
+    "Execute an InfluxQL query through the v1 compatibility API. Useful for existing dashboards and runbooks written in InfluxQL; results come back in the same formats as query-data.",
     {
-      name: z
+      org: z
+        .string()
+        .optional()
+        .describe(
+          sqlBackend
+            ? "Not used with InfluxDB 3."
+            : "Organization that owns the database mapping, by name or ID. Defaults to INFLUXDB_ORG.",
+        ),
+      db: z
+        .string()
+        .describe(
+          "InfluxQL database name. A bucket name also works when the bucket has a DBRP mapping.",
+        ),
+      rp: z
         .string()
+        .optional()
         .describe(
-          "Friendly bucket name. Follow InfluxDB naming rules (alphanumeric, dashes, underscores).",
+          "Optional retention policy. Defaults to the mapping marked as default for the database.",
         ),
-      orgID: z
+      query: z
         .string()
         .describe(
-          "Organization ID (UUID) that will own the bucket. Retrieve it from the organizations resource or create-org output.",
+          "InfluxQL query text, e.g. SELECT mean(\"usage_user\") FROM \"cpu\" WHERE time > now() - 1h GROUP BY time(5m).",
+        ),
+      format: z
+        .enum(QUERY_FORMATS)
+        .optional()
+        .describe(
+          "Optional result format: csv (annotated CSV, default), json, markdown or summary, as for query-data.",
         ),
-      retentionPeriodSeconds: z
+      maxRows: z
         .number()
+        .int()
+        .positive()
         .optional()
         .describe(
-          "Optional retention duration expressed in seconds. Omit for infinite retention.",
+          "Optional page size in rows. Further pages are fetched with query-data and the returned cursor.",
         ),
     },
-    createBucket,
+    { readOnlyHint: true },
+    queryInfluxQL,
   );
-  server.tool(
-    "create-org",
-    "Create a brand-new organization to isolate users or projects before generating buckets and tokens.",
-    {
-      name: z
+  // Bucket, org, token and the management tools below call /api/v2 APIs,
+  // which InfluxDB 3 does not serve
+  if (!sqlBackend) {
+    registerTool(
+      "create-bucket",
+      "Provision a new bucket under an organization so that subsequent write-data calls have a destination.",
+      {
+        name: z
+          .string()
+          .describe(
+            "Friendly bucket name. Follow InfluxDB naming rules (alphanumeric, dashes, underscores).",
+          ),
+        org: z
+          .string()
+          .optional()
+          .describe(
+            "Organization that will own the bucket, by name or ID. Defaults to INFLUXDB_ORG.",
+          ),
+        orgID: z
+          .string()
+          .optional()
+          .describe(
+            "Alias of org kept for existing callers. Accepts a name or an ID.",
+          ),
+        retentionPeriodSeconds: z
+          .number()
+          .optional()
+          .describe(
+            "Optional retention duration expressed in seconds. Omit for infinite retention.",
+          ),
+        createWriteToken: z
+          .boolean()
+          .optional()
+          .describe(
+            "Also create a token that can only write to the new bucket and return it once.",
+          ),
+      },
+      { readOnlyHint: false, destructiveHint: false },
+      createBucket,
+    );
+    registerTool(
+      "update-bucket",
+      "Change an existing bucket's name, description, retention period or shard group duration. Settings that are left out keep their current values.",
+      {
+        org: z
+          .string()
+          .optional()
+          .describe(
+            "Organization that owns the bucket, by name or ID. Defaults to INFLUXDB_ORG.",
+          ),
+        bucket: z
+          .string()
+          .describe("Current name of the bucket to update."),
+        name: z
+          .string()
+          .optional()
+          .describe("Optional new name for the bucket."),
+        description: z
+          .string()
+          .optional()
+          .describe("Optional new description."),
+        retentionPeriodSeconds: z
+          .number()
+          .int()
+          .nonnegative()
+          .optional()
+          .describe(
+            "Optional new retention duration in seconds; 0 keeps data forever. Shortening it drops data older than the new period.",
+          ),
+        shardGroupDurationSeconds: z
+          .number()
+          .int()
+          .positive()
+          .optional()
+          .describe("Optional new shard group duration in seconds."),
+      },
+      { readOnlyHint: false, destructiveHint: true },
+      updateBucket,
+    );
+    registerTool(
+      "delete-bucket",
+      "Delete a bucket and all of its data. System buckets such as _monitoring and _tasks are refused.",
+      {
+        org: z
+          .string()
+          .optional()
+          .describe(
+            "Organization that owns the bucket, by name or ID. Defaults to INFLUXDB_ORG.",
+          ),
+        bucket: z
+          .string()
+          .describe("Name of the bucket to delete."),
+        confirm: z
+          .boolean()
+          .optional()
+          .describe(
+            "Set to true once the user has agreed to the deletion. Only needed when the client does not support elicitation; otherwise the user is asked.",
+          ),
+      },
+      { readOnlyHint: false, destructiveHint: true },
+      deleteBucket,
+    );
+    registerTool(
+      "create-org",
+      "Create a brand-new organization to isolate users or projects before generating buckets and tokens.",
+      {
+        name: z
+          .string()
+          .describe(
+            "Display name for the organization as it should appear in InfluxDB Cloud/OSS.",
+          ),
+        description: z
+          .string()
+          .optional()
+          .describe(
+            "Optional free-form description that helps humans understand why the org exists.",
+          ),
+      },
+      { readOnlyHint: false, destructiveHint: false },
+      createOrg,
+    );
+    registerTool(
+      "update-org",
+      "Rename an organization or change its description.",
+      {
+        org: z
+          .string()
+          .optional()
+          .describe(
+            "Organization to update, by name or ID. Defaults to INFLUXDB_ORG.",
+          ),
+        name: z
+          .string()
+          .optional()
+          .describe("Optional new name for the organization."),
+        description: z
+          .string()
+          .optional()
+          .describe("Optional new description."),
+      },
+      { readOnlyHint: false, destructiveHint: true },
+      updateOrg,
+    );
+    registerTool(
+      "delete-org",
+      "Delete an organization together with its buckets, data, tasks, dashboards and tokens.",
+      {
+        org: z
+          .string()
+          .describe(
+            "Organization to delete, by name or ID. Required; INFLUXDB_ORG is never used as a default here.",
+          ),
+      },
+      { readOnlyHint: false, destructiveHint: true },
+      deleteOrg,
+    );
+    registerTool(
+      "list-org-members",
+      "List the users who are members and owners of an organization.",
+      {
+        org: z
+          .string()
+          .optional()
+          .describe(
+            "Organization to inspect, by name or ID. Defaults to INFLUXDB_ORG.",
+          ),
+      },
+      { readOnlyHint: true },
+      listOrgMembers,
+    );
+    registerTool(
+      "add-org-member",
+      "Add an existing user to an organization as a member or an owner.",
+      {
+        org: z
+          .string()
+          .optional()
+          .describe(
+            "Organization to add the user to, by name or ID. Defaults to INFLUXDB_ORG.",
+          ),
+        user: z
+          .string()
+          .describe("User to add, by name or ID."),
+        role: z
+          .enum(["member", "owner"])
+          .optional()
+          .describe("Role to grant: member (default) or owner."),
+      },
+      { readOnlyHint: false, destructiveHint: false },
+      addOrgMember,
+    );
+    registerTool(
+      "remove-org-member",
+      "Remove a user from an organization's members or owners. The last owner of an organization cannot be removed.",
+      {
+        org: z
+          .string()
+          .optional()
+          .describe(
+            "Organization to remove the user from, by name or ID. Defaults to INFLUXDB_ORG.",
+          ),
+        user: z
+          .string()
+          .describe("User to remove, by name or ID."),
+        role: z
+          .enum(["member", "owner"])
+          .optional()
+          .describe("Role to revoke: member (default) or owner."),
+      },
+      { readOnlyHint: false, destructiveHint: true },
+      removeOrgMember,
+    );
+    registerTool(
+      "list-tokens",
+      "List API tokens (authorizations) with their descriptions, status and permissions. Token values are never included.",
+      {
+        org: z
+          .string()
+          .optional()
+          .describe(
+            "Optional organization to list tokens for, by name or ID. Lists tokens of every org when omitted.",
+          ),
+        user: z
+          .string()
+          .optional()
+          .describe("Optional user name to list tokens for."),
+      },
+      { readOnlyHint: true },
+      listTokens,
+    );
+    registerTool(
+      "create-token",
+      "Create an API token with read and/or write access to specific buckets and optional org-wide access to other resource types. The token value is returned once, in this response only.",
+      {
+        org: z
+          .string()
+          .optional()
+          .describe(
+            "Organization the token belongs to, by name or ID. Defaults to INFLUXDB_ORG.",
+          ),
+        description: z
+          .string()
+          .optional()
+          .describe("Description that says what the token is for."),
+        readBuckets: z
+          .array(z.string())
+          .optional()
+          .describe("Names of buckets the token can read."),
+        writeBuckets: z
+          .array(z.string())
+          .optional()
+          .describe("Names of buckets the token can write to."),
+        resources: z
+          .array(z.object({
+            type: z.enum(RESOURCE_TYPES),
+            action: z.enum(PERMISSION_ACTIONS),
+          }))
+          .optional()
+          .describe(
+            "Org-wide permissions on whole resource types, e.g. [{\"type\": \"tasks\", \"action\": \"read\"}].",
+          ),
+      },
+      { readOnlyHint: false, destructiveHint: false },
+      createToken,
+    );
+    registerTool(
+      "set-token-status",
+      "Activate or deactivate an API token. Inactive tokens are rejected by InfluxDB until reactivated.",
+      {
+        id: z
+          .string()
+          .describe("ID of the token (authorization), as shown by list-tokens."),
+        status: z
+          .enum(["active", "inactive"])
+          .describe("New status."),
+      },
+      { readOnlyHint: false, destructiveHint: true },
+      setTokenStatus,
+    );
+    registerTool(
+      "delete-token",
+      "Delete an API token. Clients using it lose access immediately.",
+      {
+        id: z
+          .string()
+          .describe("ID of the token (authorization), as shown by list-tokens."),
+      },
+      { readOnlyHint: false, destructiveHint: true },
+      deleteToken,
+    );
+
+    // Tasks accept a task name or ID; names are looked up within the org
+    const taskSchema = {
+      org: z
         .string()
+        .optional()
         .describe(
-          "Display name for the organization as it should appear in InfluxDB Cloud/OSS.",
+          "Organization that owns the task, by name or ID. Defaults to INFLUXDB_ORG.",
         ),
+      task: z
+        .string()
+        .describe("Task name or ID."),
+    };
+    registerTool(
+      "list-tasks",
+      "List the tasks of an organization with their schedule, status and the outcome of their last run. Read influxdb://task/{taskID} for a task's script and influxdb://task/{taskID}/runs for its runs.",
+      {
+        org: taskSchema.org,
+        name: z
+          .string()
+          .optional()
+          .describe("Optional task name to filter on."),
+      },
+      { readOnlyHint: true },
+      listTasks,
+    );
+    registerTool(
+      "create-task",
+      "Create a task that runs a Flux script on a schedule, e.g. to downsample data or raise alerts. Either include option task = {...} in the script or pass name and every or cron.",
+      {
+        org: taskSchema.org,
+        flux: z
+          .string()
+          .describe("Flux script the task runs."),
+        name: z
+          .string()
+          .optional()
+          .describe("Task name, when the script has no option task."),
+        every: z
+          .string()
+          .optional()
+          .describe("Interval such as 1h, when the script has no option task."),
+        cron: z
+          .string()
+          .optional()
+          .describe("Cron expression such as 0 * * * *, instead of every."),
+        offset: z
+          .string()
+          .optional()
+          .describe("Optional delay such as 5m before each run, to let late data arrive."),
+        description: z
+          .string()
+          .optional()
+          .describe("Optional description."),
+        status: z
+          .enum(["active", "inactive"])
+          .optional()
+          .describe("Whether the task starts enabled (active, default) or disabled."),
+      },
+      { readOnlyHint: false, destructiveHint: false },
+      createTask,
+    );
+    registerTool(
+      "update-task",
+      "Change a task's Flux script, name, schedule or description. Settings that are left out keep their current values.",
+      {
+        ...taskSchema,
+        flux: z
+          .string()
+          .optional()
+          .describe("Optional new Flux script."),
+        name: z
+          .string()
+          .optional()
+          .describe("Optional new name."),
+        every: z
+          .string()
+          .optional()
+          .describe("Optional new interval such as 1h."),
+        cron: z
+          .string()
+          .optional()
+          .describe("Optional new cron expression, instead of every."),
+        offset: z
+          .string()
+          .optional()
+          .describe("Optional new offset such as 5m."),
+        description: z
+          .string()
+          .optional()
+          .describe("Optional new description."),
+      },
+      { readOnlyHint: false, destructiveHint: true },
+      updateTask,
+    );
+    registerTool(
+      "set-task-status",
+      "Enable (active) or disable (inactive) a task.",
+      {
+        ...taskSchema,
+        status: z
+          .enum(["active", "inactive"])
+          .describe("New status."),
+      },
+      { readOnlyHint: false, destructiveHint: false },
+      setTaskStatus,
+    );
+    registerTool(
+      "run-task",
+      "Run a task now instead of waiting for its schedule. Returns the run ID; read influxdb://task/{taskID}/runs/{runID}/logs to follow it.",
+      {
+        ...taskSchema,
+        scheduledFor: z
+          .string()
+          .optional()
+          .describe("Optional RFC3339 time the run acts as if scheduled for, e.g. to rerun a past window."),
+      },
+      { readOnlyHint: false, destructiveHint: false },
+      runTask,
+    );
+    registerTool(
+      "delete-task",
+      "Delete a task and its run history.",
+      taskSchema,
+      { readOnlyHint: false, destructiveHint: true },
+      deleteTask,
+    );
+    registerTool(
+      "setup-downsampling",
+      "Downsample measurements of a bucket into another: creates the destination bucket unless it exists, a task that writes aggregateWindow() results there on a schedule, and optionally backfills history in window-aligned chunks. Calling it again with the same settings reuses the bucket and task, e.g. to resume a backfill.",
+      {
+        org: z
+          .string()
+          .optional()
+          .describe("Organization name or ID. Defaults to INFLUXDB_ORG."),
+        sourceBucket: z
+          .string()
+          .describe("Bucket holding the raw data."),
+        measurements: z
+          .array(z.string())
+          .min(1)
+          .describe("Measurements to downsample."),
+        fields: z
+          .array(z.string())
+          .optional()
+          .describe("Optional fields to keep; all fields by default."),
+        window: z
+          .string()
+          .describe("Aggregation window such as 5m or 1h."),
+        aggregates: z
+          .array(z.enum(FLUX_AGGREGATES))
+          .min(1)
+          .optional()
+          .describe("Aggregate functions (default mean). With several, each writes fields named <field>_<aggregate>."),
+        destinationBucket: z
+          .string()
+          .describe("Bucket for the downsampled data; created unless it exists."),
+        retentionPeriodSeconds: z
+          .number()
+          .optional()
+          .describe("Retention of a new destination bucket in seconds; infinite when omitted."),
+        taskName: z
+          .string()
+          .optional()
+          .describe("Task name; derived from the measurements and buckets when omitted."),
+        every: z
+          .string()
+          .optional()
+          .describe("How often the task runs, a multiple of the window. Defaults to the window."),
+        offset: z
+          .string()
+          .optional()
+          .describe("Optional delay such as 1m before each run, to let late data arrive."),
+        backfillStart: z
+          .string()
+          .optional()
+          .describe("Start of the history to backfill, e.g. -30d or an RFC3339 timestamp. No backfill when omitted."),
+        backfillStop: z
+          .string()
+          .optional()
+          .describe("End of the backfill; defaults to now."),
+        backfillChunk: z
+          .string()
+          .optional()
+          .describe("Time range per backfill query, a multiple of the window. Defaults to about a day."),
+      },
+      { readOnlyHint: false, destructiveHint: false },
+      setupDownsampling,
+    );
+
+    // Checks, notification endpoints and notification rules run as tasks
+    // too. Each is addressed by name or ID within its org.
+    const monitoringOrg = z
+      .string()
+      .optional()
+      .describe("Organization, by name or ID. Defaults to INFLUXDB_ORG.");
+    const monitoringStatus = z
+      .enum(["active", "inactive"])
+      .optional()
+      .describe("Whether it is enabled (active, default for new ones) or disabled.");
+    const checkSettings = {
       description: z
         .string()
         .optional()
-        .describe(
-          "Optional free-form description that helps humans understand why the org exists.",
-        ),
-    },
-    createOrg,
-  );
+        .describe("Optional description."),
+      status: monitoringStatus,
+      bucket: z
+        .string()
+        .optional()
+        .describe("Bucket holding the data to check."),
+      measurement: z
+        .string()
+        .optional()
+        .describe("Measurement to check."),
+      field: z
+        .string()
+        .optional()
+        .describe("Field to check."),
+      tags: z
+        .record(z.union([z.string(), z.array(z.string())]))
+        .optional()
+        .describe("Tag filters mapping tag keys to one value or a list of accepted values, e.g. {\"host\": \"X\"}."),
+      aggregate: z
+        .enum(FLUX_AGGREGATES)
+        .optional()
+        .describe("Threshold checks: how the data of each interval is reduced to one value (default mean). Use min for \"above X for the whole interval\", max for \"below X for the whole interval\"."),
+      every: z
+        .string()
+        .optional()
+        .describe("How often the check runs, e.g. 5m. Threshold checks aggregate the data of each interval."),
+      offset: z
+        .string()
+        .optional()
+        .describe("Optional delay such as 30s before each run, to let late data arrive."),
+      thresholds: z
+        .array(z.object({
+          level: z.enum(CHECK_LEVELS),
+          type: z
+            .enum(THRESHOLD_TYPES)
+            .describe("greater or lesser than value, or inside or outside min to max."),
+          value: z.number().optional(),
+          min: z.number().optional(),
+          max: z.number().optional(),
+        }))
+        .optional()
+        .describe("Threshold checks: the levels to report, e.g. [{\"level\": \"CRIT\", \"type\": \"greater\", \"value\": 90}]."),
+      timeSince: z
+        .string()
+        .optional()
+        .describe("Deadman checks: report level when no data arrived for this long, e.g. 90s."),
+      staleTime: z
+        .string()
+        .optional()
+        .describe("Deadman checks: stop reporting series silent for longer than this (default 10m)."),
+      level: z
+        .enum(CHECK_LEVELS)
+        .optional()
+        .describe("Deadman checks: the level to report (default CRIT)."),
+      reportZero: z
+        .boolean()
+        .optional()
+        .describe("Deadman checks: whether to report series that never had data."),
+      statusMessageTemplate: z
+        .string()
+        .optional()
+        .describe("Status message, with ${ r._check_name }, ${ r._level } and ${ r.<field> } placeholders."),
+    };
+    registerTool(
+      "list-checks",
+      "List the threshold and deadman checks of an organization with their conditions, schedules and last run outcome.",
+      { org: monitoringOrg },
+      { readOnlyHint: true },
+      listChecks,
+    );
+    registerTool(
+      "create-check",
+      "Create a check that writes a status to _monitoring every interval: threshold checks compare an aggregate of a field with thresholds, deadman checks report series that stopped sending data. E.g. \"cpu usage_user on host X above 90% for 5m\" is a threshold check on cpu/usage_user with tags {host: X}, every 5m, aggregate min and a CRIT greater-than-90 threshold.",
+      {
+        org: monitoringOrg,
+        name: z
+          .string()
+          .describe("Check name."),
+        type: z
+          .enum(CHECK_TYPES)
+          .describe("threshold or deadman."),
+        ...checkSettings,
+        bucket: checkSettings.bucket.unwrap(),
+        measurement: checkSettings.measurement.unwrap(),
+        field: checkSettings.field.unwrap(),
+        every: checkSettings.every.unwrap(),
+      },
+      { readOnlyHint: false, destructiveHint: false },
+      createCheck,
+    );
+    registerTool(
+      "update-check",
+      "Change a check's conditions, schedule, query settings or status. Settings that are left out keep their current values.",
+      {
+        org: monitoringOrg,
+        check: z
+          .string()
+          .describe("Check name or ID."),
+        name: z
+          .string()
+          .optional()
+          .describe("New name."),
+        ...checkSettings,
+      },
+      { readOnlyHint: false, destructiveHint: true },
+      updateCheck,
+    );
+    registerTool(
+      "delete-check",
+      "Delete a check. The statuses it wrote stay in _monitoring.",
+      {
+        org: monitoringOrg,
+        check: z
+          .string()
+          .describe("Check name or ID."),
+      },
+      { readOnlyHint: false, destructiveHint: true },
+      deleteCheck,
+    );
+
+    const endpointSettings = {
+      description: z
+        .string()
+        .optional()
+        .describe("Optional description."),
+      status: monitoringStatus,
+      url: z
+        .string()
+        .optional()
+        .describe("HTTP: the URL to call. Slack: the incoming webhook URL, or https://slack.com/api/chat.postMessage with a token."),
+      method: z
+        .enum(["POST", "GET", "PUT"])
+        .optional()
+        .describe("HTTP: request method (default POST)."),
+      authMethod: z
+        .enum(HTTP_AUTH_METHODS)
+        .optional()
+        .describe("HTTP: none (default), basic with username and password, or bearer with token."),
+      username: z
+        .string()
+        .optional()
+        .describe("HTTP basic authentication user."),
+      password: z
+        .string()
+        .optional()
+        .describe("HTTP basic authentication password, kept in the InfluxDB secret store."),
+      token: z
+        .string()
+        .optional()
+        .describe("HTTP bearer token or Slack app token, kept in the InfluxDB secret store."),
+      headers: z
+        .record(z.string())
+        .optional()
+        .describe("HTTP: extra request headers."),
+      clientURL: z
+        .string()
+        .optional()
+        .describe("PagerDuty: link back to the alert source shown in PagerDuty."),
+      routingKey: z
+        .string()
+        .optional()
+        .describe("PagerDuty: integration routing key, kept in the InfluxDB secret store."),
+    };
+    registerTool(
+      "list-notification-endpoints",
+      "List the notification endpoints of an organization. Secrets are named but never shown.",
+      { org: monitoringOrg },
+      { readOnlyHint: true },
+      listNotificationEndpoints,
+    );
+    registerTool(
+      "create-notification-endpoint",
+      "Configure an HTTP, Slack or PagerDuty notification endpoint. Nothing is sent until a notification rule uses it.",
+      {
+        org: monitoringOrg,
+        name: z
+          .string()
+          .describe("Endpoint name."),
+        type: z
+          .enum(ENDPOINT_TYPES)
+          .describe("http, slack or pagerduty."),
+        ...endpointSettings,
+      },
+      { readOnlyHint: false, destructiveHint: false },
+      createNotificationEndpoint,
+    );
+    registerTool(
+      "update-notification-endpoint",
+      "Change a notification endpoint's settings. Settings that are left out, secrets included, keep their current values.",
+      {
+        org: monitoringOrg,
+        endpoint: z
+          .string()
+          .describe("Endpoint name or ID."),
+        name: z
+          .string()
+          .optional()
+          .describe("New name."),
+        ...endpointSettings,
+      },
+      { readOnlyHint: false, destructiveHint: true },
+      updateNotificationEndpoint,
+    );
+    registerTool(
+      "delete-notification-endpoint",
+      "Delete a notification endpoint.",
+      {
+        org: monitoringOrg,
+        endpoint: z
+          .string()
+          .describe("Endpoint name or ID."),
+      },
+      { readOnlyHint: false, destructiveHint: true },
+      deleteNotificationEndpoint,
+    );
+
+    const ruleSettings = {
+      description: z
+        .string()
+        .optional()
+        .describe("Optional description."),
+      status: monitoringStatus,
+      every: z
+        .string()
+        .optional()
+        .describe("How often the rule looks for new statuses (default 10m)."),
+      offset: z
+        .string()
+        .optional()
+        .describe("Optional delay before each run."),
+      statusRules: z
+        .array(z.object({
+          currentLevel: z.enum(RULE_LEVELS),
+          previousLevel: z
+            .enum(RULE_LEVELS)
+            .optional()
+            .describe("Only notify on a change from this level."),
+        }))
+        .optional()
+        .describe("Levels to notify about (default [{\"currentLevel\": \"CRIT\"}]); any of them matches."),
+      tagRules: z
+        .record(z.string())
+        .optional()
+        .describe("Tags a status must carry, e.g. {\"host\": \"X\"}."),
+      messageTemplate: z
+        .string()
+        .optional()
+        .describe("Slack and PagerDuty: message text, with ${ r._check_name }, ${ r._level } and ${ r._message } placeholders."),
+      channel: z
+        .string()
+        .optional()
+        .describe("Slack: channel, for app token endpoints."),
+    };
+    registerTool(
+      "list-notification-rules",
+      "List the notification rules of an organization with the statuses they match and their endpoints.",
+      { org: monitoringOrg },
+      { readOnlyHint: true },
+      listNotificationRules,
+    );
+    registerTool(
+      "create-notification-rule",
+      "Create a notification rule that sends check statuses of the given levels and tags to a notification endpoint.",
+      {
+        org: monitoringOrg,
+        name: z
+          .string()
+          .describe("Rule name."),
+        endpoint: z
+          .string()
+          .describe("Notification endpoint name or ID."),
+        ...ruleSettings,
+      },
+      { readOnlyHint: false, destructiveHint: false },
+      createNotificationRule,
+    );
+    registerTool(
+      "update-notification-rule",
+      "Change a notification rule's levels, tags, schedule, message or endpoint. Settings that are left out keep their current values.",
+      {
+        org: monitoringOrg,
+        rule: z
+          .string()
+          .describe("Rule name or ID."),
+        name: z
+          .string()
+          .optional()
+          .describe("New name."),
+        endpoint: z
+          .string()
+          .optional()
+          .describe("New notification endpoint name or ID."),
+        ...ruleSettings,
+      },
+      { readOnlyHint: false, destructiveHint: true },
+      updateNotificationRule,
+    );
+    registerTool(
+      "delete-notification-rule",
+      "Delete a notification rule.",
+      {
+        org: monitoringOrg,
+        rule: z
+          .string()
+          .describe("Rule name or ID."),
+      },
+      { readOnlyHint: false, destructiveHint: true },
+      deleteNotificationRule,
+    );
+
+    registerTool(
+      "create-dashboard",
+      "Create an empty dashboard, e.g. to pin queries to with add-dashboard-cell.",
+      {
+        org: monitoringOrg,
+        name: z
+          .string()
+          .describe("Dashboard name, unique within the org."),
+        description: z
+          .string()
+          .optional()
+          .describe("Optional description."),
+      },
+      { readOnlyHint: false, destructiveHint: false },
+      createDashboard,
+    );
+    registerTool(
+      "add-dashboard-cell",
+      "Pin a Flux query to a dashboard as a new cell below the existing ones, e.g. a query just checked with query-data. The query must not write data.",
+      {
+        org: monitoringOrg,
+        dashboard: z
+          .string()
+          .describe("Dashboard name or ID."),
+        query: z
+          .string()
+          .describe("Flux query the cell shows."),
+        name: z
+          .string()
+          .describe("Cell title."),
+        type: z
+          .enum(CELL_TYPES)
+          .optional()
+          .describe("xy (line graph, default), single-stat or table."),
+        timeRange: z
+          .enum(["dashboard", "query"])
+          .optional()
+          .describe("dashboard (default) rewrites range() to follow the dashboard's time picker; query keeps the query's own range."),
+        width: z
+          .number()
+          .int()
+          .min(1)
+          .max(12)
+          .optional()
+          .describe("Width in grid columns, out of 12 (default 12)."),
+        height: z
+          .number()
+          .int()
+          .min(1)
+          .optional()
+          .describe("Height in grid rows (default 4)."),
+      },
+      { readOnlyHint: false, destructiveHint: false },
+      addDashboardCell,
+    );
+
+    const resourceNames = (kind) =>
+      z
+        .array(z.string())
+        .optional()
+        .describe(`${kind} to export, by name or ID.`);
+    const templateSource = {
+      org: monitoringOrg,
+      template: z
+        .string()
+        .optional()
+        .describe("Template as JSON, e.g. from export-template: an array of objects with apiVersion, kind, metadata and spec."),
+      url: z
+        .string()
+        .url()
+        .optional()
+        .describe("URL of a JSON, YAML or Jsonnet template, e.g. a raw file in the repository the setup is versioned in."),
+      stack: z
+        .string()
+        .optional()
+        .describe("ID of the stack to apply to. Resources the stack manages that the template no longer has are deleted. Without a stack a new one is created."),
+      envRefs: z
+        .record(z.string(), z.union([z.string(), z.number(), z.boolean()]))
+        .optional()
+        .describe("Values for the template's environment references, by name."),
+      secrets: z
+        .record(z.string(), z.string())
+        .optional()
+        .describe("Values for the secrets the template's notification endpoints reference, by key."),
+    };
+
+    registerTool(
+      "list-stacks",
+      "List the stacks of an organization: each tracks the resources applied from a template, so they can be updated or removed together.",
+      { org: monitoringOrg },
+      { readOnlyHint: true },
+      listStacks,
+    );
+    registerTool(
+      "export-template",
+      "Export buckets, tasks, checks, dashboards and labels as an InfluxDB template, e.g. to version them. Without a selection or stack the whole organization is exported.",
+      {
+        org: monitoringOrg,
+        buckets: resourceNames("Buckets"),
+        tasks: resourceNames("Tasks"),
+        checks: resourceNames("Checks"),
+        dashboards: resourceNames("Dashboards"),
+        labels: resourceNames("Labels"),
+        stack: z
+          .string()
+          .optional()
+          .describe("ID of a stack to export the resources of."),
+      },
+      { readOnlyHint: true },
+      exportTemplate,
+    );
+    registerTool(
+      "diff-template",
+      "Dry-run a template, a template URL or a stack and list what applying it would create, update (with the changed settings) and delete. Nothing is changed.",
+      templateSource,
+      { readOnlyHint: true },
+      diffTemplate,
+    );
+    registerTool(
+      "apply-template",
+      "Apply a template, a template URL or a stack. Returns the stack ID to apply later versions of the template to.",
+      templateSource,
+      { readOnlyHint: false, destructiveHint: true },
+      applyTemplate,
+    );
+  }
 
   // Register prompts
   server.prompt("flux-query-examples", {}, fluxQueryExamplesPrompt);
@@ -55,7 +55,9 @@ mem = from(bucket: "my-bucket")
 join(tables: {cpu: cpu, mem: mem}, on: ["_time", "host"])
 \`\`\`
 
-Please adjust these queries to match your specific bucket names, measurements, and requirements.`,
+Please adjust these queries to match your specific bucket names, measurements, and requirements.
+
+Queries 1-4 follow a pattern the build-query tool can generate from structured inputs (bucket, range, filters, aggregate, group-by), with all names and values escaped.`,
       },
     }],
   };
@@ -0,0 +1,264 @@
+// Parser for the annotated CSV dialect returned by the InfluxDB /api/v2/query
+// endpoint. See https://docs.influxdata.com/influxdb/v2/reference/syntax/annotated-csv/
+
+// Columns that identify the table a row belongs to rather than carrying data
+const TABLE_COLUMNS = ["result", "table"];
+
+// Split CSV text into records following RFC 4180: fields may be quoted,
+// quoted fields may contain commas, newlines and "" escaped quotes, and
+// records end with either CRLF or LF. A blank line yields a record holding a
+// single empty field, which annotated CSV uses to separate table blocks.
+export function parseCsvRecords(text) {
+  const records = [];
+  let record = [];
+  let field = "";
+  let inQuotes = false;
+  let i = 0;
+
+  while (i < text.length) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i += 2;
+          continue;
+        }
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+      i++;
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      record.push(field);
+      field = "";
+    } else if (char === "\r" || char === "\n") {
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = "";
+      if (char === "\r" && text[i + 1] === "\n") {
+        i++;
+      }
+    } else {
+      field += char;
+    }
+    i++;
+  }
+
+  // Flush a final record that is not terminated by a newline
+  if (field !== "" || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  return records;
+}
+
+// Convert a raw CSV value to a JavaScript value according to its #datatype.
+// Times stay as their RFC3339 strings so nanosecond precision survives JSON
+// serialisation; empty non-string values are nulls.
+export function convertValue(value, datatype) {
+  if (value === "" && datatype && datatype !== "string") {
+    return null;
+  }
+
+  switch (datatype) {
+    case "boolean":
+      return value === "true";
+    case "long":
+    case "unsignedLong":
+      return Number(value);
+    case "double":
+      if (value === "+Inf") return Infinity;
+      if (value === "-Inf") return -Infinity;
+      return Number(value);
+    default:
+      return value;
+  }
+}
+
+function isBlankRecord(record) {
+  return record.length === 1 && record[0].trim() === "";
+}
+
+// Parse annotated CSV into tables. Each table carries its result name, table
+// id, column metadata (#datatype, #group, #default), its group key and typed
+// rows. CSV without annotations is accepted too; its values stay strings.
+// Flux reports runtime failures in-band as an error table, which is thrown.
+export function parseAnnotatedCsv(text) {
+  const tables = [];
+  const tablesByKey = new Map();
+  let annotations = {};
+  let headers = null;
+
+  for (const record of parseCsvRecords(text)) {
+    if (isBlankRecord(record)) {
+      // A blank line ends the current block of tables
+      annotations = {};
+      headers = null;
+      continue;
+    }
+
+    const first = record[0].trim();
+    if (first.startsWith("#")) {
+      if (headers) {
+        // Annotations without a preceding blank line still start a new block
+        annotations = {};
+        headers = null;
+      }
+      if (["#datatype", "#group", "#default"].includes(first)) {
+        annotations[first.slice(1)] = record.map((value) => value.trim());
+      }
+      continue;
+    }
+
+    if (!headers) {
+      headers = record.map((header) => header.trim());
+      continue;
+    }
+
+    if (headers[1] === "error" && headers[2] === "reference") {
+      const reference = record[2] ? ` (reference ${record[2]})` : "";
+      throw new Error(`Flux query error: ${record[1]}${reference}`);
+    }
+
+    const row = {};
+    let result = "";
+    let table = 0;
+    headers.forEach((name, index) => {
+      if (name === "") {
+        // The leading annotation column is always empty on data rows
+        return;
+      }
+
+      let value = record[index] ?? "";
+      if (value === "" && annotations.default?.[index]) {
+        value = annotations.default[index];
+      }
+
+      const converted = convertValue(value, annotations.datatype?.[index]);
+      if (name === "result") {
+        result = value;
+      } else if (name === "table") {
+        table = converted === null ? 0 : Number(converted);
+      } else {
+        row[name] = converted;
+      }
+    });
+
+    const key = `${result}\u0000${table}`;
+    let current = tablesByKey.get(key);
+    if (!current) {
+      const columns = headers
+        .map((name, index) => ({
+          name,
+          datatype: annotations.datatype?.[index] || "string",
+          group: annotations.group?.[index] === "true",
+        }))
+        .filter((column) =>
+          column.name !== "" && !TABLE_COLUMNS.includes(column.name)
+        );
+
+      const groupKey = {};
+      for (const column of columns) {
+        if (column.group) {
+          groupKey[column.name] = row[column.name];
+        }
+      }
+
+      current = { result, table, columns, groupKey, rows: [] };
+      tablesByKey.set(key, current);
+      tables.push(current);
+    }
+    current.rows.push(row);
+  }
+
+  return { tables };
+}
+
+// Rows of every table in order, for callers that do not care about grouping
+export function flattenRows(tables) {
+  return tables.flatMap((table) => table.rows);
+}
+
+// Names of every column across all tables, in first-seen order
+export function columnNames(tables) {
+  const names = new Set();
+  for (const table of tables) {
+    for (const column of table.columns) {
+      names.add(column.name);
+    }
+  }
+  return Array.from(names);
+}
+
+function csvField(value) {
+  let text;
+  if (value === null || value === undefined) {
+    text = "";
+  } else if (value === Infinity) {
+    text = "+Inf";
+  } else if (value === -Infinity) {
+    text = "-Inf";
+  } else {
+    text = String(value);
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvRecord(values) {
+  return values.map(csvField).join(",") + "\r\n";
+}
+
+// Serialise tables back into annotated CSV. Consecutive tables sharing the
+// same columns are written as one annotated block, as InfluxDB does.
+export function toAnnotatedCsv(tables) {
+  const blocks = [];
+  let current = null;
+
+  for (const table of tables) {
+    const signature = JSON.stringify(table.columns);
+    if (!current || current.signature !== signature) {
+      current = { signature, columns: table.columns, tables: [] };
+      blocks.push(current);
+    }
+    current.tables.push(table);
+  }
+
+  return blocks.map(({ columns, tables: blockTables }) => {
+    const result = blockTables[0].result;
+    let text = csvRecord([
+      "#group",
+      "false",
+      "false",
+      ...columns.map((column) => String(column.group)),
+    ]);
+    text += csvRecord([
+      "#datatype",
+      "string",
+      "long",
+      ...columns.map((column) => column.datatype),
+    ]);
+    text += csvRecord(["#default", result, "", ...columns.map(() => "")]);
+    text += csvRecord(["", "result", "table", ...columns.map((c) => c.name)]);
+
+    for (const table of blockTables) {
+      for (const row of table.rows) {
+        text += csvRecord([
+          "",
+          table.result === result ? "" : table.result,
+          table.table,
+          ...columns.map((column) => row[column.name]),
+        ]);
+      }
+    }
+    return text;
+  }).join("\r\n");
+}
@@ -0,0 +1,103 @@
+import { influxRequest } from "./influxClient.js";
+import { findBucket } from "./buckets.js";
+import { assertBucketAllowed, policyActive } from "./policy.js";
+
+// Resource types an org-wide permission can be granted on
+export const RESOURCE_TYPES = [
+  "buckets",
+  "dashboards",
+  "tasks",
+  "telegrafs",
+  "users",
+  "variables",
+  "labels",
+  "checks",
+  "notificationRules",
+  "notificationEndpoints",
+  "secrets",
+  "dbrp",
+  "orgs",
+  "authorizations",
+];
+
+export const PERMISSION_ACTIONS = ["read", "write"];
+
+// Org-wide grants that reach past an access policy: every bucket, including
+// denied ones, or the means to mint tokens, change orgs, remap buckets
+// through DBRP mappings or read secrets
+const POLICY_BYPASS_TYPES = ["buckets", "authorizations", "orgs", "dbrp", "secrets"];
+
+// Build the permissions for a new authorization: read and/or write access to
+// buckets given by name, plus org-wide access to whole resource types.
+// org is a resolved { id, name } pair.
+export async function buildPermissions(
+  org,
+  { readBuckets = [], writeBuckets = [], resources = [] },
+) {
+  const permissions = [];
+
+  for (const [action, names] of [["read", readBuckets], ["write", writeBuckets]]) {
+    for (const name of new Set(names)) {
+      assertBucketAllowed(name);
+      const bucket = await findBucket(org, name);
+      permissions.push({
+        action,
+        resource: { type: "buckets", id: bucket.id, orgID: org.id, name: bucket.name },
+      });
+    }
+  }
+
+  for (const { type, action } of resources) {
+    if (!RESOURCE_TYPES.includes(type)) {
+      throw new Error(
+        `resource type must be one of ${RESOURCE_TYPES.join(", ")}, got '${type}'`,
+      );
+    }
+    if (!PERMISSION_ACTIONS.includes(action)) {
+      throw new Error(`action must be read or write, got '${action}'`);
+    }
+    if (policyActive() && POLICY_BYPASS_TYPES.includes(type)) {
+      throw new Error(
+        `org-wide ${type} access would bypass the access policy; name the buckets in readBuckets or writeBuckets instead`,
+      );
+    }
+    permissions.push({ action, resource: { type, orgID: org.id } });
+  }
+
+  if (permissions.length === 0) {
+    throw new Error("at least one permission is required");
+  }
+  return permissions;
+}
+
+// A permission in words, e.g. "write buckets/metrics" or "read tasks"
+export function describePermission({ action, resource }) {
+  const target = resource.name || resource.id;
+  return `${action} ${resource.type}${target ? `/${target}` : ""}`;
+}
+
+// The parts of an authorization that are safe to show. The token itself is
+// left out: existing tokens are never echoed back.
+export function describeAuthorization(authorization) {
+  return {
+    id: authorization.id,
+    description: authorization.description || "",
+    status: authorization.status,
+    org: authorization.org,
+    orgID: authorization.orgID,
+    user: authorization.user,
+    userID: authorization.userID,
+    createdAt: authorization.createdAt,
+    permissions: (authorization.permissions || []).map(describePermission),
+  };
+}
+
+// Create an authorization and return the API response, which holds the new
+// token. Callers show that token once and nowhere else.
+export async function createAuthorization(org, description, permissions) {
+  const response = await influxRequest("/api/v2/authorizations", {
+    method: "POST",
+    body: JSON.stringify({ orgID: org.id, description, permissions }),
+  });
+  return response.json();
+}
@@ -0,0 +1,107 @@
+import { influxRequest } from "./influxClient.js";
+
+// Largest page size /api/v2/buckets accepts
+const BUCKET_PAGE_SIZE = 100;
+
+// Fetch every bucket matching the filters, following the after= cursor until
+// a short page comes back. The API returns at most 20 buckets per request
+// unless asked for more, so a single call silently drops the rest.
+//
+// orgID restricts the listing to one org, name is an exact bucket name,
+// prefix a bucket name prefix and system=false leaves out system buckets such
+// as _monitoring and _tasks.
+export async function listAllBuckets({ orgID, name, prefix, system = true } = {}) {
+  const buckets = [];
+  let after;
+
+  for (;;) {
+    const query = new URLSearchParams({
+      ...(orgID ? { orgID } : {}),
+      ...(name ? { name } : {}),
+      limit: String(BUCKET_PAGE_SIZE),
+      ...(after ? { after } : {}),
+    });
+    const response = await influxRequest(`/api/v2/buckets?${query}`, {}, 5000);
+    const page = (await response.json()).buckets || [];
+    buckets.push(...page);
+
+    const last = page[page.length - 1];
+    if (page.length < BUCKET_PAGE_SIZE || !last || last.id === after) {
+      break;
+    }
+    after = last.id;
+  }
+
+  return buckets.filter((bucket) =>
+    (!prefix || bucket.name.startsWith(prefix)) &&
+    (system || bucket.type !== "system")
+  );
+}
+
+// The details of a bucket worth showing on its own: retention as seconds as
+// well as the raw rules, and the schema type, which OSS leaves out for its
+// only (implicit) schema type
+export function describeBucket(bucket) {
+  const expiry = (bucket.retentionRules || []).find(
+    (rule) => rule.type === "expire",
+  );
+  return {
+    id: bucket.id,
+    name: bucket.name,
+    orgID: bucket.orgID,
+    type: bucket.type,
+    description: bucket.description,
+    retentionPeriodSeconds: expiry ? expiry.everySeconds : 0,
+    shardGroupDurationSeconds: expiry?.shardGroupDurationSeconds,
+    retentionRules: bucket.retentionRules || [],
+    schemaType: bucket.schemaType || "implicit",
+    createdAt: bucket.createdAt,
+    updatedAt: bucket.updatedAt,
+  };
+}
+
+// Retention in words for confirmation prompts; 0 or no period means the data
+// never expires
+export function formatRetention(seconds) {
+  if (!seconds) {
+    return "infinite";
+  }
+  for (const [unit, size] of [["day", 86400], ["hour", 3600], ["minute", 60]]) {
+    if (seconds % size === 0) {
+      const count = seconds / size;
+      return `${count} ${unit}${count === 1 ? "" : "s"}`;
+    }
+  }
+  return `${seconds} seconds`;
+}
+
+// Look up a bucket by name within an org given as a resolved { id, name }
+// pair. Tools take bucket names, while the bucket API is addressed by ID.
+export async function findBucket(org, name) {
+  const [bucket] = await listAllBuckets({ orgID: org.id, name });
+  if (!bucket) {
+    throw new Error(`Bucket '${name}' not found in org '${org.name}'`);
+  }
+  return bucket;
+}
+
+// Create a bucket in an org given as a resolved { id, name } pair. A
+// retention of 0 or none keeps data forever.
+export async function createBucketRecord(org, name, retentionPeriodSeconds) {
+  const bucketData = {
+    name,
+    orgID: org.id,
+    retentionRules: retentionPeriodSeconds
+      ? [
+        { type: "expire", everySeconds: retentionPeriodSeconds },
+      ]
+      : undefined,
+  };
+
+  console.log(`Creating bucket with data: ${JSON.stringify(bucketData)}`);
+  const response = await influxRequest("/api/v2/buckets", {
+    method: "POST",
+    body: JSON.stringify(bucketData),
+  });
+  return response.json();
+}
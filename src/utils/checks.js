@@ -0,0 +1,254 @@
+import {
+  equalsAny,
+  FLUX_AGGREGATES,
+  fluxDuration,
+  fluxString,
+} from "./fluxBuilder.js";
+import { CHECK_LEVELS } from "./monitoring.js";
+
+export const CHECK_TYPES = ["threshold", "deadman"];
+export const THRESHOLD_TYPES = ["greater", "lesser", "inside", "outside"];
+
+// The status message the InfluxDB UI gives new checks
+const DEFAULT_STATUS_MESSAGE = "Check: ${ r._check_name } is: ${ r._level }";
+
+// Settings that shape a check's query, so changing one rebuilds it
+export const CHECK_QUERY_SETTINGS = [
+  "bucket",
+  "measurement",
+  "field",
+  "tags",
+  "aggregate",
+  "every",
+];
+
+// Build a check query the way the InfluxDB UI's query builder does, along
+// with the builder config that lets the UI (and update-check) edit it again.
+// Threshold checks aggregate each interval of every into one value to
+// compare; deadman checks only need to see whether any data arrived.
+export function checkQuery({
+  type,
+  bucket,
+  measurement,
+  field,
+  tags = {},
+  aggregate = "mean",
+  every,
+}) {
+  if (!bucket || !measurement || !field) {
+    throw new Error("bucket, measurement and field are required");
+  }
+  fluxDuration(every, "every");
+  if (type === "threshold" && !FLUX_AGGREGATES.includes(aggregate)) {
+    throw new Error(
+      `aggregate must be one of ${FLUX_AGGREGATES.join(", ")}, got '${aggregate}'`,
+    );
+  }
+
+  const tagFilters = Object.entries(tags).map(([key, value]) => ({
+    key,
+    values: Array.isArray(value) ? value : [value],
+  }));
+  const filters = [
+    { key: "_measurement", values: [measurement] },
+    { key: "_field", values: [field] },
+    ...tagFilters,
+  ];
+  for (const { key, values } of tagFilters) {
+    if (values.length === 0) {
+      throw new Error(`Values for tag '${key}' must not be empty`);
+    }
+  }
+
+  const lines = [
+    `from(bucket: ${fluxString(bucket)})`,
+    "  |> range(start: v.timeRangeStart, stop: v.timeRangeStop)",
+    ...filters.map(({ key, values }) =>
+      `  |> filter(fn: (r) => ${equalsAny(key, values)})`
+    ),
+  ];
+  if (type === "threshold") {
+    lines.push(
+      `  |> aggregateWindow(every: ${every}, fn: ${aggregate}, createEmpty: false)`,
+      `  |> yield(name: ${fluxString(aggregate)})`,
+    );
+  }
+
+  return {
+    text: lines.join("\n"),
+    editMode: "builder",
+    builderConfig: {
+      buckets: [bucket],
+      tags: filters.map((filter) => ({ ...filter, aggregateFunctionType: "filter" })),
+      functions: type === "threshold" ? [{ name: aggregate }] : [],
+      aggregateWindow: { period: every, fillValues: false },
+    },
+  };
+}
+
+// Thresholds as the API stores them. Tools take inside and outside ranges
+// as their own types, the API as a range with a within flag.
+function thresholdsToApi(thresholds) {
+  if (!thresholds?.length) {
+    throw new Error("threshold checks need at least one threshold");
+  }
+  return thresholds.map(({ level, type, value, min, max }) => {
+    if (!CHECK_LEVELS.includes(level)) {
+      throw new Error(`threshold level must be one of ${CHECK_LEVELS.join(", ")}, got '${level}'`);
+    }
+    if (type === "greater" || type === "lesser") {
+      if (typeof value !== "number") {
+        throw new Error(`${type} thresholds need a numeric value`);
+      }
+      return { type, level, value, allValues: false };
+    }
+    if (type === "inside" || type === "outside") {
+      if (typeof min !== "number" || typeof max !== "number" || min >= max) {
+        throw new Error(`${type} thresholds need numeric min and max, with min below max`);
+      }
+      return { type: "range", level, min, max, within: type === "inside", allValues: false };
+    }
+    throw new Error(`threshold type must be one of ${THRESHOLD_TYPES.join(", ")}, got '${type}'`);
+  });
+}
+
+function thresholdsFromApi(thresholds = []) {
+  return thresholds.map(({ type, level, value, min, max, within }) =>
+    type === "range"
+      ? { level, type: within ? "inside" : "outside", min, max }
+      : { level, type, value }
+  );
+}
+
+// A threshold in words, e.g. "CRIT when > 90"
+export function describeThreshold({ level, type, value, min, max }) {
+  switch (type) {
+    case "greater":
+      return `${level} when > ${value}`;
+    case "lesser":
+      return `${level} when < ${value}`;
+    case "inside":
+      return `${level} when between ${min} and ${max}`;
+    default:
+      return `${level} when outside ${min} to ${max}`;
+  }
+}
+
+// The check body for POST and PUT /api/v2/checks. A query passed in is kept
+// as is; otherwise it is built from bucket, measurement, field, tags and
+// aggregate.
+export function buildCheck(orgID, settings) {
+  const {
+    name,
+    type,
+    description,
+    status = "active",
+    every,
+    offset = "0s",
+    statusMessageTemplate = DEFAULT_STATUS_MESSAGE,
+    query,
+  } = settings;
+  if (!name) {
+    throw new Error("name is required");
+  }
+  if (!CHECK_TYPES.includes(type)) {
+    throw new Error(`type must be one of ${CHECK_TYPES.join(", ")}, got '${type}'`);
+  }
+
+  const check = {
+    name,
+    orgID,
+    type,
+    description,
+    status,
+    every: fluxDuration(every, "every"),
+    offset: fluxDuration(offset, "offset"),
+    statusMessageTemplate,
+    query: query || checkQuery(settings),
+    tags: [],
+  };
+
+  if (type === "threshold") {
+    check.thresholds = thresholdsToApi(settings.thresholds);
+  } else {
+    const { timeSince, staleTime = "10m", level = "CRIT", reportZero = false } = settings;
+    if (!timeSince) {
+      throw new Error("deadman checks need timeSince, e.g. 90s");
+    }
+    if (!CHECK_LEVELS.includes(level)) {
+      throw new Error(`level must be one of ${CHECK_LEVELS.join(", ")}, got '${level}'`);
+    }
+    Object.assign(check, {
+      timeSince: fluxDuration(timeSince, "timeSince"),
+      staleTime: fluxDuration(staleTime, "staleTime"),
+      level,
+      reportZero,
+    });
+  }
+
+  return check;
+}
+
+// The settings of an existing check in the form buildCheck takes, so that an
+// update can change some and rebuild the rest. Checks written as Flux in the
+// UI have no builder config and so no bucket, measurement or field.
+export function checkSettings(check) {
+  const config = check.query?.builderConfig;
+  const filters = config?.tags || [];
+  const first = (key) => filters.find((filter) => filter.key === key)?.values?.[0];
+
+  return {
+    name: check.name,
+    type: check.type,
+    description: check.description,
+    status: check.status,
+    every: check.every,
+    offset: check.offset,
+    statusMessageTemplate: check.statusMessageTemplate,
+    query: check.query,
+    bucket: config?.buckets?.[0],
+    measurement: first("_measurement"),
+    field: first("_field"),
+    tags: Object.fromEntries(
+      filters
+        .filter(({ key, values }) =>
+          key !== "_measurement" && key !== "_field" && values?.length
+        )
+        .map(({ key, values }) => [key, values.length === 1 ? values[0] : values]),
+    ),
+    aggregate: config?.functions?.[0]?.name,
+    thresholds: thresholdsFromApi(check.thresholds),
+    timeSince: check.timeSince,
+    staleTime: check.staleTime,
+    level: check.level,
+    reportZero: check.reportZero,
+  };
+}
+
+// The details of a check worth showing
+export function describeCheck(check) {
+  return {
+    id: check.id,
+    name: check.name,
+    orgID: check.orgID,
+    type: check.type,
+    status: check.status,
+    description: check.description,
+    every: check.every,
+    offset: check.offset,
+    ...(check.type === "threshold"
+      ? { thresholds: thresholdsFromApi(check.thresholds).map(describeThreshold) }
+      : {
+        timeSince: check.timeSince,
+        staleTime: check.staleTime,
+        level: check.level,
+        reportZero: check.reportZero,
+      }),
+    statusMessageTemplate: check.statusMessageTemplate,
+    query: check.query?.text,
+    taskID: check.taskID,
+    latestCompleted: check.latestCompleted,
+    lastRunStatus: check.lastRunStatus,
+    lastRunError: check.lastRunError,
+  };
+}
@@ -0,0 +1,78 @@
+import { z } from "zod";
+
+// Tools that ask the user to confirm through MCP elicitation before they
+// change anything, set at startup from --confirm or INFLUXDB_CONFIRM_TOOLS.
+// "*" stands for every tool that supports confirmation.
+let confirmTools = new Set();
+
+// Tools that confirm even when not listed, as they cannot be undone. Clients
+// without elicitation confirm them with a confirm: true argument instead.
+const ALWAYS_CONFIRM = new Set(["delete-bucket"]);
+
+export function setConfirmTools(names) {
+  confirmTools = new Set(names);
+}
+
+function listed(tool) {
+  return confirmTools.has(tool) || confirmTools.has("*");
+}
+
+export function confirmationRequired(tool) {
+  return ALWAYS_CONFIRM.has(tool) || listed(tool);
+}
+
+// elicitation/create results; the SDK in use predates elicitation, so the
+// schema is declared here
+const ElicitResultSchema = z.object({
+  action: z.enum(["accept", "decline", "cancel"]),
+  content: z.record(z.unknown()).optional(),
+}).passthrough();
+
+// Ask the client to show the summary to the user and wait for an answer.
+// Throws unless the user accepts, so the calling handler reports the refusal
+// through its usual error path. server is the low-level Server of the MCP
+// session and extra the request context of the tool call; confirmed is the
+// tool's confirm argument, which only counts when the client cannot be asked.
+export async function confirmToolCall(server, extra, tool, summary, confirmed) {
+  if (!confirmationRequired(tool)) return;
+
+  if (!server.getClientCapabilities()?.elicitation) {
+    if (!listed(tool)) {
+      if (confirmed === true) return;
+      throw new Error(
+        `${tool} cannot be undone, and the client does not support elicitation to confirm it. Pass confirm: true once the user has agreed.`,
+      );
+    }
+    throw new Error(
+      `${tool} requires confirmation, but the client does not support elicitation. Remove ${tool} from INFLUXDB_CONFIRM_TOOLS to run it without confirmation.`,
+    );
+  }
+
+  console.log(`Asking the client to confirm ${tool}`);
+  const result = await extra.sendRequest(
+    {
+      method: "elicitation/create",
+      params: {
+        message: summary,
+        requestedSchema: {
+          type: "object",
+          properties: {
+            confirm: {
+              type: "boolean",
+              title: "Proceed",
+              description: `Run ${tool} as described`,
+            },
+          },
+          required: ["confirm"],
+        },
+      },
+    },
+    ElicitResultSchema,
+  );
+
+  if (result.action !== "accept" || result.content?.confirm !== true) {
+    const answer = result.action === "accept" ? "decline" : result.action;
+    throw new Error(`Not confirmed: the user chose to ${answer} ${tool}`);
+  }
+  console.log(`${tool} confirmed`);
+}
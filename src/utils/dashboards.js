@@ -0,0 +1,215 @@
+import { influxRequest } from "./influxClient.js";
+import { findCalls } from "./fluxAst.js";
+
+// Largest page size /api/v2/dashboards accepts
+const DASHBOARD_PAGE_SIZE = 100;
+
+const DASHBOARD_ID_PATTERN = /^[0-9a-f]{16}$/;
+
+// Dashboards are 12 grid columns wide
+const DASHBOARD_COLUMNS = 12;
+
+// Cell types add-dashboard-cell can create: line graphs, a single value and
+// tables
+export const CELL_TYPES = ["xy", "single-stat", "table"];
+
+// Colors the InfluxDB UI gives new cells
+const GRAPH_COLORS = [
+  { id: "graph-1", type: "scale", hex: "#31C0F6", name: "Nineteen Eighty Four", value: 0 },
+  { id: "graph-2", type: "scale", hex: "#A500A5", name: "Nineteen Eighty Four", value: 0 },
+  { id: "graph-3", type: "scale", hex: "#FF7E27", name: "Nineteen Eighty Four", value: 0 },
+];
+const TEXT_COLORS = [
+  { id: "base", type: "text", hex: "#00C9FF", name: "laser", value: 0 },
+];
+
+// Fetch every dashboard of an org. The API pages with offset=.
+export async function listAllDashboards(orgID) {
+  const dashboards = [];
+
+  for (let offset = 0;; offset += DASHBOARD_PAGE_SIZE) {
+    const query = new URLSearchParams({
+      orgID,
+      offset: String(offset),
+      limit: String(DASHBOARD_PAGE_SIZE),
+    });
+    const response = await influxRequest(`/api/v2/dashboards?${query}`, {}, 5000);
+    const page = (await response.json()).dashboards || [];
+    dashboards.push(...page);
+    if (page.length < DASHBOARD_PAGE_SIZE) {
+      break;
+    }
+  }
+
+  return dashboards;
+}
+
+// Fetch a dashboard with the view of every cell, which holds its queries
+export async function fetchDashboard(id) {
+  const response = await influxRequest(
+    `/api/v2/dashboards/${encodeURIComponent(id)}?include=properties`,
+    {},
+    5000,
+  );
+  return response.json();
+}
+
+// Look up a dashboard by name within an org given as a resolved { id, name }
+// pair, or by ID in any org, with the views of its cells
+export async function findDashboard(org, dashboard) {
+  if (DASHBOARD_ID_PATTERN.test(dashboard)) {
+    try {
+      return await fetchDashboard(dashboard);
+    } catch (error) {
+      // A 16-character hex string can also be a dashboard name
+      if (!error.message.includes("(404)")) {
+        throw error;
+      }
+    }
+  }
+
+  const matches = (await listAllDashboards(org.id))
+    .filter((candidate) => candidate.name === dashboard);
+  if (matches.length === 0) {
+    throw new Error(`Dashboard '${dashboard}' not found in org '${org.name}'`);
+  }
+  if (matches.length > 1) {
+    throw new Error(
+      `Several dashboards in org '${org.name}' are named '${dashboard}' (${matches.map((match) => match.id).join(", ")}); pass the dashboard ID instead`,
+    );
+  }
+  return fetchDashboard(matches[0].id);
+}
+
+// A cell with its position, view type and Flux queries
+export function describeCell(cell) {
+  return {
+    id: cell.id,
+    name: cell.name,
+    type: cell.properties?.type,
+    x: cell.x,
+    y: cell.y,
+    w: cell.w,
+    h: cell.h,
+    queries: (cell.properties?.queries || []).map((query) => query.text),
+  };
+}
+
+// The details of a dashboard worth showing; with cells false only their
+// count is given, so that listings stay short
+export function describeDashboard(dashboard, { cells = true } = {}) {
+  return {
+    id: dashboard.id,
+    name: dashboard.name,
+    orgID: dashboard.orgID,
+    description: dashboard.description,
+    createdAt: dashboard.meta?.createdAt,
+    updatedAt: dashboard.meta?.updatedAt,
+    ...(cells
+      ? { cells: (dashboard.cells || []).map(describeCell) }
+      : { cellCount: (dashboard.cells || []).length }),
+  };
+}
+
+// Grid position for a new cell: the full width below every existing cell
+export function nextCellPosition(cells = [], { w = DASHBOARD_COLUMNS, h = 4 } = {}) {
+  const bottom = Math.max(0, ...cells.map((cell) => (cell.y || 0) + (cell.h || 0)));
+  return { x: 0, y: bottom, w: Math.min(w, DASHBOARD_COLUMNS), h };
+}
+
+// Point the range() calls of a query at the dashboard's time picker, so a
+// query explored over -1h follows whatever range the dashboard shows. Calls
+// are replaced by their location in the parsed query, whose columns count
+// UTF-8 bytes, so the query is spliced as bytes.
+export function withDashboardTimeRange(query, ast) {
+  const lines = query.split("\n");
+  const offset = ({ line, column }) =>
+    lines.slice(0, line - 1)
+      .reduce((total, text) => total + Buffer.byteLength(text) + 1, 0) +
+    column - 1;
+
+  const ranges = findCalls(ast)
+    .filter(({ name, node }) => name === "range" && node.location)
+    .map(({ node }) => [offset(node.location.start), offset(node.location.end)])
+    .sort(([a], [b]) => b - a);
+
+  let result = Buffer.from(query);
+  for (const [start, end] of ranges) {
+    result = Buffer.concat([
+      result.subarray(0, start),
+      Buffer.from("range(start: v.timeRangeStart, stop: v.timeRangeStop)"),
+      result.subarray(end),
+    ]);
+  }
+  return result.toString();
+}
+
+// View properties for a cell of the given type showing one Flux query
+export function viewProperties(type, query) {
+  const common = {
+    type,
+    queries: [{
+      text: query,
+      editMode: "advanced",
+      name: "",
+      builderConfig: {
+        buckets: [],
+        tags: [{ key: "_measurement", values: [], aggregateFunctionType: "filter" }],
+        functions: [],
+        aggregateWindow: { period: "auto", fillValues: false },
+      },
+    }],
+    shape: "chronograf-v2",
+    note: "",
+    showNoteWhenEmpty: false,
+  };
+  const decimalPlaces = { isEnforced: true, digits: 2 };
+
+  switch (type) {
+    case "xy": {
+      const axis = {
+        bounds: ["", ""],
+        label: "",
+        prefix: "",
+        suffix: "",
+        base: "10",
+        scale: "linear",
+      };
+      return {
+        ...common,
+        colors: GRAPH_COLORS,
+        axes: { x: axis, y: axis },
+        geom: "line",
+        position: "overlaid",
+        xColumn: "_time",
+        yColumn: "_value",
+      };
+    }
+    case "single-stat":
+      return {
+        ...common,
+        colors: TEXT_COLORS,
+        prefix: "",
+        tickPrefix: "",
+        suffix: "",
+        tickSuffix: "",
+        decimalPlaces,
+      };
+    case "table":
+      return {
+        ...common,
+        colors: TEXT_COLORS,
+        tableOptions: {
+          verticalTimeAxis: true,
+          sortBy: { internalName: "_time", displayName: "_time", visible: true },
+          wrapping: "truncate",
+          fixFirstColumn: true,
+        },
+        fieldOptions: [],
+        timeFormat: "YYYY-MM-DD HH:mm:ss",
+        decimalPlaces,
+      };
+    default:
+      throw new Error(`type must be one of ${CELL_TYPES.join(", ")}, got '${type}'`);
+  }
+}
@@ -0,0 +1,87 @@
+import { fluxColumn, fluxString } from "./fluxBuilder.js";
+
+// Delete predicates as accepted by /api/v2/delete: key="value" comparisons
+// joined by AND. The API has no OR, no != and no regular expressions, and it
+// ignores _field, so those are rejected here instead of deleting more than
+// the predicate seems to say.
+
+const TIMESTAMP_PATTERN =
+  /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/;
+
+const COMPARISON_PATTERN =
+  /^([A-Za-z_][\w.-]*|"(?:[^"\\]|\\.)*")\s*=\s*"((?:[^"\\]|\\.)*)"\s*/;
+
+function unescapeQuoted(text) {
+  return text.replace(/\\(.)/g, "$1");
+}
+
+// The delete API only takes absolute RFC3339 timestamps
+export function deleteTime(value, label) {
+  const time = String(value).trim();
+  if (!TIMESTAMP_PATTERN.test(time) || Number.isNaN(Date.parse(time))) {
+    throw new Error(
+      `${label} must be an RFC3339 timestamp such as 2024-01-01T00:00:00Z, got '${value}'`,
+    );
+  }
+  return time;
+}
+
+// Split a predicate into { key, value } comparisons. An empty predicate
+// matches every point in the time range.
+export function parseDeletePredicate(predicate = "") {
+  const comparisons = [];
+  let rest = predicate.trim();
+
+  while (rest !== "") {
+    const match = rest.match(COMPARISON_PATTERN);
+    if (!match) {
+      throw new Error(
+        `Invalid delete predicate near '${rest}': expected key="value" comparisons joined by AND`,
+      );
+    }
+    const [text, rawKey, value] = match;
+    const key = rawKey.startsWith("\"") ? unescapeQuoted(rawKey.slice(1, -1)) : rawKey;
+    if (key === "_field") {
+      throw new Error(
+        "The delete API cannot delete by _field; it would delete every field of the matching series",
+      );
+    }
+    comparisons.push({ key, value: unescapeQuoted(value) });
+
+    rest = rest.slice(text.length);
+    if (rest === "") break;
+    const and = rest.match(/^AND\s+/i);
+    if (!and) {
+      throw new Error(
+        `Invalid delete predicate near '${rest}': comparisons can only be joined with AND`,
+      );
+    }
+    rest = rest.slice(and[0].length);
+  }
+
+  return comparisons;
+}
+
+// Flux that counts the points a delete would remove, per measurement.
+// Counting per series first keeps fields of different types apart, and the
+// stop time moves by 1ns because range() excludes it while deletes do not.
+export function deletePreviewQuery({ bucket, start, stop, comparisons }) {
+  const lines = [
+    'import "date"',
+    "",
+    `from(bucket: ${fluxString(bucket)})`,
+    `  |> range(start: ${start}, stop: date.add(d: 1ns, to: ${stop}))`,
+  ];
+  if (comparisons.length > 0) {
+    const predicate = comparisons
+      .map(({ key, value }) => `${fluxColumn(key)} == ${fluxString(value)}`)
+      .join(" and ");
+    lines.push(`  |> filter(fn: (r) => ${predicate})`);
+  }
+  lines.push(
+    "  |> count()",
+    '  |> group(columns: ["_measurement"])',
+    "  |> sum()",
+  );
+  return lines.join("\n");
+}
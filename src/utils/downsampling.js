@@ -0,0 +1,162 @@
+import {
+  equalsAny,
+  FLUX_AGGREGATES,
+  fluxDuration,
+  fluxString,
+  fluxTime,
+} from "./fluxBuilder.js";
+
+// Aggregates that fail on string and boolean fields, so their input is
+// narrowed to numeric values first
+const NUMERIC_AGGREGATES = ["mean", "median", "sum", "spread", "stddev"];
+
+// Upper bound on backfill queries per call, so a tiny chunk cannot turn one
+// tool call into hours of requests
+export const MAX_BACKFILL_CHUNKS = 500;
+
+const DURATION_UNITS_MS = {
+  ns: 1e-6,
+  us: 1e-3,
+  µs: 1e-3,
+  ms: 1,
+  s: 1000,
+  m: 60000,
+  h: 3600000,
+  d: 86400000,
+  w: 604800000,
+};
+
+// A Flux duration in milliseconds. Months and years vary in length, so
+// durations using them cannot be converted.
+export function durationMs(value, label) {
+  fluxDuration(value, label);
+  let total = 0;
+  for (const [, count, unit] of value.matchAll(/(\d+)(ns|us|µs|ms|mo|s|m|h|d|w|y)/g)) {
+    if (!(unit in DURATION_UNITS_MS)) {
+      throw new Error(`${label} must not use mo or y here, got '${value}'`);
+    }
+    total += Number(count) * DURATION_UNITS_MS[unit];
+  }
+  return total;
+}
+
+// Build the Flux that aggregates measurements of one bucket into another.
+// range is the argument list of range(), so the same script serves the task
+// (start: -task.every) and backfill chunks (start and stop timestamps).
+//
+// With several aggregates each one writes its own field, named
+// <field>_<aggregate>; a single aggregate keeps the field names.
+export function buildDownsampleFlux({
+  sourceBucket,
+  destinationBucket,
+  measurements,
+  fields = [],
+  window,
+  aggregates,
+  range,
+}) {
+  if (!measurements?.length) {
+    throw new Error("at least one measurement is required");
+  }
+  if (!aggregates?.length) {
+    throw new Error("at least one aggregate is required");
+  }
+  for (const aggregate of aggregates) {
+    if (!FLUX_AGGREGATES.includes(aggregate)) {
+      throw new Error(
+        `aggregates must be among ${FLUX_AGGREGATES.join(", ")}, got '${aggregate}'`,
+      );
+    }
+  }
+  if (new Set(aggregates).size !== aggregates.length) {
+    throw new Error("aggregates must not repeat");
+  }
+  fluxDuration(window, "window");
+
+  const lines = [];
+  if (aggregates.some((aggregate) => NUMERIC_AGGREGATES.includes(aggregate))) {
+    lines.push(`import "types"`, "");
+  }
+
+  lines.push(
+    `data = from(bucket: ${fluxString(sourceBucket)})`,
+    `  |> range(${range})`,
+    `  |> filter(fn: (r) => ${equalsAny("_measurement", measurements)})`,
+  );
+  if (fields.length > 0) {
+    lines.push(`  |> filter(fn: (r) => ${equalsAny("_field", fields)})`);
+  }
+
+  for (const aggregate of aggregates) {
+    lines.push("", "data");
+    if (NUMERIC_AGGREGATES.includes(aggregate)) {
+      lines.push(`  |> filter(fn: (r) => types.isNumeric(v: r._value))`);
+    }
+    lines.push(
+      `  |> aggregateWindow(every: ${window}, fn: ${aggregate}, createEmpty: false)`,
+    );
+    if (aggregates.length > 1) {
+      lines.push(
+        `  |> map(fn: (r) => ({r with _field: r._field + ${fluxString(`_${aggregate}`)}}))`,
+      );
+    }
+    lines.push(`  |> to(bucket: ${fluxString(destinationBucket)})`);
+    // Every result of a script with several needs its own name
+    if (aggregates.length > 1) {
+      lines.push(`  |> yield(name: ${fluxString(aggregate)})`);
+    }
+  }
+
+  return lines.join("\n");
+}
+
+// Split the backfill range into chunks whose bounds fall on window
+// boundaries. aggregateWindow aligns windows to the epoch, so a chunk edge
+// inside a window would write two partial aggregates for the same timestamp
+// and the later one would overwrite the earlier.
+//
+// start is a relative duration or an RFC3339 timestamp, stop defaults to
+// now and chunk, a multiple of the window, defaults to about a day.
+export function backfillChunks({ start, stop, window, chunk }, now = Date.now()) {
+  const windowMs = durationMs(window, "window");
+  const toMs = (value, label) => {
+    const time = fluxTime(value, label);
+    if (time === "now()") {
+      return now;
+    }
+    return time.startsWith("-")
+      ? now - durationMs(time.slice(1), label)
+      : Date.parse(time);
+  };
+
+  const chunkMs = chunk
+    ? durationMs(chunk, "backfillChunk")
+    : Math.ceil(86400000 / windowMs) * windowMs;
+  if (chunkMs % windowMs !== 0) {
+    throw new Error(`backfillChunk must be a multiple of the window (${window})`);
+  }
+
+  const first = Math.floor(toMs(start, "backfillStart") / windowMs) * windowMs;
+  const last = Math.floor(
+    (stop === undefined ? now : toMs(stop, "backfillStop")) / windowMs,
+  ) * windowMs;
+  if (last <= first) {
+    throw new Error("the backfill range must cover at least one whole window");
+  }
+
+  const count = Math.ceil((last - first) / chunkMs);
+  if (count > MAX_BACKFILL_CHUNKS) {
+    throw new Error(
+      `backfilling would take ${count} queries; use a larger backfillChunk or a later backfillStart (at most ${MAX_BACKFILL_CHUNKS})`,
+    );
+  }
+
+  const chunks = [];
+  for (let from = first; from < last; from += chunkMs) {
+    chunks.push({
+      start: new Date(from).toISOString(),
+      stop: new Date(Math.min(from + chunkMs, last)).toISOString(),
+    });
+  }
+  return chunks;
+}
@@ -0,0 +1,24 @@
+// Error responses shared by the handlers. Tools report failures as text
+// content flagged isError; resources answer with the error as JSON.
+
+// Tool error result, e.g. "Error creating task: <message>"
+export function errorResult(action, error) {
+  return {
+    content: [{
+      type: "text",
+      text: `Error ${action}: ${error.message}`,
+    }],
+    isError: true,
+  };
+}
+
+// Resource error contents for the resource URI
+export function errorContents(uri, message) {
+  return {
+    contents: [{
+      uri: uri.href,
+      text: JSON.stringify({ error: message }),
+    }],
+    error: true,
+  };
+}
@@ -0,0 +1,300 @@
+import { influxRequest } from "./influxClient.js";
+
+// Helpers for inspecting the Flux AST returned by POST /api/v2/query/ast
+
+// Parse a Flux query into its AST on the server
+export async function fetchFluxAst(query) {
+  const response = await influxRequest("/api/v2/query/ast", {
+    method: "POST",
+    body: JSON.stringify({ query }),
+  });
+  const { ast } = await response.json();
+  return ast;
+}
+
+// Visit every node (object with a "type") in an AST depth-first
+export function walkAst(node, visit) {
+  if (Array.isArray(node)) {
+    for (const child of node) {
+      walkAst(child, visit);
+    }
+    return;
+  }
+  if (!node || typeof node !== "object") {
+    return;
+  }
+
+  if (typeof node.type === "string") {
+    visit(node);
+  }
+  for (const [key, child] of Object.entries(node)) {
+    if (key !== "location" && child && typeof child === "object") {
+      walkAst(child, visit);
+    }
+  }
+}
+
+// Name of an identifier, or of a property accessed with either r.name or
+// r["name"]
+function propertyName(node) {
+  if (!node) return null;
+  if (node.type === "Identifier") return node.name;
+  if (node.type === "StringLiteral") return node.value;
+  return null;
+}
+
+// Dotted name of a called function, e.g. "from", "experimental.to" or
+// "http.post". Returns null for calls of computed expressions.
+export function calleeName(callee) {
+  if (!callee) return null;
+  if (callee.type === "Identifier") return callee.name;
+  if (callee.type === "MemberExpression") {
+    const object = calleeName(callee.object);
+    const property = propertyName(callee.property);
+    return object && property ? `${object}.${property}` : null;
+  }
+  return null;
+}
+
+// Resolve an expression to a string when it is a string literal, or a
+// params.<name> reference whose value was supplied with the query
+function staticString(node, params) {
+  if (!node) return null;
+  if (node.type === "StringLiteral") return node.value;
+  if (
+    node.type === "MemberExpression" &&
+    node.object?.type === "Identifier" &&
+    node.object.name === "params"
+  ) {
+    const value = params?.[propertyName(node.property)];
+    return typeof value === "string" ? value : null;
+  }
+  return null;
+}
+
+// Named arguments of a call, keyed by argument name
+export function callArguments(call) {
+  const args = {};
+  for (const argument of call.arguments || []) {
+    if (argument.type !== "ObjectExpression") continue;
+    for (const property of argument.properties || []) {
+      const key = propertyName(property.key);
+      if (key) {
+        args[key] = property.value;
+      }
+    }
+  }
+  return args;
+}
+
+// Every function called in the AST, with its dotted name and call node
+export function findCalls(ast) {
+  const calls = [];
+  walkAst(ast, (node) => {
+    if (node.type === "CallExpression") {
+      const name = calleeName(node.callee);
+      if (name) {
+        calls.push({ name, node });
+      }
+    }
+  });
+  return calls;
+}
+
+// Buckets, measurements and functions a query refers to. Buckets come from
+// any call with a bucket or bucketID argument (from, to, schema.*, ...);
+// measurements from r._measurement == "..." comparisons. Arguments that are
+// neither literals nor supplied params cannot be known up front and are
+// counted in dynamicBuckets.
+export function findReferences(ast, params) {
+  const functions = new Set();
+  const buckets = new Set();
+  const bucketIDs = new Set();
+  const measurements = new Set();
+  let dynamicBuckets = 0;
+
+  for (const { name, node } of findCalls(ast)) {
+    functions.add(name);
+
+    const args = callArguments(node);
+    for (const [key, target] of [["bucket", buckets], ["bucketID", bucketIDs]]) {
+      if (!args[key]) continue;
+      const value = staticString(args[key], params);
+      if (value === null) {
+        dynamicBuckets++;
+      } else {
+        target.add(value);
+      }
+    }
+  }
+
+  walkAst(ast, (node) => {
+    if (node.type !== "BinaryExpression" || node.operator !== "==") return;
+    for (const [side, other] of [[node.left, node.right], [node.right, node.left]]) {
+      if (
+        side?.type === "MemberExpression" &&
+        propertyName(side.property) === "_measurement"
+      ) {
+        const value = staticString(other, params);
+        if (value !== null) {
+          measurements.add(value);
+        }
+      }
+    }
+  });
+
+  return {
+    buckets: Array.from(buckets),
+    bucketIDs: Array.from(bucketIDs),
+    measurements: Array.from(measurements),
+    functions: Array.from(functions).sort(),
+    dynamicBuckets,
+  };
+}
+
+// Functions that write data or send it elsewhere, by package path. Universe
+// functions such as to() need no import. The monitor functions write
+// statuses and notifications to _monitoring; the notification packages send
+// rows to outside services.
+const WRITE_FUNCTIONS = {
+  universe: ["to"],
+  experimental: ["to"],
+  "influxdata/influxdb": ["to", "wideTo"],
+  "influxdata/influxdb/monitor": ["check", "notify", "write"],
+  http: ["post", "endpoint"],
+  "http/requests": ["do", "get", "post", "put", "patch", "delete", "head"],
+  "experimental/http/requests": ["do", "get", "post", "put", "patch", "delete", "head"],
+  sql: ["to"],
+  "experimental/mqtt": ["to", "publish"],
+  kafka: ["to"],
+  slack: ["message", "endpoint"],
+  pagerduty: ["sendEvent", "endpoint"],
+  pushbullet: ["pushData", "pushNote", "endpoint"],
+  "contrib/sranka/opsgenie": ["sendAlert", "endpoint"],
+  "contrib/sranka/telegram": ["message", "endpoint"],
+  "contrib/sranka/teams": ["message", "endpoint"],
+  "contrib/sranka/webexteams": ["message", "endpoint"],
+  "contrib/sranka/sensu": ["event", "endpoint"],
+  "contrib/chobbs/discord": ["send", "endpoint"],
+  "contrib/bonitoo-io/alerta": ["alert", "endpoint"],
+  "contrib/bonitoo-io/servicenow": ["event", "endpoint"],
+  "contrib/bonitoo-io/victorops": ["alert", "endpoint"],
+  "contrib/bonitoo-io/zenoss": ["event", "endpoint"],
+  "contrib/rhajek/bigpanda": ["sendAlert", "endpoint"],
+};
+
+// Packages a read-only query may import besides those above, whose writers
+// are caught by name. Anything else, such as a notification package added in
+// a later Flux release, is refused rather than trusted.
+const READ_PACKAGES = [
+  "array",
+  "bitwise",
+  "csv",
+  "date",
+  "date/boundaries",
+  "dict",
+  "experimental/aggregate",
+  "experimental/array",
+  "experimental/geo",
+  "experimental/json",
+  "experimental/table",
+  "generate",
+  "influxdata/influxdb/sample",
+  "influxdata/influxdb/schema",
+  "influxdata/influxdb/v1",
+  "interpolate",
+  "join",
+  "json",
+  "math",
+  "regexp",
+  "runtime",
+  "sampledata",
+  "strings",
+  "system",
+  "timezone",
+  "types",
+];
+
+// Package paths by the name they are referenced with in a query: the import
+// alias, or the last segment of the path
+function importedPackages(ast) {
+  const packages = new Map();
+  walkAst(ast, (node) => {
+    if (node.type !== "ImportDeclaration" || !node.path?.value) return;
+    const path = node.path.value;
+    packages.set(node.as?.name || path.split("/").pop(), path);
+  });
+  return packages;
+}
+
+// Every reference to a function that writes data, as dotted names such as
+// "to" or "http.post". References count whether or not they are called, so
+// aliasing a writer (w = experimental.to) is caught too.
+export function findWriteCalls(ast) {
+  const packages = importedPackages(ast);
+  const writes = new Set();
+
+  // Identifiers that name record keys, parameters or accessed properties
+  // rather than values
+  const names = new Set();
+  walkAst(ast, (node) => {
+    if (node.type === "Property") names.add(node.key);
+    if (node.type === "MemberExpression") names.add(node.property);
+  });
+
+  walkAst(ast, (node) => {
+    if (node.type === "Identifier" && !names.has(node) &&
+      WRITE_FUNCTIONS.universe.includes(node.name)) {
+      writes.add(node.name);
+    }
+    if (node.type === "MemberExpression" && node.object?.type === "Identifier") {
+      const path = packages.get(node.object.name);
+      const property = propertyName(node.property);
+      if (path && WRITE_FUNCTIONS[path]?.includes(property)) {
+        writes.add(`${node.object.name}.${property}`);
+      }
+    }
+  });
+
+  return Array.from(writes).sort();
+}
+
+// Imports outside the read allowlist and the packages whose writers are
+// known, by package path
+export function findUnlistedImports(ast) {
+  const paths = Array.from(importedPackages(ast).values());
+  return Array.from(new Set(paths.filter((path) =>
+    !READ_PACKAGES.includes(path) && !WRITE_FUNCTIONS[path]
+  ))).sort();
+}
+
+// Orgs and hosts a query reads from besides its own org: from(), to() and
+// friends accept org, orgID and host arguments to reach other orgs or other
+// InfluxDB instances. Arguments that cannot be resolved up front are counted
+// in dynamicOrgs.
+export function findOrgReferences(ast, params) {
+  const orgs = new Set();
+  const orgIDs = new Set();
+  const hosts = new Set();
+  let dynamicOrgs = 0;
+
+  for (const { node } of findCalls(ast)) {
+    const args = callArguments(node);
+    for (const [key, target] of [["org", orgs], ["orgID", orgIDs], ["host", hosts]]) {
+      if (!args[key]) continue;
+      const value = staticString(args[key], params);
+      if (value === null) {
+        dynamicOrgs++;
+      } else {
+        target.add(value);
+      }
+    }
+  }
+
+  return {
+    orgs: Array.from(orgs),
+    orgIDs: Array.from(orgIDs),
+    hosts: Array.from(hosts),
+    dynamicOrgs,
+  };
+}
@@ -0,0 +1,158 @@
+// Build Flux queries from structured inputs. Every user-supplied value ends up
+// in a string literal or is checked against the literal syntax it is emitted
+// as, so inputs cannot change the shape of the query.
+
+// Aggregates that take a stream of tables and need no extra arguments
+export const FLUX_AGGREGATES = [
+  "mean",
+  "median",
+  "max",
+  "min",
+  "sum",
+  "count",
+  "first",
+  "last",
+  "spread",
+  "stddev",
+];
+
+const DURATION_PATTERN = /^(\d+(ns|us|µs|ms|s|mo|m|h|d|w|y))+$/;
+const RFC3339_PATTERN =
+  /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2}))?$/;
+
+// Quote a value as a Flux string literal. Besides quotes and backslashes,
+// "${" has to be escaped because Flux strings support interpolation.
+export function fluxString(value) {
+  const escaped = String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, "\\\"")
+    .replace(/\$\{/g, "\\${")
+    .replace(/\n/g, "\\n")
+    .replace(/\r/g, "\\r")
+    .replace(/\t/g, "\\t");
+  return `"${escaped}"`;
+}
+
+// Reference a column of the row record. Bracket access works for any column
+// name, including ones with spaces, dots or dashes.
+export function fluxColumn(name) {
+  return `r[${fluxString(name)}]`;
+}
+
+function fluxStringArray(values) {
+  return `[${values.map(fluxString).join(", ")}]`;
+}
+
+// Accept a duration literal such as 5m or 1h30m
+export function fluxDuration(value, label) {
+  if (!DURATION_PATTERN.test(value)) {
+    throw new Error(
+      `${label} must be a Flux duration such as 30s, 5m or 1h30m, got '${value}'`,
+    );
+  }
+  return value;
+}
+
+// Accept a relative duration (-1h), an RFC3339 timestamp or now()
+export function fluxTime(value, label) {
+  const time = String(value).trim();
+  if (time === "now()") {
+    return time;
+  }
+  if (DURATION_PATTERN.test(time.replace(/^-/, ""))) {
+    return time;
+  }
+  if (RFC3339_PATTERN.test(time) && !Number.isNaN(Date.parse(time))) {
+    return time;
+  }
+  throw new Error(
+    `${label} must be a relative duration such as -1h, an RFC3339 timestamp or now(), got '${value}'`,
+  );
+}
+
+// r[column] == value, or a parenthesised disjunction for several values
+export function equalsAny(column, values) {
+  const comparisons = values.map(
+    (value) => `${fluxColumn(column)} == ${fluxString(value)}`,
+  );
+  return comparisons.length === 1
+    ? comparisons[0]
+    : `(${comparisons.join(" or ")})`;
+}
+
+function nonEmpty(values, label) {
+  const list = Array.isArray(values) ? values : [values];
+  if (list.length === 0) {
+    throw new Error(`${label} must not be empty`);
+  }
+  return list;
+}
+
+// Build a Flux query:
+//
+//   from(bucket) |> range |> filter(measurement) |> filter(tags)
+//     |> filter(fields) |> group |> aggregateWindow or aggregate |> limit
+//
+// tags maps tag keys to one value or a list of accepted values.
+export function buildFluxQuery({
+  bucket,
+  measurement,
+  start = "-1h",
+  stop,
+  tags = {},
+  fields = [],
+  aggregate,
+  window,
+  createEmpty = false,
+  groupBy,
+  limit,
+}) {
+  if (!bucket) {
+    throw new Error("bucket is required");
+  }
+  if (window && !aggregate) {
+    throw new Error("window requires an aggregate function");
+  }
+  if (aggregate && !FLUX_AGGREGATES.includes(aggregate)) {
+    throw new Error(
+      `aggregate must be one of ${FLUX_AGGREGATES.join(", ")}, got '${aggregate}'`,
+    );
+  }
+  if (limit !== undefined && !(Number.isInteger(limit) && limit > 0)) {
+    throw new Error("limit must be a positive integer");
+  }
+
+  const range = stop === undefined
+    ? `range(start: ${fluxTime(start, "start")})`
+    : `range(start: ${fluxTime(start, "start")}, stop: ${fluxTime(stop, "stop")})`;
+  const lines = [`from(bucket: ${fluxString(bucket)})`, `  |> ${range}`];
+
+  const filter = (predicate) => lines.push(`  |> filter(fn: (r) => ${predicate})`);
+  if (measurement) {
+    filter(`r._measurement == ${fluxString(measurement)}`);
+  }
+  for (const [tag, values] of Object.entries(tags)) {
+    filter(equalsAny(tag, nonEmpty(values, `Values for tag '${tag}'`)));
+  }
+  if (fields.length > 0) {
+    filter(equalsAny("_field", fields));
+  }
+
+  if (groupBy) {
+    lines.push(`  |> group(columns: ${fluxStringArray(groupBy)})`);
+  }
+
+  if (window) {
+    lines.push(
+      `  |> aggregateWindow(every: ${fluxDuration(window, "window")}, fn: ${aggregate}, createEmpty: ${createEmpty})`,
+    );
+  } else if (aggregate) {
+    lines.push(`  |> ${aggregate}()`);
+  }
+
+  if (limit !== undefined) {
+    lines.push(`  |> limit(n: ${limit})`);
+  }
+
+  return lines.join("\n");
+}
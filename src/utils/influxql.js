@@ -0,0 +1,148 @@
+import { influxRequest } from "./influxClient.js";
+
+// InfluxQL runs against the v1 compatibility API, which addresses data by
+// database and retention policy. InfluxDB 2 maps those onto buckets through
+// DBRP mappings.
+
+async function findDbrps(orgID, filters) {
+  const query = new URLSearchParams({ orgID, ...filters });
+  const response = await influxRequest(`/api/v2/dbrps?${query}`);
+  const data = await response.json();
+  return data.content || [];
+}
+
+// Pick the mapping for a retention policy, or the default one
+function chooseMapping(mappings, rp) {
+  if (rp) {
+    return mappings.find((mapping) => mapping.retention_policy === rp);
+  }
+  return mappings.find((mapping) => mapping.default) || mappings[0];
+}
+
+// Resolve a database name (or the name of a bucket with a DBRP mapping) and
+// optional retention policy to the db/rp pair the /query endpoint expects,
+// along with the ID of the mapped bucket. org is a resolved { id, name } pair.
+export async function resolveDbrp(org, db, rp) {
+  const byDatabase = chooseMapping(await findDbrps(org.id, { db }), rp);
+  if (byDatabase) {
+    return {
+      db: byDatabase.database,
+      rp: byDatabase.retention_policy,
+      bucketID: byDatabase.bucketID,
+    };
+  }
+
+  // Fall back to treating db as a bucket name
+  const response = await influxRequest(
+    `/api/v2/buckets?orgID=${encodeURIComponent(org.id)}&name=${encodeURIComponent(db)}`,
+  );
+  const { buckets = [] } = await response.json();
+  if (buckets.length > 0) {
+    const byBucket = chooseMapping(
+      await findDbrps(org.id, { bucketID: buckets[0].id }),
+      rp,
+    );
+    if (byBucket) {
+      return {
+        db: byBucket.database,
+        rp: byBucket.retention_policy,
+        bucketID: byBucket.bucketID,
+      };
+    }
+  }
+
+  throw new Error(
+    `No DBRP mapping found for database '${db}'${rp ? ` and retention policy '${rp}'` : ""
+    } in org '${org.name}'. Create one with 'influx v1 dbrp create' or POST /api/v2/dbrps.`,
+  );
+}
+
+// Run an InfluxQL query and return the parsed JSON response
+export async function runInfluxQL({ db, rp, query }) {
+  const params = new URLSearchParams({ db });
+  if (rp) {
+    params.set("rp", rp);
+  }
+
+  const response = await influxRequest(`/query?${params}`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/x-www-form-urlencoded",
+      Accept: "application/json",
+    },
+    body: new URLSearchParams({ q: query }).toString(),
+  });
+  return response.json();
+}
+
+// Annotated CSV datatype for a column of JSON values, used to give JSON query
+// results the same column metadata as Flux results
+export function inferDatatype(name, values) {
+  if (name === "time") {
+    return "dateTime:RFC3339";
+  }
+  const sample = values.find((value) => value !== null && value !== undefined);
+  if (typeof sample === "boolean") {
+    return "boolean";
+  }
+  if (typeof sample === "number") {
+    // JSON does not distinguish integers from floats, so look at every value
+    return values.every((value) => value === null || Number.isInteger(value))
+      ? "long"
+      : "double";
+  }
+  return "string";
+}
+
+// Convert an InfluxQL JSON response into the same table structure that
+// parseAnnotatedCsv() produces: one table per series, grouped by measurement
+// name and tags. Statement errors are thrown.
+export function influxqlToTables(data) {
+  if (data.error) {
+    throw new Error(`InfluxQL error: ${data.error}`);
+  }
+
+  const tables = [];
+  for (const statement of data.results || []) {
+    if (statement.error) {
+      throw new Error(
+        `InfluxQL error in statement ${statement.statement_id}: ${statement.error}`,
+      );
+    }
+
+    for (const series of statement.series || []) {
+      const tags = series.tags || {};
+      const groupKey = { name: series.name, ...tags };
+      const values = series.values || [];
+
+      const columns = [
+        { name: "name", datatype: "string", group: true },
+        ...Object.keys(tags).map((tag) => ({
+          name: tag,
+          datatype: "string",
+          group: true,
+        })),
+        ...series.columns.map((column, index) => ({
+          name: column,
+          datatype: inferDatatype(column, values.map((row) => row[index])),
+          group: false,
+        })),
+      ];
+
+      tables.push({
+        result: `statement_${statement.statement_id}`,
+        table: tables.length,
+        columns,
+        groupKey,
+        rows: values.map((row) => {
+          const record = { ...groupKey };
+          series.columns.forEach((column, index) => {
+            record[column] = row[index] ?? null;
+          });
+          return record;
+        }),
+      });
+    }
+  }
+  return tables;
+}
@@ -0,0 +1,105 @@
+import { influxRequest } from "./influxClient.js";
+import { resolveOrg } from "./orgs.js";
+import { assertOrgAllowed } from "./policy.js";
+
+// Largest page size the monitoring APIs accept
+const MONITORING_PAGE_SIZE = 100;
+
+const ID_PATTERN = /^[0-9a-f]{16}$/;
+
+// Levels a check can report, and that notification rules match on. ANY
+// matches every level in a rule's status rules.
+export const CHECK_LEVELS = ["CRIT", "WARN", "INFO", "OK"];
+export const RULE_LEVELS = [...CHECK_LEVELS, "ANY"];
+
+// API path, response key and name of each kind of monitoring object
+const KINDS = {
+  check: { path: "/api/v2/checks", key: "checks", label: "Check" },
+  endpoint: {
+    path: "/api/v2/notificationEndpoints",
+    key: "notificationEndpoints",
+    label: "Notification endpoint",
+  },
+  rule: {
+    path: "/api/v2/notificationRules",
+    key: "notificationRules",
+    label: "Notification rule",
+  },
+};
+
+// API path of one check, endpoint or rule
+export function monitoringPath(kind, id) {
+  return `${KINDS[kind].path}/${encodeURIComponent(id)}`;
+}
+
+// Fetch every check, notification endpoint or notification rule of an org.
+// These APIs page with offset= rather than an after= cursor.
+export async function listMonitoring(kind, orgID) {
+  const { path, key } = KINDS[kind];
+  const items = [];
+
+  for (let offset = 0;; offset += MONITORING_PAGE_SIZE) {
+    const query = new URLSearchParams({
+      orgID,
+      offset: String(offset),
+      limit: String(MONITORING_PAGE_SIZE),
+    });
+    const response = await influxRequest(`${path}?${query}`, {}, 5000);
+    const page = (await response.json())[key] || [];
+    items.push(...page);
+    if (page.length < MONITORING_PAGE_SIZE) {
+      break;
+    }
+  }
+
+  return items;
+}
+
+// Look up a check, endpoint or rule by name within an org given as a
+// resolved { id, name } pair, or by ID in any org. The list APIs cannot
+// filter by name, so names are matched against the full listing.
+export async function findMonitoring(kind, org, nameOrID) {
+  const { label } = KINDS[kind];
+  if (ID_PATTERN.test(nameOrID)) {
+    try {
+      const response = await influxRequest(monitoringPath(kind, nameOrID), {}, 5000);
+      return await response.json();
+    } catch (error) {
+      // A 16-character hex string can also be a name
+      if (!error.message.includes("(404)")) {
+        throw error;
+      }
+    }
+  }
+
+  const matches = (await listMonitoring(kind, org.id))
+    .filter((item) => item.name === nameOrID);
+  if (matches.length === 0) {
+    throw new Error(`${label} '${nameOrID}' not found in org '${org.name}'`);
+  }
+  if (matches.length > 1) {
+    throw new Error(
+      `Several ${label.toLowerCase()}s in org '${org.name}' are named '${nameOrID}' (${matches.map((match) => match.id).join(", ")}); pass the ID instead`,
+    );
+  }
+  return matches[0];
+}
+
+// Resolve the org and the check, endpoint or rule in it. Looked up by ID it
+// can belong to another org, so the policy checks the org it is actually in.
+export async function resolveMonitoring(kind, org, nameOrID) {
+  const owner = await resolveOrg(org);
+  assertOrgAllowed(owner);
+  const item = await findMonitoring(kind, owner, nameOrID);
+  if (item.orgID !== owner.id) {
+    assertOrgAllowed(await resolveOrg(item.orgID));
+  }
+  return item;
+}
+
+// Settings passed to an update, leaving out the ones not given
+export function definedSettings(settings) {
+  return Object.fromEntries(
+    Object.entries(settings).filter(([, value]) => value !== undefined),
+  );
+}
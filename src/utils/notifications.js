@@ -0,0 +1,212 @@
+import { fluxDuration } from "./fluxBuilder.js";
+import { RULE_LEVELS } from "./monitoring.js";
+
+export const ENDPOINT_TYPES = ["http", "slack", "pagerduty"];
+export const HTTP_AUTH_METHODS = ["none", "basic", "bearer"];
+
+// Endpoint settings InfluxDB keeps in its secret store. Reads return them as
+// "secret: <key>" references, which PUT accepts back unchanged.
+const SECRET_SETTINGS = ["password", "token", "routingKey"];
+
+// The message the InfluxDB UI gives new Slack and PagerDuty rules
+const DEFAULT_RULE_MESSAGE =
+  "Notification Rule: ${ r._notification_rule_name } triggered by check: ${ r._check_name }: ${ r._message }";
+
+// The notification endpoint body for POST and PUT
+// /api/v2/notificationEndpoints. Endpoints are configuration only: nothing is
+// sent until a notification rule uses them.
+export function buildEndpoint(orgID, settings) {
+  const {
+    name,
+    type,
+    description,
+    status = "active",
+    url,
+    method = "POST",
+    authMethod = "none",
+    username,
+    password,
+    token,
+    headers,
+    clientURL,
+    routingKey,
+  } = settings;
+  if (!name) {
+    throw new Error("name is required");
+  }
+  const endpoint = { name, orgID, type, description, status };
+
+  switch (type) {
+    case "http":
+      if (!url) {
+        throw new Error("HTTP endpoints need a url");
+      }
+      if (!HTTP_AUTH_METHODS.includes(authMethod)) {
+        throw new Error(`authMethod must be one of ${HTTP_AUTH_METHODS.join(", ")}, got '${authMethod}'`);
+      }
+      if (authMethod === "basic" && !(username && password)) {
+        throw new Error("basic authentication needs a username and password");
+      }
+      if (authMethod === "bearer" && !token) {
+        throw new Error("bearer authentication needs a token");
+      }
+      return {
+        ...endpoint,
+        url,
+        method,
+        authMethod,
+        ...(authMethod === "basic" ? { username, password } : {}),
+        ...(authMethod === "bearer" ? { token } : {}),
+        ...(headers ? { headers } : {}),
+      };
+    case "slack":
+      if (!url) {
+        throw new Error("Slack endpoints need a url, the incoming webhook or https://slack.com/api/chat.postMessage with a token");
+      }
+      return { ...endpoint, url, ...(token ? { token } : {}) };
+    case "pagerduty":
+      if (!routingKey) {
+        throw new Error("PagerDuty endpoints need a routingKey");
+      }
+      return { ...endpoint, routingKey, ...(clientURL ? { clientURL } : {}) };
+    default:
+      throw new Error(`type must be one of ${ENDPOINT_TYPES.join(", ")}, got '${type}'`);
+  }
+}
+
+// The details of a notification endpoint worth showing. Secrets are named
+// but never shown, and header values may hold credentials too.
+export function describeEndpoint(endpoint) {
+  return {
+    id: endpoint.id,
+    name: endpoint.name,
+    orgID: endpoint.orgID,
+    type: endpoint.type,
+    status: endpoint.status,
+    description: endpoint.description,
+    url: endpoint.url,
+    method: endpoint.method,
+    authMethod: endpoint.authMethod,
+    username: endpoint.username,
+    clientURL: endpoint.clientURL,
+    headers: endpoint.headers ? Object.keys(endpoint.headers) : undefined,
+    secrets: SECRET_SETTINGS.filter((key) => endpoint[key]),
+  };
+}
+
+// Settings of an existing endpoint in the form buildEndpoint takes. Secrets
+// stay as the references the API returned.
+export function endpointSettings(endpoint) {
+  return {
+    name: endpoint.name,
+    type: endpoint.type,
+    description: endpoint.description,
+    status: endpoint.status,
+    url: endpoint.url,
+    method: endpoint.method,
+    authMethod: endpoint.authMethod,
+    username: endpoint.username,
+    password: endpoint.password,
+    token: endpoint.token,
+    headers: endpoint.headers,
+    clientURL: endpoint.clientURL,
+    routingKey: endpoint.routingKey,
+  };
+}
+
+// The notification rule body for POST and PUT /api/v2/notificationRules.
+// A rule takes the type of its endpoint; tagRules maps tag keys to the value
+// a status must carry.
+export function buildRule(orgID, endpoint, settings) {
+  const {
+    name,
+    description,
+    status = "active",
+    every = "10m",
+    offset = "0s",
+    statusRules = [{ currentLevel: "CRIT" }],
+    tagRules = {},
+    messageTemplate = DEFAULT_RULE_MESSAGE,
+    channel,
+  } = settings;
+  if (!name) {
+    throw new Error("name is required");
+  }
+  if (statusRules.length === 0) {
+    throw new Error("at least one status rule is required");
+  }
+  for (const { currentLevel, previousLevel } of statusRules) {
+    for (const level of [currentLevel, previousLevel].filter(Boolean)) {
+      if (!RULE_LEVELS.includes(level)) {
+        throw new Error(`status rule levels must be among ${RULE_LEVELS.join(", ")}, got '${level}'`);
+      }
+    }
+  }
+
+  return {
+    name,
+    orgID,
+    description,
+    status,
+    endpointID: endpoint.id,
+    type: endpoint.type,
+    every: fluxDuration(every, "every"),
+    offset: fluxDuration(offset, "offset"),
+    statusRules: statusRules.map(({ currentLevel, previousLevel }) => ({
+      currentLevel,
+      ...(previousLevel ? { previousLevel } : {}),
+    })),
+    tagRules: Object.entries(tagRules).map(([key, value]) => ({
+      key,
+      value,
+      operator: "equal",
+    })),
+    ...(endpoint.type === "http" ? {} : { messageTemplate }),
+    ...(endpoint.type === "slack" && channel ? { channel } : {}),
+  };
+}
+
+// The settings of an existing rule in the form buildRule takes
+export function ruleSettings(rule) {
+  return {
+    name: rule.name,
+    description: rule.description,
+    status: rule.status,
+    every: rule.every,
+    offset: rule.offset,
+    statusRules: rule.statusRules,
+    tagRules: Object.fromEntries(
+      (rule.tagRules || []).map(({ key, value }) => [key, value]),
+    ),
+    messageTemplate: rule.messageTemplate,
+    channel: rule.channel,
+  };
+}
+
+// A status rule in words, e.g. "OK -> CRIT" or "CRIT"
+function describeStatusRule({ currentLevel, previousLevel }) {
+  return previousLevel ? `${previousLevel} -> ${currentLevel}` : currentLevel;
+}
+
+// The details of a notification rule worth showing
+export function describeRule(rule) {
+  return {
+    id: rule.id,
+    name: rule.name,
+    orgID: rule.orgID,
+    type: rule.type,
+    status: rule.status,
+    description: rule.description,
+    endpointID: rule.endpointID,
+    every: rule.every,
+    offset: rule.offset,
+    statusRules: (rule.statusRules || []).map(describeStatusRule),
+    tagRules: ruleSettings(rule).tagRules,
+    messageTemplate: rule.messageTemplate,
+    channel: rule.channel,
+    taskID: rule.taskID,
+    latestCompleted: rule.latestCompleted,
+    lastRunStatus: rule.lastRunStatus,
+    lastRunError: rule.lastRunError,
+  };
+}
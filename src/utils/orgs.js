@@ -0,0 +1,76 @@
+import { influxRequest } from "./influxClient.js";
+import { DEFAULT_ORG } from "../config/env.js";
+
+// Largest page size /api/v2/orgs accepts
+const ORG_PAGE_SIZE = 100;
+
+// How long a fetched org list is trusted before it is fetched again
+const ORG_CACHE_TTL_MS = 5 * 60 * 1000;
+
+// Orgs by both name and ID, refreshed whenever a lookup misses
+let orgCache = { byKey: new Map(), orgs: [], fetchedAt: 0 };
+
+async function fetchOrgs() {
+  const orgs = [];
+  for (let offset = 0;; offset += ORG_PAGE_SIZE) {
+    const response = await influxRequest(
+      `/api/v2/orgs?limit=${ORG_PAGE_SIZE}&offset=${offset}`,
+      {},
+      5000,
+    );
+    const page = (await response.json()).orgs || [];
+    orgs.push(...page);
+    if (page.length < ORG_PAGE_SIZE) {
+      break;
+    }
+  }
+
+  const byKey = new Map();
+  for (const { id, name } of orgs) {
+    byKey.set(id, { id, name });
+    byKey.set(name, { id, name });
+  }
+  orgCache = { byKey, orgs, fetchedAt: Date.now() };
+}
+
+function validOrgs() {
+  return orgCache.orgs.length === 0
+    ? "none visible to this token"
+    : orgCache.orgs.map(({ id, name }) => `${name} (${id})`).join(", ");
+}
+
+// Resolve an org name or ID to { id, name }, falling back to INFLUXDB_ORG
+// when none is given. Tools accept either form, but some endpoints only take
+// IDs, so everything goes through here.
+export async function resolveOrg(org) {
+  const key = org || DEFAULT_ORG;
+
+  if (Date.now() - orgCache.fetchedAt > ORG_CACHE_TTL_MS || !orgCache.byKey.has(key)) {
+    // A miss may be an org created since the last fetch
+    await fetchOrgs();
+  }
+
+  if (!key) {
+    throw new Error(
+      `No org given and INFLUXDB_ORG is not set. Valid orgs: ${validOrgs()}`,
+    );
+  }
+  const resolved = orgCache.byKey.get(key);
+  if (!resolved) {
+    throw new Error(
+      `Organization '${key}' not found. Valid orgs: ${validOrgs()}`,
+    );
+  }
+  return resolved;
+}
+
+// Look up the ID of an organization given its name or ID
+export async function resolveOrgID(org) {
+  return (await resolveOrg(org)).id;
+}
+
+// Drop the cached org list after an org is renamed or deleted so the next
+// lookup sees the change
+export function forgetOrgs() {
+  orgCache = { byKey: new Map(), orgs: [], fetchedAt: 0 };
+}
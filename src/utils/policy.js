@@ -0,0 +1,178 @@
+import { influxRequest } from "./influxClient.js";
+import { findOrgReferences, findReferences } from "./fluxAst.js";
+import { resolveOrg } from "./orgs.js";
+
+// Access policy restricting which orgs and buckets the server reads from or
+// writes to. It is set at startup from the INFLUXDB_ALLOWED_* and
+// INFLUXDB_DENIED_* lists. An empty allowlist allows everything; the
+// denylist always wins. Patterns may use * as a wildcard.
+let policy = {
+  allowedOrgs: [],
+  deniedOrgs: [],
+  allowedBuckets: [],
+  deniedBuckets: [],
+};
+
+// Functions that reveal every bucket name, whatever the policy says
+const BUCKET_LISTING_FUNCTIONS = ["buckets", "v1.databases"];
+
+function compilePattern(pattern) {
+  const source = pattern
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${source}$`);
+}
+
+export function setPolicy({
+  allowedOrgs = [],
+  deniedOrgs = [],
+  allowedBuckets = [],
+  deniedBuckets = [],
+}) {
+  policy = {
+    allowedOrgs: allowedOrgs.map(compilePattern),
+    deniedOrgs: deniedOrgs.map(compilePattern),
+    allowedBuckets: allowedBuckets.map(compilePattern),
+    deniedBuckets: deniedBuckets.map(compilePattern),
+  };
+}
+
+function orgPolicyActive() {
+  return policy.allowedOrgs.length > 0 || policy.deniedOrgs.length > 0;
+}
+
+function bucketPolicyActive() {
+  return policy.allowedBuckets.length > 0 || policy.deniedBuckets.length > 0;
+}
+
+// Allowed when any of the names passes the allowlist and none is denied.
+// Orgs are matched by both name and ID.
+function permitted(allowed, denied, names) {
+  const matches = (patterns) =>
+    names.some((name) => name && patterns.some((pattern) => pattern.test(name)));
+  return (allowed.length === 0 || matches(allowed)) && !matches(denied);
+}
+
+export function orgAllowed({ id, name }) {
+  return permitted(policy.allowedOrgs, policy.deniedOrgs, [id, name]);
+}
+
+export function bucketAllowed(name) {
+  return permitted(policy.allowedBuckets, policy.deniedBuckets, [name]);
+}
+
+export function assertOrgAllowed(org) {
+  if (!orgAllowed(org)) {
+    throw new Error(`Access to organization '${org.name || org.id}' is denied by policy`);
+  }
+}
+
+export function assertBucketAllowed(name) {
+  if (!bucketAllowed(name)) {
+    throw new Error(`Access to bucket '${name}' is denied by policy`);
+  }
+}
+
+// Check a bucket known only by ID, as in from(bucketID: ...) or a DBRP
+// mapping, against both the bucket and the org rules
+export async function assertBucketIDAllowed(bucketID) {
+  if (!policyActive()) return;
+
+  const response = await influxRequest(
+    `/api/v2/buckets/${encodeURIComponent(bucketID)}`,
+    {},
+    5000,
+  );
+  const bucket = await response.json();
+  assertBucketAllowed(bucket.name);
+  if (orgPolicyActive()) {
+    assertOrgAllowed(await resolveOrg(bucket.orgID));
+  }
+}
+
+export function policyActive() {
+  return orgPolicyActive() || bucketPolicyActive();
+}
+
+// Orgs visible under the policy
+export function filterOrgs(orgs) {
+  return orgs.filter(orgAllowed);
+}
+
+// Buckets visible under the policy, checking each bucket's org as well
+export async function filterBuckets(buckets) {
+  const visible = [];
+  for (const bucket of buckets) {
+    if (!bucketAllowed(bucket.name)) continue;
+    if (orgPolicyActive() && !orgAllowed(await resolveOrg(bucket.orgID))) continue;
+    visible.push(bucket);
+  }
+  return visible;
+}
+
+// InfluxQL names other databases in ON clauses and in db.rp.measurement
+// sources, and SHOW DATABASES lists them all. Under a bucket policy only the
+// database the query is sent to may be used, so all three are rejected.
+export function assertInfluxQLAllowed(query) {
+  if (!bucketPolicyActive()) return;
+
+  const text = query
+    .replace(/'(?:[^'\\]|\\.)*'/g, "''")
+    .replace(/"(?:[^"\\]|\\.)*"/g, "\"\"")
+    .replace(/--[^\n]*/g, "");
+  if (
+    /\bSHOW\s+DATABASES\b/i.test(text) ||
+    /\bON\b/i.test(text) ||
+    /(""|\w+)\s*\.\s*(""|\w*)\s*\.\s*(""|\w+|\/)/.test(text)
+  ) {
+    throw new Error(
+      "The query names other databases, which the access policy does not allow; set db and rp instead",
+    );
+  }
+}
+
+// Check the buckets and orgs a Flux query reads from or writes to, taken from
+// the query's AST rather than from anything the caller says about it.
+// References that cannot be resolved without running the query are rejected.
+export async function assertFluxAllowed(ast, params) {
+  if (!policyActive()) return;
+
+  const references = findReferences(ast, params);
+  if (bucketPolicyActive()) {
+    if (references.dynamicBuckets > 0) {
+      throw new Error(
+        "The query names buckets with computed values, which the access policy cannot check; use string literals or params",
+      );
+    }
+    const listing = references.functions.filter((name) =>
+      BUCKET_LISTING_FUNCTIONS.includes(name)
+    );
+    if (listing.length > 0) {
+      throw new Error(
+        `The query calls ${listing.join(", ")}, which lists buckets hidden by the access policy`,
+      );
+    }
+    references.buckets.forEach(assertBucketAllowed);
+  }
+  for (const bucketID of references.bucketIDs) {
+    await assertBucketIDAllowed(bucketID);
+  }
+
+  const { orgs, orgIDs, hosts, dynamicOrgs } = findOrgReferences(ast, params);
+  if (hosts.length > 0) {
+    throw new Error(
+      `The query reads from other InfluxDB hosts (${hosts.join(", ")}), which the access policy cannot check`,
+    );
+  }
+  if (dynamicOrgs > 0) {
+    throw new Error(
+      "The query names orgs with computed values, which the access policy cannot check; use string literals or params",
+    );
+  }
+  if (orgPolicyActive()) {
+    for (const org of [...orgs, ...orgIDs]) {
+      assertOrgAllowed(await resolveOrg(org));
+    }
+  }
+}
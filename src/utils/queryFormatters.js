@@ -0,0 +1,124 @@
+// Renderers for parsed query results, used by tools that let the caller pick
+// how results are returned. All of them take the tables produced by
+// parseAnnotatedCsv().
+
+export const QUERY_FORMATS = ["csv", "json", "markdown", "summary"];
+
+// Typed records grouped by table
+export function formatJson(tables) {
+  return JSON.stringify({
+    tables: tables.map(({ result, table, groupKey, columns, rows }) => ({
+      result,
+      table,
+      groupKey,
+      columns: columns.map(({ name, datatype }) => ({ name, datatype })),
+      records: rows,
+    })),
+  });
+}
+
+function markdownCell(value) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  return String(value).replace(/\|/g, "\\|").replace(/\r?\n/g, " ");
+}
+
+// One compact table per result table. Group key columns have the same value
+// on every row, so they are listed once above the table instead of repeated.
+export function formatMarkdown(tables) {
+  if (tables.length === 0) {
+    return "_No results._";
+  }
+
+  return tables.map(({ result, table, groupKey, columns, rows }) => {
+    const keyText = Object.entries(groupKey)
+      .map(([name, value]) => `${name}=${markdownCell(value)}`)
+      .join(", ");
+    const heading = `**${result || "_result"} / table ${table}**` +
+      (keyText ? ` (${keyText})` : "");
+
+    const names = columns
+      .map((column) => column.name)
+      .filter((name) => !(name in groupKey));
+    if (names.length === 0) {
+      return `${heading}\n\n_${rows.length} rows_`;
+    }
+
+    const lines = [
+      `| ${names.map(markdownCell).join(" | ")} |`,
+      `| ${names.map(() => "---").join(" | ")} |`,
+      ...rows.map((row) =>
+        `| ${names.map((name) => markdownCell(row[name])).join(" | ")} |`
+      ),
+    ];
+    return `${heading}\n\n${lines.join("\n")}`;
+  }).join("\n\n");
+}
+
+// Row and table counts, the columns seen, the time span covered and
+// min/max/mean for every numeric column across all tables
+export function formatSummary(tables) {
+  const columns = new Map();
+  let rowCount = 0;
+  let firstTime = null;
+  let lastTime = null;
+
+  for (const table of tables) {
+    for (const column of table.columns) {
+      if (!columns.has(column.name)) {
+        columns.set(column.name, { name: column.name, datatype: column.datatype });
+      }
+    }
+
+    for (const row of table.rows) {
+      rowCount++;
+
+      if (typeof row._time === "string" && row._time !== "") {
+        if (firstTime === null || row._time < firstTime) firstTime = row._time;
+        if (lastTime === null || row._time > lastTime) lastTime = row._time;
+      }
+
+      for (const [name, value] of Object.entries(row)) {
+        if (typeof value !== "number" || !Number.isFinite(value)) {
+          continue;
+        }
+        const stats = columns.get(name);
+        if (stats.count === undefined) {
+          Object.assign(stats, { count: 0, min: value, max: value, sum: 0 });
+        }
+        stats.count++;
+        stats.min = Math.min(stats.min, value);
+        stats.max = Math.max(stats.max, value);
+        stats.sum += value;
+      }
+    }
+  }
+
+  return JSON.stringify({
+    tables: tables.length,
+    rows: rowCount,
+    timeRange: firstTime === null ? null : { start: firstTime, stop: lastTime },
+    columns: Array.from(columns.values()).map(({ sum, ...column }) =>
+      column.count === undefined ? column : {
+        ...column,
+        mean: sum / column.count,
+      }
+    ),
+  });
+}
+
+// Render tables in the requested format. "csv" returns the original
+// response text untouched.
+export function formatQueryResult(responseText, tables, format = "csv") {
+  switch (format) {
+    case "json":
+      return formatJson(tables);
+    case "markdown":
+      return formatMarkdown(tables);
+    case "summary":
+      return formatSummary(tables);
+    default:
+      return responseText;
+  }
+}
@@ -0,0 +1,132 @@
+import { MAX_QUERY_BYTES, MAX_QUERY_ROWS } from "../config/env.js";
+import { columnNames, flattenRows, toAnnotatedCsv } from "./annotatedCsv.js";
+import { formatQueryResult, formatSummary } from "./queryFormatters.js";
+import {
+  createCursor,
+  cursorAt,
+  renderPage,
+  resolveCursor,
+  truncationNotice,
+} from "./resultPager.js";
+
+// Page size for a request: the caller may ask for fewer rows than the cap
+export function rowLimit(maxRows) {
+  return Math.min(maxRows || MAX_QUERY_ROWS, MAX_QUERY_ROWS);
+}
+
+// Render one page of a result in the requested format, adding a notice and a
+// cursor for the next page when not everything fits. result holds the parsed
+// tables and, for Flux queries, the original annotated CSV text.
+export function queryResultContent(result, { offset = 0, format, maxRows, cursor }) {
+  if (format === "summary" && !cursor) {
+    // Summaries describe the whole result, so they are never paged
+    return [{ type: "text", text: formatSummary(result.tables) }];
+  }
+
+  const page = renderPage(result.tables, {
+    offset,
+    maxRows: rowLimit(maxRows),
+    maxBytes: MAX_QUERY_BYTES,
+    render: (tables, complete) => {
+      if (format === "csv") {
+        return complete && result.responseText !== undefined
+          ? result.responseText
+          : toAnnotatedCsv(tables);
+      }
+      return formatQueryResult(null, tables, format);
+    },
+  });
+
+  const content = [{ type: "text", text: page.text }];
+  if (page.offset > 0 || page.nextOffset !== null) {
+    let nextCursor = null;
+    if (page.nextOffset !== null) {
+      nextCursor = cursor
+        ? cursorAt(cursor, page.nextOffset)
+        : createCursor(
+          { tables: result.tables, format },
+          page.nextOffset,
+        );
+    }
+    content.push({
+      type: "text",
+      text: truncationNotice(
+        { ...page, tableCount: result.tables.length },
+        nextCursor,
+      ),
+    });
+  }
+  return content;
+}
+
+// Tool content for the page of a cached result that a cursor points at
+export function cursorContent(cursor, { format, maxRows }) {
+  const { value, offset } = resolveCursor(cursor);
+  return queryResultContent(value, {
+    offset,
+    format: format || value.format,
+    maxRows,
+    cursor,
+  });
+}
+
+// Resource body for a query result: the request details, the columns, one
+// entry per table and the flattened rows, capped like tool output with a
+// cursor for the remainder
+export function queryResultResource(uri, tables, details) {
+  if (tables.length === 0) {
+    // No results or headers only
+    return {
+      contents: [{
+        uri: uri.href,
+        text: JSON.stringify({ ...details, data: [] }),
+      }],
+    };
+  }
+
+  const page = renderPage(tables, {
+    maxRows: MAX_QUERY_ROWS,
+    maxBytes: MAX_QUERY_BYTES,
+    render: (pageTables) =>
+      JSON.stringify({
+        ...details,
+        headers: columnNames(tables),
+        tables: tables.map(({ result, table, groupKey, rows }) => ({
+          result,
+          table,
+          groupKey,
+          rowCount: rows.length,
+        })),
+        data: flattenRows(pageTables),
+      }),
+  });
+
+  if (page.nextOffset === null) {
+    return {
+      contents: [{
+        uri: uri.href,
+        text: page.text,
+      }],
+    };
+  }
+
+  // Too large for one response: keep the rest available to query-data
+  const cursor = createCursor({ tables, format: "json" }, page.nextOffset);
+  console.log(`Query result truncated to ${page.rows} of ${page.totalRows} rows`);
+  return {
+    contents: [{
+      uri: uri.href,
+      text: JSON.stringify({
+        ...JSON.parse(page.text),
+        truncated: true,
+        totalRows: page.totalRows,
+        returnedRows: page.rows,
+        cursor,
+        notice: truncationNotice(
+          { ...page, tableCount: tables.length },
+          cursor,
+        ),
+      }),
+    }],
+  };
+}
@@ -0,0 +1,60 @@
+import { findUnlistedImports, findWriteCalls } from "./fluxAst.js";
+
+// Read-only mode is switched on at startup by --read-only or
+// INFLUXDB_READ_ONLY. Mutating tools are then never registered, and queries
+// are checked here before they run.
+let readOnly = false;
+
+export function setReadOnly(enabled) {
+  readOnly = Boolean(enabled);
+}
+
+export function isReadOnly() {
+  return readOnly;
+}
+
+// Reject a Flux query that writes or sends data, or that imports a package
+// not known to only read. The check works on the server's parse of the
+// query, so formatting and aliases cannot hide a call.
+export function assertReadOnlyFlux(ast) {
+  if (!readOnly) return;
+
+  const writes = findWriteCalls(ast);
+  if (writes.length > 0) {
+    throw new Error(
+      `Read-only mode: the query calls ${writes.join(", ")}, which can write data`,
+    );
+  }
+  const unlisted = findUnlistedImports(ast);
+  if (unlisted.length > 0) {
+    throw new Error(
+      `Read-only mode: the query imports ${unlisted.join(", ")}, outside the packages known to only read`,
+    );
+  }
+}
+
+// Strip string literals, quoted identifiers and comments so keywords inside
+// them are not mistaken for statements
+function influxqlKeywords(query) {
+  return query
+    .replace(/'(?:[^'\\]|\\.)*'/g, "''")
+    .replace(/"(?:[^"\\]|\\.)*"/g, "\"\"")
+    .replace(/--[^\n]*/g, "")
+    .toUpperCase();
+}
+
+// Reject InfluxQL other than SELECT, SHOW and EXPLAIN, and SELECT ... INTO,
+// which writes its results back into the database
+export function assertReadOnlyInfluxQL(query) {
+  if (!readOnly) return;
+
+  for (const statement of influxqlKeywords(query).split(";")) {
+    const text = statement.trim();
+    if (text === "") continue;
+    if (!/^(SELECT|SHOW|EXPLAIN)\b/.test(text) || /\bINTO\b/.test(text)) {
+      throw new Error(
+        `Read-only mode: only SELECT, SHOW and EXPLAIN statements without INTO are allowed, got ${text.split(/\s+/)[0]}${/\bINTO\b/.test(text) ? " ... INTO" : ""}`,
+      );
+    }
+  }
+}
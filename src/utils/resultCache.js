@@ -0,0 +1,37 @@
+import { randomUUID } from "crypto";
+
+// Parsed query results kept in memory so later pages can be served without
+// running the query again. Entries expire, and the oldest are evicted first.
+const RESULT_TTL_MS = 10 * 60 * 1000;
+const MAX_CACHED_RESULTS = 20;
+
+const results = new Map();
+
+function evictExpired(now) {
+  for (const [id, entry] of results) {
+    if (entry.expiresAt <= now) {
+      results.delete(id);
+    }
+  }
+}
+
+// Store a result and return the id it can be fetched with
+export function cacheResult(value) {
+  const now = Date.now();
+  evictExpired(now);
+
+  // Maps iterate in insertion order, so the first key is the oldest entry
+  while (results.size >= MAX_CACHED_RESULTS) {
+    results.delete(results.keys().next().value);
+  }
+
+  const id = randomUUID();
+  results.set(id, { value, expiresAt: now + RESULT_TTL_MS });
+  return id;
+}
+
+// Fetch a cached result, or undefined when it is unknown or has expired
+export function getCachedResult(id) {
+  evictExpired(Date.now());
+  return results.get(id)?.value;
+}
@@ -0,0 +1,99 @@
+import { cacheResult, getCachedResult } from "./resultCache.js";
+
+// Total number of rows across all tables
+export function countRows(tables) {
+  return tables.reduce((total, table) => total + table.rows.length, 0);
+}
+
+// Slice rows [offset, offset + limit) out of a list of tables, keeping table
+// metadata so the page can be rendered like a complete result
+export function sliceTables(tables, offset, limit) {
+  const page = [];
+  let skip = offset;
+  let remaining = limit;
+
+  for (const table of tables) {
+    if (remaining <= 0) {
+      break;
+    }
+    if (skip >= table.rows.length) {
+      skip -= table.rows.length;
+      continue;
+    }
+
+    const rows = table.rows.slice(skip, skip + remaining);
+    page.push({ ...table, rows });
+    remaining -= rows.length;
+    skip = 0;
+  }
+
+  return page;
+}
+
+// Render the page of rows starting at offset, holding to at most maxRows rows
+// and, as far as a single row allows, maxBytes UTF-8 bytes. render() receives
+// the page tables and whether they hold the complete result.
+export function renderPage(tables, { offset = 0, maxRows, maxBytes, render }) {
+  const totalRows = countRows(tables);
+  // Cursors only ever point inside a result, so anything past its end was
+  // edited or belongs to another result
+  if (offset > 0 && offset >= totalRows) {
+    throw new Error(
+      `Cursor offset ${offset} is past the end of the result (${totalRows} rows). Run the query again to get a fresh cursor.`,
+    );
+  }
+  let limit = Math.max(1, Math.min(maxRows, totalRows - offset));
+
+  while (true) {
+    const complete = offset === 0 && limit >= totalRows;
+    const text = render(sliceTables(tables, offset, limit), complete);
+    const bytes = Buffer.byteLength(text);
+    if (bytes <= maxBytes || limit === 1) {
+      const nextOffset = offset + limit < totalRows ? offset + limit : null;
+      return { text, offset, rows: Math.min(limit, totalRows - offset), totalRows, nextOffset };
+    }
+    // Shrink proportionally, leaving some headroom for uneven row sizes
+    limit = Math.max(1, Math.min(limit - 1, Math.floor(limit * (maxBytes / bytes) * 0.9)));
+  }
+}
+
+// Keep a result around for later pages and return the cursor for the page
+// starting at offset. Cursors are "<result id>:<row offset>".
+export function createCursor(value, offset) {
+  return `${cacheResult(value)}:${offset}`;
+}
+
+// Cursor for another page of a result that is already cached
+export function cursorAt(cursor, offset) {
+  return `${cursor.slice(0, cursor.lastIndexOf(":"))}:${offset}`;
+}
+
+// Resolve a cursor to its cached result and row offset
+export function resolveCursor(cursor) {
+  const separator = cursor.lastIndexOf(":");
+  const offset = Number(cursor.slice(separator + 1));
+  const value = separator > 0 ? getCachedResult(cursor.slice(0, separator)) : undefined;
+
+  if (!value || !Number.isInteger(offset) || offset < 0) {
+    throw new Error(
+      "Unknown or expired cursor. Run the query again to get a fresh cursor.",
+    );
+  }
+
+  return { value, offset };
+}
+
+// Human-readable note appended after a partial page
+export function truncationNotice({ offset, rows, totalRows, tableCount }, cursor) {
+  const first = offset + 1;
+  const last = offset + rows;
+  let notice = `Result truncated: showing rows ${first}-${last} of ${totalRows}`;
+  if (tableCount !== undefined) {
+    notice += ` across ${tableCount} tables`;
+  }
+  notice += ".";
+  notice += cursor
+    ? ` Call query-data with cursor "${cursor}" to fetch the next page.`
+    : " This is the last page.";
+  return notice;
+}
@@ -0,0 +1,109 @@
+import { influxRequest } from "./influxClient.js";
+import { fluxDuration, fluxString } from "./fluxBuilder.js";
+
+// Largest page size /api/v2/tasks accepts
+const TASK_PAGE_SIZE = 100;
+
+const TASK_ID_PATTERN = /^[0-9a-f]{16}$/;
+
+// Fetch every task matching the filters, following the after= cursor
+export async function listAllTasks({ orgID, name } = {}) {
+  const tasks = [];
+  let after;
+
+  for (;;) {
+    const query = new URLSearchParams({
+      ...(orgID ? { orgID } : {}),
+      ...(name ? { name } : {}),
+      limit: String(TASK_PAGE_SIZE),
+      ...(after ? { after } : {}),
+    });
+    const response = await influxRequest(`/api/v2/tasks?${query}`, {}, 5000);
+    const page = (await response.json()).tasks || [];
+    tasks.push(...page);
+
+    const last = page[page.length - 1];
+    if (page.length < TASK_PAGE_SIZE || !last || last.id === after) {
+      break;
+    }
+    after = last.id;
+  }
+
+  return tasks;
+}
+
+// Look up a task by name within an org given as a resolved { id, name } pair,
+// or by ID in any org
+export async function findTask(org, task) {
+  if (TASK_ID_PATTERN.test(task)) {
+    try {
+      const response = await influxRequest(`/api/v2/tasks/${task}`, {}, 5000);
+      return await response.json();
+    } catch (error) {
+      // A 16-character hex string can also be a task name
+      if (!error.message.includes("(404)")) {
+        throw error;
+      }
+    }
+  }
+
+  const matches = await listAllTasks({ orgID: org.id, name: task });
+  if (matches.length === 0) {
+    throw new Error(`Task '${task}' not found in org '${org.name}'`);
+  }
+  if (matches.length > 1) {
+    throw new Error(
+      `Several tasks in org '${org.name}' are named '${task}' (${matches.map((match) => match.id).join(", ")}); pass the task ID instead`,
+    );
+  }
+  return matches[0];
+}
+
+// The details of a task worth showing; with flux false the script is left
+// out so that listings stay short
+export function describeTask(task, { flux = true } = {}) {
+  return {
+    id: task.id,
+    name: task.name,
+    org: task.org,
+    orgID: task.orgID,
+    status: task.status,
+    description: task.description,
+    every: task.every,
+    cron: task.cron,
+    offset: task.offset,
+    latestCompleted: task.latestCompleted,
+    lastRunStatus: task.lastRunStatus,
+    lastRunError: task.lastRunError,
+    createdAt: task.createdAt,
+    updatedAt: task.updatedAt,
+    ...(flux ? { flux: task.flux } : {}),
+  };
+}
+
+// Prefix a Flux script with its task options unless it already declares
+// them. Exactly one of every and cron schedules the task.
+export function withTaskOptions(flux, { name, every, cron, offset }) {
+  if (/^\s*option\s+task\s*=/m.test(flux)) {
+    if (name || every || cron || offset) {
+      throw new Error(
+        "The script already declares option task; set name, every, cron and offset there or remove it",
+      );
+    }
+    return flux;
+  }
+
+  if (!name) {
+    throw new Error("name is required when the script has no option task");
+  }
+  if (Boolean(every) === Boolean(cron)) {
+    throw new Error("exactly one of every and cron is required when the script has no option task");
+  }
+
+  const options = [`name: ${fluxString(name)}`];
+  options.push(every ? `every: ${fluxDuration(every, "every")}` : `cron: ${fluxString(cron)}`);
+  if (offset) {
+    options.push(`offset: ${fluxDuration(offset, "offset")}`);
+  }
+  return `option task = {${options.join(", ")}}\n\n${flux}`;
+}
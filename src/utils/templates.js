@@ -0,0 +1,235 @@
+import { influxRequest } from "./influxClient.js";
+
+// Templates can create dashboards and tasks by the dozen, and the server
+// validates the whole template before it answers
+const TEMPLATE_TIMEOUT_MS = 30000;
+
+// Diff sections of /api/v2/templates/apply, with the kind their entries have
+const DIFF_KINDS = {
+  buckets: "Bucket",
+  checks: "Check",
+  dashboards: "Dashboard",
+  labels: "Label",
+  notificationEndpoints: "NotificationEndpoint",
+  notificationRules: "NotificationRule",
+  tasks: "Task",
+  telegrafConfigs: "Telegraf",
+  variables: "Variable",
+};
+
+// Parse an inline template. The apply API takes inline templates as parsed
+// objects, so only JSON can be passed inline; YAML and Jsonnet templates are
+// fetched and parsed by the server when given by URL.
+export function parseTemplate(template) {
+  let contents;
+  try {
+    contents = JSON.parse(template);
+  } catch (error) {
+    throw new Error(
+      `template must be JSON (${error.message}); pass YAML or Jsonnet templates by url`,
+    );
+  }
+  return Array.isArray(contents) ? contents : [contents];
+}
+
+// Dry-run or apply a template, a template URL and/or a stack. Without a
+// stack the server creates one, so the applied resources can be updated or
+// removed together later.
+export async function applyTemplate(
+  orgID,
+  { template, url, stack, envRefs, secrets },
+  { dryRun },
+) {
+  if (!template && !url && !stack) {
+    throw new Error("one of template, url and stack is required");
+  }
+  const response = await influxRequest(
+    "/api/v2/templates/apply",
+    {
+      method: "POST",
+      body: JSON.stringify({
+        orgID,
+        dryRun,
+        ...(stack ? { stackID: stack } : {}),
+        ...(template ? { template: { contents: parseTemplate(template) } } : {}),
+        ...(url ? { remotes: [{ url }] } : {}),
+        ...(envRefs ? { envRefs } : {}),
+        ...(secrets ? { secrets } : {}),
+      }),
+    },
+    TEMPLATE_TIMEOUT_MS,
+  );
+  return response.json();
+}
+
+// Export resources, given as [{ kind, id }], a whole stack or, with neither,
+// every resource of the org
+export async function exportTemplate(orgID, { resources = [], stack }) {
+  const response = await influxRequest(
+    "/api/v2/templates/export",
+    {
+      method: "POST",
+      body: JSON.stringify({
+        ...(stack ? { stackID: stack } : {}),
+        ...(resources.length > 0 ? { resources } : {}),
+        ...(!stack && resources.length === 0 ? { orgIDs: [{ orgID }] } : {}),
+      }),
+    },
+    TEMPLATE_TIMEOUT_MS,
+  );
+  return response.json();
+}
+
+// Top-level settings that differ between the old and new state of a resource
+function changedSettings(before = {}, after = {}) {
+  return Array.from(new Set([...Object.keys(before), ...Object.keys(after)]))
+    .filter((key) => JSON.stringify(before[key]) !== JSON.stringify(after[key]));
+}
+
+// Sort a dry-run or apply diff into what is created, updated, deleted and
+// left alone, e.g. { create: ["Bucket 'metrics'"], update: ["Task 'rollup':
+// every, query"], ... }. Label mappings attach labels to other resources.
+export function summarizeDiff(diff = {}) {
+  const summary = { create: [], update: [], delete: [], unchanged: [] };
+
+  for (const [section, kind] of Object.entries(DIFF_KINDS)) {
+    for (const entry of diff[section] || []) {
+      const name = entry.new?.name ?? entry.old?.name ?? entry.templateMetaName;
+      const label = `${entry.kind || kind} '${name}'`;
+      if (entry.stateStatus === "new") {
+        summary.create.push(label);
+      } else if (entry.stateStatus === "remove") {
+        summary.delete.push(label);
+      } else {
+        const changed = changedSettings(entry.old, entry.new);
+        if (changed.length > 0) {
+          summary.update.push(`${label}: ${changed.join(", ")}`);
+        } else {
+          summary.unchanged.push(label);
+        }
+      }
+    }
+  }
+
+  for (const mapping of diff.labelMappings || []) {
+    const label =
+      `Label '${mapping.labelName}' on ${mapping.resourceType} '${mapping.resourceName}'`;
+    if (mapping.stateStatus === "new") {
+      summary.create.push(label);
+    } else if (mapping.stateStatus === "remove") {
+      summary.delete.push(label);
+    } else {
+      summary.unchanged.push(label);
+    }
+  }
+
+  return summary;
+}
+
+// Names of the buckets a diff creates, changes or removes
+export function diffBuckets(diff = {}) {
+  return Array.from(new Set((diff.buckets || [])
+    .flatMap((entry) => [entry.new?.name, entry.old?.name])
+    .filter(Boolean)));
+}
+
+// Flux queries of the tasks, checks, dashboard cells and query variables a
+// diff creates or changes. Tasks carry their script as a string, checks as a
+// query object, dashboards as the queries of each chart and variables of
+// type query in their args.
+export function diffQueries(diff = {}) {
+  const changed = (entries = []) =>
+    entries.filter((entry) => entry.stateStatus !== "remove" && entry.new);
+  const queryText = (query) => (typeof query === "string" ? query : query?.text);
+
+  return [
+    ...changed([...(diff.tasks || []), ...(diff.checks || [])])
+      .map((entry) => queryText(entry.new.query)),
+    ...changed(diff.dashboards)
+      .flatMap((entry) => entry.new.charts || [])
+      .flatMap((chart) => chart.properties?.queries || [])
+      .map(queryText),
+    ...changed(diff.variables)
+      .filter((entry) => entry.new.args?.type === "query")
+      .map((entry) => entry.new.args.values?.query),
+  ].filter(Boolean);
+}
+
+// Names of the Telegraf configs a diff creates, changes or removes. Their
+// output bucket is buried in TOML, which cannot be checked reliably.
+export function diffTelegrafConfigs(diff = {}) {
+  return (diff.telegrafConfigs || [])
+    .filter((entry) =>
+      entry.stateStatus === "new" || entry.stateStatus === "remove" ||
+      changedSettings(entry.old, entry.new).length > 0
+    )
+    .map((entry) => entry.new?.name ?? entry.old?.name ?? entry.templateMetaName);
+}
+
+// A diff summary in words for confirmations
+export function describeDiff(summary) {
+  const lines = [];
+  for (const action of ["create", "update", "delete"]) {
+    if (summary[action].length > 0) {
+      lines.push(`${action}:`, ...summary[action].map((item) => `- ${item}`));
+    }
+  }
+  if (lines.length === 0) {
+    return "Nothing changes.";
+  }
+  return [...lines, `unchanged: ${summary.unchanged.length}`].join("\n");
+}
+
+// Look up a label by name within an org given as a resolved { id, name } pair
+export async function findLabel(org, name) {
+  const response = await influxRequest(
+    `/api/v2/labels?orgID=${encodeURIComponent(org.id)}`,
+    {},
+    5000,
+  );
+  const label = ((await response.json()).labels || [])
+    .find((candidate) => candidate.name === name || candidate.id === name);
+  if (!label) {
+    throw new Error(`Label '${name}' not found in org '${org.name}'`);
+  }
+  return label;
+}
+
+// URLs of the remote templates a stack was last applied from, which the
+// server fetches again when the stack is applied
+export async function stackURLs(stackID) {
+  const response = await influxRequest(
+    `/api/v2/stacks/${encodeURIComponent(stackID)}`,
+    {},
+    5000,
+  );
+  return (await response.json()).events?.at(-1)?.urls || [];
+}
+
+// The stacks of an org with the templates they were applied from and the
+// resources they manage
+export async function listStacks(orgID) {
+  const response = await influxRequest(
+    `/api/v2/stacks?orgID=${encodeURIComponent(orgID)}`,
+    {},
+    5000,
+  );
+  return ((await response.json()).stacks || []).map((stack) => {
+    // Events are kept oldest first
+    const latest = (stack.events || []).at(-1);
+    return {
+      id: stack.id,
+      name: latest?.name,
+      description: latest?.description,
+      sources: latest?.sources || [],
+      urls: latest?.urls || [],
+      resources: (latest?.resources || []).map((resource) => ({
+        kind: resource.kind,
+        id: resource.resourceID,
+        templateMetaName: resource.templateMetaName,
+      })),
+      createdAt: stack.createdAt,
+      updatedAt: latest?.updatedAt,
+    };
+  });
+}
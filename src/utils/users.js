@@ -0,0 +1,29 @@
+import { influxRequest } from "./influxClient.js";
+
+// GET a user endpoint, treating 404 as no match; InfluxDB answers unknown
+// names with 404 on some versions and an empty list on others
+async function fetchUsers(endpoint) {
+  try {
+    const response = await influxRequest(endpoint, {}, 5000);
+    const body = await response.json();
+    return body.users || (body.id ? [body] : []);
+  } catch (error) {
+    if (error.message.includes("(404)")) {
+      return [];
+    }
+    throw error;
+  }
+}
+
+// Resolve a user name or ID to { id, name }. Names are tried first, since a
+// name can look like an ID.
+export async function resolveUser(user) {
+  let [match] = await fetchUsers(`/api/v2/users?name=${encodeURIComponent(user)}`);
+  if (!match && /^[0-9a-f]{16}$/.test(user)) {
+    [match] = await fetchUsers(`/api/v2/users/${user}`);
+  }
+  if (!match) {
+    throw new Error(`User '${user}' not found`);
+  }
+  return { id: match.id, name: match.name };
+}
@@ -0,0 +1,133 @@
+import {
+  columnNames,
+  flattenRows,
+  parseAnnotatedCsv,
+  parseCsvRecords,
+  toAnnotatedCsv,
+} from "../src/utils/annotatedCsv.js";
+
+describe("Annotated CSV Parser", () => {
+  test("should split quoted fields containing commas, quotes and newlines", () => {
+    const records = parseCsvRecords(
+      'a,"b,c","say ""hi""","multi\r\nline"\r\nd,e,f,g\n',
+    );
+
+    expect(records).toEqual([
+      ["a", "b,c", 'say "hi"', "multi\r\nline"],
+      ["d", "e", "f", "g"],
+    ]);
+  });
+
+  test("should type values according to #datatype", () => {
+    const { tables } = parseAnnotatedCsv(
+      "#group,false,false,true,true,false,false,false,false\r\n" +
+        "#datatype,string,long,string,string,dateTime:RFC3339,double,long,boolean\r\n" +
+        "#default,_result,,,,,,,\r\n" +
+        ",result,table,_measurement,host,_time,usage,count,up\r\n" +
+        ",,0,cpu,server01,2024-01-01T00:00:00.123456789Z,12.5,3,true\r\n" +
+        ",,0,cpu,server01,2024-01-01T00:01:00Z,-Inf,,false\r\n",
+    );
+
+    expect(tables).toHaveLength(1);
+    expect(tables[0].result).toBe("_result");
+    expect(tables[0].table).toBe(0);
+    expect(tables[0].groupKey).toEqual({ _measurement: "cpu", host: "server01" });
+    expect(tables[0].columns.map((column) => column.name)).toEqual([
+      "_measurement",
+      "host",
+      "_time",
+      "usage",
+      "count",
+      "up",
+    ]);
+    expect(tables[0].rows).toEqual([
+      {
+        _measurement: "cpu",
+        host: "server01",
+        _time: "2024-01-01T00:00:00.123456789Z",
+        usage: 12.5,
+        count: 3,
+        up: true,
+      },
+      {
+        _measurement: "cpu",
+        host: "server01",
+        _time: "2024-01-01T00:01:00Z",
+        usage: -Infinity,
+        count: null,
+        up: false,
+      },
+    ]);
+  });
+
+  test("should separate multiple tables and annotation blocks", () => {
+    const { tables } = parseAnnotatedCsv(
+      "#group,false,false,true,false\r\n" +
+        "#datatype,string,long,string,double\r\n" +
+        "#default,_result,,,\r\n" +
+        ",result,table,host,_value\r\n" +
+        ",,0,a,1.5\r\n" +
+        ",,1,b,2.5\r\n" +
+        "\r\n" +
+        "#group,false,false,true,false\r\n" +
+        "#datatype,string,long,string,string\r\n" +
+        "#default,other,,,\r\n" +
+        ",result,table,host,_value\r\n" +
+        ',,0,c,"x,y"\r\n',
+    );
+
+    expect(tables.map(({ result, table, groupKey }) => ({
+      result,
+      table,
+      groupKey,
+    }))).toEqual([
+      { result: "_result", table: 0, groupKey: { host: "a" } },
+      { result: "_result", table: 1, groupKey: { host: "b" } },
+      { result: "other", table: 0, groupKey: { host: "c" } },
+    ]);
+    expect(flattenRows(tables).map((row) => row._value)).toEqual([
+      1.5,
+      2.5,
+      "x,y",
+    ]);
+    expect(columnNames(tables)).toEqual(["host", "_value"]);
+  });
+
+  test("should accept CSV without annotations", () => {
+    const { tables } = parseAnnotatedCsv(
+      ",result,table,_value\n,,0,cpu\n,,0,mem\n",
+    );
+
+    expect(flattenRows(tables)).toEqual([{ _value: "cpu" }, { _value: "mem" }]);
+  });
+
+  test("should return no tables for an empty response", () => {
+    expect(parseAnnotatedCsv("").tables).toEqual([]);
+    expect(parseAnnotatedCsv("\r\n").tables).toEqual([]);
+  });
+
+  test("should throw Flux error tables", () => {
+    const errorCsv = "#datatype,string,string\r\n" +
+      "#group,true,true\r\n" +
+      "#default,,\r\n" +
+      ",error,reference\r\n" +
+      ',"type error: cannot call mean on string",897\r\n';
+
+    expect(() => parseAnnotatedCsv(errorCsv)).toThrow(
+      "Flux query error: type error: cannot call mean on string (reference 897)",
+    );
+  });
+
+  test("should round-trip tables through toAnnotatedCsv", () => {
+    const { tables } = parseAnnotatedCsv(
+      "#group,false,false,true,false\r\n" +
+        "#datatype,string,long,string,double\r\n" +
+        "#default,_result,,,\r\n" +
+        ",result,table,host,_value\r\n" +
+        ',,0,"a,b",+Inf\r\n' +
+        ",,1,c,\r\n",
+    );
+
+    expect(parseAnnotatedCsv(toAnnotatedCsv(tables)).tables).toEqual(tables);
+  });
+});
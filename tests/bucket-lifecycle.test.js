@@ -0,0 +1,149 @@
+import { jest } from "@jest/globals";
+
+// Test timeout
+jest.setTimeout(10000);
+
+describe("Bucket Lifecycle Tools", () => {
+  let updateBucket;
+  let deleteBucket;
+  let mockInfluxRequest;
+
+  beforeAll(async () => {
+    // Mock the influxClient module before importing the handlers
+    jest.unstable_mockModule("../src/utils/influxClient.js", () => ({
+      influxRequest: jest.fn(),
+    }));
+
+    // Mock the env module
+    jest.unstable_mockModule("../src/config/env.js", () => ({
+      INFLUXDB_URL: "http://localhost:8086",
+      INFLUXDB_TOKEN: "test-token",
+      DEFAULT_ORG: "test-org",
+      validateEnvironment: () => {},
+    }));
+
+    // Resolve orgs without a lookup request
+    jest.unstable_mockModule("../src/utils/orgs.js", () => ({
+      resolveOrg: jest.fn(async (org) => ({
+        id: "0123456789abcdef",
+        name: org || "test-org",
+      })),
+      resolveOrgID: jest.fn(async () => "0123456789abcdef"),
+    }));
+
+    // Load the mocked client before the handlers so that modules importing
+    // it in parallel share one mock instance
+    const influxClient = await import("../src/utils/influxClient.js");
+    mockInfluxRequest = influxClient.influxRequest;
+
+    const updateBucketHandler = await import("../src/handlers/updateBucketTool.js");
+    updateBucket = updateBucketHandler.updateBucket;
+
+    const deleteBucketHandler = await import("../src/handlers/deleteBucketTool.js");
+    deleteBucket = deleteBucketHandler.deleteBucket;
+  });
+
+  beforeEach(() => {
+    mockInfluxRequest.mockReset();
+  });
+
+  const jsonResponse = (body) => ({
+    status: 200,
+    ok: true,
+    json: async () => body,
+  });
+
+  const METRICS = {
+    id: "bucket123",
+    name: "metrics",
+    orgID: "0123456789abcdef",
+    type: "user",
+    retentionRules: [{
+      type: "expire",
+      everySeconds: 2592000,
+      shardGroupDurationSeconds: 86400,
+    }],
+  };
+
+  test("should resolve the bucket name and keep unchanged retention settings", async () => {
+    mockInfluxRequest
+      .mockResolvedValueOnce(jsonResponse({ buckets: [METRICS] }))
+      .mockResolvedValueOnce(jsonResponse({
+        ...METRICS,
+        name: "metrics-7d",
+        retentionRules: [{ type: "expire", everySeconds: 604800 }],
+      }));
+    const confirm = jest.fn(async () => {});
+
+    const response = await updateBucket(
+      { bucket: "metrics", name: "metrics-7d", retentionPeriodSeconds: 604800 },
+      { confirm },
+    );
+
+    expect(response.isError).toBeUndefined();
+    expect(mockInfluxRequest.mock.calls[0][0]).toBe(
+      "/api/v2/buckets?orgID=0123456789abcdef&name=metrics&limit=100",
+    );
+    const [endpoint, options] = mockInfluxRequest.mock.calls[1];
+    expect(endpoint).toBe("/api/v2/buckets/bucket123");
+    expect(options.method).toBe("PATCH");
+    expect(JSON.parse(options.body)).toEqual({
+      name: "metrics-7d",
+      retentionRules: [{
+        type: "expire",
+        everySeconds: 604800,
+        shardGroupDurationSeconds: 86400,
+      }],
+    });
+    expect(confirm).toHaveBeenCalledWith(
+      "Update bucket 'metrics' (bucket123) in org 'test-org': name 'metrics' -> 'metrics-7d', retention 30 days -> 7 days.",
+    );
+    expect(response.content[0].text).toContain("Retention: 7 days");
+  });
+
+  test("should report updates that change nothing", async () => {
+    mockInfluxRequest.mockResolvedValueOnce(jsonResponse({ buckets: [METRICS] }));
+
+    const response = await updateBucket({
+      bucket: "metrics",
+      retentionPeriodSeconds: 2592000,
+    });
+
+    expect(response.isError).toBe(true);
+    expect(response.content[0].text).toBe(
+      "Error updating bucket: nothing to change for bucket 'metrics'",
+    );
+    expect(mockInfluxRequest).toHaveBeenCalledTimes(1);
+  });
+
+  test("should delete a bucket by name", async () => {
+    mockInfluxRequest
+      .mockResolvedValueOnce(jsonResponse({ buckets: [METRICS] }))
+      .mockResolvedValueOnce({ status: 204, ok: true });
+
+    const response = await deleteBucket({ org: "test-org", bucket: "metrics" });
+
+    expect(response.isError).toBeUndefined();
+    const [endpoint, options] = mockInfluxRequest.mock.calls[1];
+    expect(endpoint).toBe("/api/v2/buckets/bucket123");
+    expect(options.method).toBe("DELETE");
+  });
+
+  test("should refuse system buckets and unknown names", async () => {
+    mockInfluxRequest.mockResolvedValueOnce(jsonResponse({
+      buckets: [{ id: "sys1", name: "_monitoring", type: "system" }],
+    }));
+    let response = await deleteBucket({ bucket: "_monitoring" });
+    expect(response.content[0].text).toBe(
+      "Error deleting bucket: '_monitoring' is a system bucket and cannot be deleted",
+    );
+
+    mockInfluxRequest.mockResolvedValueOnce(jsonResponse({ buckets: [] }));
+    response = await deleteBucket({ bucket: "missing" });
+    expect(response.content[0].text).toBe(
+      "Error deleting bucket: Bucket 'missing' not found in org 'test-org'",
+    );
+
+    expect(mockInfluxRequest).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,174 @@
+import { jest } from "@jest/globals";
+
+// Test timeout
+jest.setTimeout(10000);
+
+describe("Buckets Resources", () => {
+  let listBuckets;
+  let bucketDetails;
+  let mockInfluxRequest;
+
+  beforeAll(async () => {
+    // Mock the influxClient module before importing the handler
+    jest.unstable_mockModule("../src/utils/influxClient.js", () => ({
+      influxRequest: jest.fn(),
+    }));
+
+    // Mock the env module
+    jest.unstable_mockModule("../src/config/env.js", () => ({
+      INFLUXDB_URL: "http://localhost:8086",
+      INFLUXDB_TOKEN: "test-token",
+      DEFAULT_ORG: "test-org",
+      INFLUXDB_BACKEND: "v2",
+      validateEnvironment: () => {},
+    }));
+
+    // Resolve orgs without a lookup request
+    jest.unstable_mockModule("../src/utils/orgs.js", () => ({
+      resolveOrg: jest.fn(async (org) => ({
+        id: "0123456789abcdef",
+        name: org || "test-org",
+      })),
+      resolveOrgID: jest.fn(async () => "0123456789abcdef"),
+    }));
+
+    // Load the mocked client before the handlers so that modules importing
+    // it in parallel share one mock instance
+    const influxClient = await import("../src/utils/influxClient.js");
+    mockInfluxRequest = influxClient.influxRequest;
+
+    const bucketsHandler = await import("../src/handlers/bucketsHandler.js");
+    listBuckets = bucketsHandler.listBuckets;
+    bucketDetails = bucketsHandler.bucketDetails;
+  });
+
+  beforeEach(() => {
+    mockInfluxRequest.mockReset();
+  });
+
+  const jsonResponse = (body) => ({
+    status: 200,
+    ok: true,
+    json: async () => body,
+  });
+
+  const bucket = (index, overrides = {}) => ({
+    id: `b${String(index).padStart(15, "0")}`,
+    name: `bucket-${index}`,
+    orgID: "0123456789abcdef",
+    type: "user",
+    retentionRules: [],
+    ...overrides,
+  });
+
+  test("should page through every bucket with after=", async () => {
+    const firstPage = Array.from({ length: 100 }, (_, index) => bucket(index));
+    mockInfluxRequest
+      .mockResolvedValueOnce(jsonResponse({ buckets: firstPage }))
+      .mockResolvedValueOnce(jsonResponse({
+        buckets: [bucket(100), bucket(101, { name: "_monitoring", type: "system" })],
+      }));
+
+    const response = await listBuckets(new URL("influxdb://buckets"));
+    const { buckets } = JSON.parse(response.contents[0].text);
+
+    expect(buckets).toHaveLength(102);
+    expect(mockInfluxRequest.mock.calls[0][0]).toBe("/api/v2/buckets?limit=100");
+    expect(mockInfluxRequest.mock.calls[1][0]).toBe(
+      `/api/v2/buckets?limit=100&after=${firstPage[99].id}`,
+    );
+  });
+
+  test("should filter by org, name prefix and system buckets", async () => {
+    mockInfluxRequest.mockResolvedValue(jsonResponse({
+      buckets: [
+        bucket(1, { name: "telegraf" }),
+        bucket(2, { name: "tele_archive" }),
+        bucket(3, { name: "app" }),
+        bucket(4, { name: "_tasks", type: "system" }),
+      ],
+    }));
+
+    const byName = await listBuckets(
+      new URL("influxdb://buckets?org=my%20org&prefix=tele&system=false"),
+    );
+    expect(JSON.parse(byName.contents[0].text).buckets.map((b) => b.name))
+      .toEqual(["telegraf", "tele_archive"]);
+    expect(mockInfluxRequest.mock.calls[0][0]).toBe(
+      "/api/v2/buckets?orgID=0123456789abcdef&limit=100",
+    );
+  });
+
+  test("should describe a single bucket with its retention", async () => {
+    mockInfluxRequest.mockResolvedValueOnce(jsonResponse({
+      buckets: [bucket(1, {
+        name: "my bucket",
+        retentionRules: [{
+          type: "expire",
+          everySeconds: 604800,
+          shardGroupDurationSeconds: 86400,
+        }],
+      })],
+    }));
+
+    const response = await bucketDetails(
+      new URL("influxdb://bucket/my%20bucket"),
+      { bucketName: "my%20bucket" },
+    );
+    const details = JSON.parse(response.contents[0].text);
+
+    expect(mockInfluxRequest.mock.calls[0][0]).toBe(
+      "/api/v2/buckets?name=my+bucket&limit=100",
+    );
+    expect(details).toMatchObject({
+      name: "my bucket",
+      retentionPeriodSeconds: 604800,
+      shardGroupDurationSeconds: 86400,
+      schemaType: "implicit",
+    });
+  });
+
+  test("should look up org-scoped buckets within that org", async () => {
+    mockInfluxRequest.mockResolvedValueOnce(jsonResponse({
+      buckets: [bucket(1, { name: "shared" })],
+    }));
+
+    const response = await bucketDetails(
+      new URL("influxdb://org/other/bucket/shared"),
+      { orgName: "other", bucketName: "shared" },
+    );
+
+    expect(mockInfluxRequest.mock.calls[0][0]).toBe(
+      "/api/v2/buckets?orgID=0123456789abcdef&name=shared&limit=100",
+    );
+    expect(JSON.parse(response.contents[0].text).orgID).toBe(
+      "0123456789abcdef",
+    );
+  });
+
+  test("should report unknown and ambiguous bucket names", async () => {
+    mockInfluxRequest
+      .mockResolvedValueOnce(jsonResponse({ buckets: [] }))
+      .mockResolvedValueOnce(jsonResponse({
+        buckets: [bucket(1, { name: "shared" }), bucket(2, {
+          name: "shared",
+          orgID: "fedcba9876543210",
+        })],
+      }));
+
+    const missing = await bucketDetails(new URL("influxdb://bucket/nope"), {
+      bucketName: "nope",
+    });
+    expect(missing.error).toBe(true);
+    expect(JSON.parse(missing.contents[0].text).error).toContain(
+      "bucket 'nope' not found",
+    );
+
+    const ambiguous = await bucketDetails(new URL("influxdb://bucket/shared"), {
+      bucketName: "shared",
+    });
+    expect(JSON.parse(ambiguous.contents[0].text).error).toContain(
+      "exists in several orgs (0123456789abcdef, fedcba9876543210)",
+    );
+  });
+});
@@ -0,0 +1,146 @@
+import { jest } from "@jest/globals";
+
+// Test timeout
+jest.setTimeout(10000);
+
+describe("Build Query Tool", () => {
+  let buildQuery;
+  let buildFluxQuery;
+  let fluxString;
+  let mockInfluxRequest;
+
+  beforeAll(async () => {
+    // Mock the influxClient module before importing the handler
+    jest.unstable_mockModule("../src/utils/influxClient.js", () => ({
+      influxRequest: jest.fn(),
+    }));
+
+    // Mock the env module
+    jest.unstable_mockModule("../src/config/env.js", () => ({
+      INFLUXDB_URL: "http://localhost:8086",
+      INFLUXDB_TOKEN: "test-token",
+      DEFAULT_ORG: "test-org",
+      INFLUXDB_BACKEND: "v2",
+      MAX_QUERY_ROWS: 1000,
+      MAX_QUERY_BYTES: 100000,
+      validateEnvironment: () => {},
+    }));
+
+    // Resolve orgs without a lookup request
+    jest.unstable_mockModule("../src/utils/orgs.js", () => ({
+      resolveOrg: jest.fn(async (org) => ({
+        id: "0123456789abcdef",
+        name: org || "test-org",
+      })),
+      resolveOrgID: jest.fn(async () => "0123456789abcdef"),
+    }));
+
+    // Load the mocked client before the handlers so that modules importing
+    // it in parallel share one mock instance
+    const influxClient = await import("../src/utils/influxClient.js");
+    mockInfluxRequest = influxClient.influxRequest;
+
+    const buildQueryHandler = await import("../src/handlers/buildQueryTool.js");
+    buildQuery = buildQueryHandler.buildQuery;
+
+    const fluxBuilder = await import("../src/utils/fluxBuilder.js");
+    buildFluxQuery = fluxBuilder.buildFluxQuery;
+    fluxString = fluxBuilder.fluxString;
+  });
+
+  beforeEach(() => {
+    mockInfluxRequest.mockReset();
+  });
+
+  test("should build a windowed aggregate with filters and grouping", () => {
+    const query = buildFluxQuery({
+      bucket: "metrics",
+      measurement: "cpu",
+      start: "-6h",
+      stop: "now()",
+      tags: { host: ["server01", "server02"], region: "eu" },
+      fields: ["usage_user"],
+      aggregate: "mean",
+      window: "5m",
+      groupBy: ["host"],
+      limit: 10,
+    });
+
+    expect(query).toBe(
+      'from(bucket: "metrics")\n' +
+        "  |> range(start: -6h, stop: now())\n" +
+        '  |> filter(fn: (r) => r._measurement == "cpu")\n' +
+        '  |> filter(fn: (r) => (r["host"] == "server01" or r["host"] == "server02"))\n' +
+        '  |> filter(fn: (r) => r["region"] == "eu")\n' +
+        '  |> filter(fn: (r) => r["_field"] == "usage_user")\n' +
+        '  |> group(columns: ["host"])\n' +
+        "  |> aggregateWindow(every: 5m, fn: mean, createEmpty: false)\n" +
+        "  |> limit(n: 10)",
+    );
+  });
+
+  test("should escape quotes, backslashes and interpolation", () => {
+    expect(fluxString('a"b\\c${d}\n')).toBe('"a\\"b\\\\c\\${d}\\n"');
+
+    const query = buildFluxQuery({
+      bucket: 'my"bucket',
+      tags: { 'tag"key': '") or true or ("' },
+    });
+    expect(query).toContain('from(bucket: "my\\"bucket")');
+    expect(query).toContain(
+      'r["tag\\"key"] == "\\") or true or (\\""',
+    );
+  });
+
+  test("should reject inputs that are not valid Flux literals", () => {
+    expect(() => buildFluxQuery({ bucket: "b", start: "-1h) |> drop()" }))
+      .toThrow("start must be a relative duration");
+    expect(() => buildFluxQuery({ bucket: "b", aggregate: "mean", window: "5 minutes" }))
+      .toThrow("window must be a Flux duration");
+    expect(() => buildFluxQuery({ bucket: "b", window: "5m" }))
+      .toThrow("window requires an aggregate function");
+    expect(() => buildFluxQuery({ bucket: "b", tags: { host: [] } }))
+      .toThrow("Values for tag 'host' must not be empty");
+    expect(buildFluxQuery({ bucket: "b", start: "2024-01-01T00:00:00Z" }))
+      .toContain("range(start: 2024-01-01T00:00:00Z)");
+  });
+
+  test("should return the query without running it by default", async () => {
+    const response = await buildQuery({ bucket: "metrics", aggregate: "max" });
+
+    expect(mockInfluxRequest).not.toHaveBeenCalled();
+    expect(response.content).toEqual([{
+      type: "text",
+      text: 'from(bucket: "metrics")\n  |> range(start: -1h)\n  |> max()',
+    }]);
+  });
+
+  test("should execute the built query when asked", async () => {
+    mockInfluxRequest.mockResolvedValueOnce({
+      status: 200,
+      ok: true,
+      text: async () =>
+        "#group,false,false,false\r\n" +
+        "#datatype,string,long,double\r\n" +
+        "#default,_result,,\r\n" +
+        ",result,table,_value\r\n" +
+        ",,0,42\r\n\r\n",
+    });
+
+    const response = await buildQuery({
+      org: "test-org",
+      bucket: "metrics",
+      measurement: "cpu",
+      execute: true,
+      format: "json",
+    });
+
+    expect(response.isError).toBeUndefined();
+    const [endpoint, options] = mockInfluxRequest.mock.calls[0];
+    expect(endpoint).toBe("/api/v2/query?orgID=0123456789abcdef");
+    expect(JSON.parse(options.body).query).toBe(response.content[0].text);
+    expect(JSON.parse(response.content[1].text).tables[0].records).toEqual([
+      { _value: 42 },
+    ]);
+  });
+});
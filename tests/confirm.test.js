@@ -0,0 +1,167 @@
+import { jest } from "@jest/globals";
+
+// Test timeout
+jest.setTimeout(10000);
+
+describe("Tool Confirmation", () => {
+  let setConfirmTools;
+  let confirmToolCall;
+  let formatRetention;
+  let createOrg;
+  let mockInfluxRequest;
+
+  beforeAll(async () => {
+    // Mock the influxClient module before importing the handlers
+    jest.unstable_mockModule("../src/utils/influxClient.js", () => ({
+      influxRequest: jest.fn(),
+    }));
+
+    // Mock the env module
+    jest.unstable_mockModule("../src/config/env.js", () => ({
+      INFLUXDB_URL: "http://localhost:8086",
+      INFLUXDB_TOKEN: "test-token",
+      DEFAULT_ORG: "test-org",
+      validateEnvironment: () => {},
+    }));
+
+    // Load the mocked client before the handlers so that modules importing
+    // it in parallel share one mock instance
+    const influxClient = await import("../src/utils/influxClient.js");
+    mockInfluxRequest = influxClient.influxRequest;
+
+    const confirm = await import("../src/utils/confirm.js");
+    setConfirmTools = confirm.setConfirmTools;
+    confirmToolCall = confirm.confirmToolCall;
+
+    const buckets = await import("../src/utils/buckets.js");
+    formatRetention = buckets.formatRetention;
+
+    const createOrgHandler = await import("../src/handlers/createOrgTool.js");
+    createOrg = createOrgHandler.createOrg;
+  });
+
+  beforeEach(() => {
+    mockInfluxRequest.mockReset();
+    setConfirmTools(["create-org"]);
+  });
+
+  afterAll(() => {
+    setConfirmTools([]);
+  });
+
+  const clientServer = (capabilities) => ({
+    getClientCapabilities: () => capabilities,
+  });
+
+  // The confirm function index.js hands to tool handlers
+  const confirmWith = (server, extra) => (summary) =>
+    confirmToolCall(server, extra, "create-org", summary);
+
+  test("should send an elicitation request with the summary", async () => {
+    const extra = {
+      sendRequest: jest.fn(async () => ({ action: "accept", content: { confirm: true } })),
+    };
+
+    await confirmToolCall(
+      clientServer({ elicitation: {} }),
+      extra,
+      "create-org",
+      "Create organization 'ops'.",
+    );
+
+    const [request] = extra.sendRequest.mock.calls[0];
+    expect(request.method).toBe("elicitation/create");
+    expect(request.params.message).toBe("Create organization 'ops'.");
+    expect(request.params.requestedSchema.required).toEqual(["confirm"]);
+  });
+
+  test("should skip tools that are not configured", async () => {
+    const extra = { sendRequest: jest.fn() };
+
+    await confirmToolCall(clientServer({}), extra, "write-data", "Write 1 point.");
+    expect(extra.sendRequest).not.toHaveBeenCalled();
+
+    setConfirmTools(["*"]);
+    await expect(
+      confirmToolCall(clientServer({}), extra, "write-data", "Write 1 point."),
+    ).rejects.toThrow("write-data requires confirmation, but the client does not support elicitation");
+  });
+
+  test("should always confirm delete-bucket", async () => {
+    setConfirmTools([]);
+    const summary = "Delete bucket 'metrics'.";
+
+    // Clients with elicitation ask the user, whatever the argument says
+    const extra = {
+      sendRequest: jest.fn(async () => ({ action: "decline" })),
+    };
+    await expect(
+      confirmToolCall(clientServer({ elicitation: {} }), extra, "delete-bucket", summary, true),
+    ).rejects.toThrow("Not confirmed: the user chose to decline delete-bucket");
+    expect(extra.sendRequest.mock.calls[0][0].params.message).toBe(summary);
+
+    // Other clients pass confirm: true
+    await expect(
+      confirmToolCall(clientServer({}), extra, "delete-bucket", summary, undefined),
+    ).rejects.toThrow("Pass confirm: true once the user has agreed");
+    await confirmToolCall(clientServer({}), extra, "delete-bucket", summary, true);
+
+    // Listing it requires elicitation
+    setConfirmTools(["delete-bucket"]);
+    await expect(
+      confirmToolCall(clientServer({}), extra, "delete-bucket", summary, true),
+    ).rejects.toThrow("delete-bucket requires confirmation, but the client does not support elicitation");
+    expect(extra.sendRequest).toHaveBeenCalledTimes(1);
+  });
+
+  test("should not run the tool unless the user accepts", async () => {
+    const server = clientServer({ elicitation: {} });
+
+    for (const answer of [
+      { action: "decline" },
+      { action: "cancel" },
+      { action: "accept", content: { confirm: false } },
+    ]) {
+      const extra = { sendRequest: jest.fn(async () => answer) };
+      const response = await createOrg(
+        { name: "ops", description: "Operations" },
+        { confirm: confirmWith(server, extra) },
+      );
+
+      expect(response.isError).toBe(true);
+      expect(response.content[0].text).toMatch(
+        /^Error creating organization: Not confirmed: the user chose to (decline|cancel) create-org$/,
+      );
+      expect(extra.sendRequest.mock.calls[0][0].params.message).toBe(
+        "Create organization 'ops' (Operations).",
+      );
+    }
+    expect(mockInfluxRequest).not.toHaveBeenCalled();
+  });
+
+  test("should run the tool once the user accepts", async () => {
+    mockInfluxRequest.mockResolvedValueOnce({
+      status: 201,
+      ok: true,
+      json: async () => ({ id: "org123", name: "ops" }),
+    });
+    const extra = {
+      sendRequest: jest.fn(async () => ({ action: "accept", content: { confirm: true } })),
+    };
+
+    const response = await createOrg(
+      { name: "ops" },
+      { confirm: confirmWith(clientServer({ elicitation: {} }), extra) },
+    );
+
+    expect(response.isError).toBeUndefined();
+    expect(mockInfluxRequest.mock.calls[0][0]).toBe("/api/v2/orgs");
+  });
+
+  test("should describe retention periods in words", () => {
+    expect(formatRetention(undefined)).toBe("infinite");
+    expect(formatRetention(2592000)).toBe("30 days");
+    expect(formatRetention(3600)).toBe("1 hour");
+    expect(formatRetention(90)).toBe("90 seconds");
+  });
+});
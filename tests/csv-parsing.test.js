@@ -18,18 +18,29 @@ describe("CSV Parsing Edge Cases - Issue #8", () => {
       INFLUXDB_URL: "http://localhost:8086",
       INFLUXDB_TOKEN: "test-token",
       DEFAULT_ORG: "test-org",
+      INFLUXDB_BACKEND: "v2",
       validateEnvironment: () => {},
     }));
 
+    // Resolve orgs without a lookup request
+    jest.unstable_mockModule("../src/utils/orgs.js", () => ({
+      resolveOrg: jest.fn(async (org) => ({
+        id: "0123456789abcdef",
+        name: org || "test-org",
+      })),
+      resolveOrgID: jest.fn(async () => "0123456789abcdef"),
+    }));
+
+    // Get reference to the mocked function. Load it before the handler so
+    // that modules importing it in parallel share one mock instance
+    const influxClient = await import("../src/utils/influxClient.js");
+    mockInfluxRequest = influxClient.influxRequest;
+
     // Import the handler after mocking
     const measurementsHandler = await import(
       "../src/handlers/measurementsHandler.js"
     );
     bucketMeasurements = measurementsHandler.bucketMeasurements;
-
-    // Get reference to the mocked function
-    const influxClient = await import("../src/utils/influxClient.js");
-    mockInfluxRequest = influxClient.influxRequest;
   });
 
   test("should handle CSV with Flux metadata rows (Issue #8)", async () => {
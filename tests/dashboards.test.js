@@ -0,0 +1,226 @@
+import { jest } from "@jest/globals";
+
+// Test timeout
+jest.setTimeout(10000);
+
+describe("Dashboard Tools and Resources", () => {
+  let createDashboard;
+  let addDashboardCell;
+  let dashboardDetails;
+  let withDashboardTimeRange;
+  let mockInfluxRequest;
+
+  beforeAll(async () => {
+    // Mock the influxClient module before importing the handlers
+    jest.unstable_mockModule("../src/utils/influxClient.js", () => ({
+      influxRequest: jest.fn(),
+    }));
+
+    // Mock the env module
+    jest.unstable_mockModule("../src/config/env.js", () => ({
+      INFLUXDB_URL: "http://localhost:8086",
+      INFLUXDB_TOKEN: "test-token",
+      DEFAULT_ORG: "test-org",
+      validateEnvironment: () => {},
+    }));
+
+    // Resolve orgs without a lookup request
+    jest.unstable_mockModule("../src/utils/orgs.js", () => ({
+      resolveOrg: jest.fn(async (org) => ({
+        id: "0123456789abcdef",
+        name: org && org !== "0123456789abcdef" ? org : "test-org",
+      })),
+      resolveOrgID: jest.fn(async () => "0123456789abcdef"),
+    }));
+
+    // Load the mocked client before the handlers so that modules importing
+    // it in parallel share one mock instance
+    const influxClient = await import("../src/utils/influxClient.js");
+    mockInfluxRequest = influxClient.influxRequest;
+
+    withDashboardTimeRange = (await import("../src/utils/dashboards.js"))
+      .withDashboardTimeRange;
+
+    const tool = await import("../src/handlers/dashboardsTool.js");
+    createDashboard = tool.createDashboard;
+    addDashboardCell = tool.addDashboardCell;
+
+    dashboardDetails = (await import("../src/handlers/dashboardsHandler.js"))
+      .dashboardDetails;
+  });
+
+  beforeEach(() => {
+    mockInfluxRequest.mockReset();
+  });
+
+  const jsonResponse = (body) => ({
+    status: 200,
+    ok: true,
+    json: async () => body,
+  });
+
+  const QUERY = 'from(bucket: "telegraf")\n  |> range(start: -1h)\n  |> mean()';
+
+  // The parts of the server's AST for QUERY that the tools look at
+  const call = (name, start, end) => ({
+    type: "CallExpression",
+    callee: { type: "Identifier", name },
+    location: { start, end },
+  });
+  const QUERY_AST = {
+    type: "Package",
+    files: [{
+      type: "File",
+      body: [{
+        type: "ExpressionStatement",
+        expression: {
+          type: "PipeExpression",
+          argument: {
+            type: "PipeExpression",
+            argument: call("from", { line: 1, column: 1 }, { line: 1, column: 25 }),
+            call: call("range", { line: 2, column: 6 }, { line: 2, column: 23 }),
+          },
+          call: call("mean", { line: 3, column: 6 }, { line: 3, column: 12 }),
+        },
+      }],
+    }],
+  };
+
+  const OPS = {
+    id: "0000000000000d01",
+    orgID: "0123456789abcdef",
+    name: "Ops",
+    cells: [{
+      id: "cell1",
+      name: "Load",
+      x: 0,
+      y: 0,
+      w: 12,
+      h: 4,
+      properties: { type: "xy", queries: [{ text: 'from(bucket: "telegraf")' }] },
+    }],
+  };
+
+  test("should point range() at the dashboard time picker", () => {
+    expect(withDashboardTimeRange(QUERY, QUERY_AST)).toBe(
+      'from(bucket: "telegraf")\n  |> range(start: v.timeRangeStart, stop: v.timeRangeStop)\n  |> mean()',
+    );
+  });
+
+  test("should splice by byte columns after non-ASCII text", () => {
+    const query = 'from(bucket: "telegraf")\n  |> filter(fn: (r) => r.host == "café-µ1") |> range(start: -1h)';
+    const ast = {
+      type: "Package",
+      body: [call("range", { line: 2, column: 50 }, { line: 2, column: 67 })],
+    };
+
+    expect(withDashboardTimeRange(query, ast)).toBe(
+      'from(bucket: "telegraf")\n  |> filter(fn: (r) => r.host == "café-µ1") |> range(start: v.timeRangeStart, stop: v.timeRangeStop)',
+    );
+  });
+
+  test("should pin a query below the existing cells", async () => {
+    mockInfluxRequest
+      .mockResolvedValueOnce(jsonResponse({ dashboards: [{ id: OPS.id, name: "Ops" }] }))
+      .mockResolvedValueOnce(jsonResponse(OPS))
+      .mockResolvedValueOnce(jsonResponse({ ast: QUERY_AST }))
+      .mockResolvedValueOnce(jsonResponse({ id: "cell2", x: 0, y: 4, w: 6, h: 4 }))
+      .mockResolvedValueOnce(jsonResponse({}));
+    const confirm = jest.fn(async () => {});
+
+    const response = await addDashboardCell({
+      dashboard: "Ops",
+      query: QUERY,
+      name: "CPU",
+      width: 6,
+    }, { confirm });
+
+    expect(response.isError).toBeUndefined();
+    const calls = mockInfluxRequest.mock.calls;
+    expect(calls[1][0]).toBe(`/api/v2/dashboards/${OPS.id}?include=properties`);
+    expect(calls[3][0]).toBe(`/api/v2/dashboards/${OPS.id}/cells`);
+    expect(JSON.parse(calls[3][1].body)).toEqual({ name: "CPU", x: 0, y: 4, w: 6, h: 4 });
+    expect(calls[4][0]).toBe(`/api/v2/dashboards/${OPS.id}/cells/cell2/view`);
+    const { properties } = JSON.parse(calls[4][1].body);
+    expect(properties.type).toBe("xy");
+    expect(properties.queries[0].text).toContain(
+      "range(start: v.timeRangeStart, stop: v.timeRangeStop)",
+    );
+    expect(confirm.mock.calls[0][0]).toMatch(
+      /^Add xy cell 'CPU' to dashboard 'Ops' \(0000000000000d01\), below its 1 cells/,
+    );
+    expect(JSON.parse(response.content[0].text).cell).toMatchObject({
+      id: "cell2",
+      type: "xy",
+      y: 4,
+    });
+  });
+
+  test("should refuse queries that write and remove cells left without a view", async () => {
+    mockInfluxRequest
+      .mockResolvedValueOnce(jsonResponse(OPS))
+      .mockResolvedValueOnce(jsonResponse({
+        ast: { type: "Package", body: [call("to", {}, {})] },
+      }));
+
+    let response = await addDashboardCell({
+      dashboard: OPS.id,
+      query: 'from(bucket: "a") |> to(bucket: "b")',
+      name: "copy",
+    });
+    expect(response.content[0].text).toBe(
+      "Error adding dashboard cell: dashboard cells rerun their query on every refresh, so it must not write data; the query calls to",
+    );
+    expect(mockInfluxRequest).toHaveBeenCalledTimes(2);
+
+    mockInfluxRequest.mockReset();
+    mockInfluxRequest
+      .mockResolvedValueOnce(jsonResponse(OPS))
+      .mockResolvedValueOnce(jsonResponse({ ast: QUERY_AST }))
+      .mockResolvedValueOnce(jsonResponse({ id: "cell2" }))
+      .mockRejectedValueOnce(new Error("InfluxDB API Error (400): invalid view"))
+      .mockResolvedValueOnce({ status: 204, ok: true });
+
+    response = await addDashboardCell({
+      dashboard: OPS.id,
+      query: QUERY,
+      name: "CPU",
+      type: "table",
+    });
+    expect(response.content[0].text).toBe(
+      "Error adding dashboard cell: InfluxDB API Error (400): invalid view",
+    );
+    const [endpoint, options] = mockInfluxRequest.mock.calls[4];
+    expect(endpoint).toBe(`/api/v2/dashboards/${OPS.id}/cells/cell2`);
+    expect(options.method).toBe("DELETE");
+  });
+
+  test("should refuse duplicate dashboard names", async () => {
+    mockInfluxRequest.mockResolvedValueOnce(jsonResponse({ dashboards: [OPS] }));
+
+    const response = await createDashboard({ name: "Ops" });
+
+    expect(response.content[0].text).toBe(
+      `Error creating dashboard: A dashboard named 'Ops' already exists in org 'test-org' (${OPS.id})`,
+    );
+    expect(mockInfluxRequest).toHaveBeenCalledTimes(1);
+  });
+
+  test("should show cells with their queries", async () => {
+    mockInfluxRequest.mockResolvedValueOnce(jsonResponse(OPS));
+
+    const uri = new URL(`influxdb://dashboard/${OPS.id}`);
+    const response = await dashboardDetails(uri, { dashboardID: OPS.id });
+
+    expect(JSON.parse(response.contents[0].text).cells).toEqual([{
+      id: "cell1",
+      name: "Load",
+      type: "xy",
+      x: 0,
+      y: 0,
+      w: 12,
+      h: 4,
+      queries: ['from(bucket: "telegraf")'],
+    }]);
+  });
+});
@@ -0,0 +1,146 @@
+import { jest } from "@jest/globals";
+
+// Test timeout
+jest.setTimeout(10000);
+
+describe("Delete Data Tool", () => {
+  let deleteData;
+  let parseDeletePredicate;
+  let mockInfluxRequest;
+
+  beforeAll(async () => {
+    // Mock the influxClient module before importing the handler
+    jest.unstable_mockModule("../src/utils/influxClient.js", () => ({
+      influxRequest: jest.fn(),
+    }));
+
+    // Mock the env module
+    jest.unstable_mockModule("../src/config/env.js", () => ({
+      INFLUXDB_URL: "http://localhost:8086",
+      INFLUXDB_TOKEN: "test-token",
+      DEFAULT_ORG: "test-org",
+      INFLUXDB_BACKEND: "v2",
+      MAX_QUERY_ROWS: 1000,
+      MAX_QUERY_BYTES: 100000,
+      validateEnvironment: () => {},
+    }));
+
+    // Resolve orgs without a lookup request
+    jest.unstable_mockModule("../src/utils/orgs.js", () => ({
+      resolveOrg: jest.fn(async (org) => ({
+        id: "0123456789abcdef",
+        name: org || "test-org",
+      })),
+      resolveOrgID: jest.fn(async () => "0123456789abcdef"),
+    }));
+
+    // Load the mocked client before the handlers so that modules importing
+    // it in parallel share one mock instance
+    const influxClient = await import("../src/utils/influxClient.js");
+    mockInfluxRequest = influxClient.influxRequest;
+
+    const deleteDataHandler = await import("../src/handlers/deleteDataTool.js");
+    deleteData = deleteDataHandler.deleteData;
+
+    const deletePredicate = await import("../src/utils/deletePredicate.js");
+    parseDeletePredicate = deletePredicate.parseDeletePredicate;
+  });
+
+  beforeEach(() => {
+    mockInfluxRequest.mockReset();
+  });
+
+  const RANGE = {
+    start: "2024-01-01T00:00:00Z",
+    stop: "2024-01-02T00:00:00Z",
+  };
+
+  test("should parse AND-joined equality predicates", () => {
+    expect(parseDeletePredicate('_measurement="cpu" AND "host name"="a \\"b\\""'))
+      .toEqual([
+        { key: "_measurement", value: "cpu" },
+        { key: "host name", value: 'a "b"' },
+      ]);
+    expect(parseDeletePredicate("  ")).toEqual([]);
+
+    expect(() => parseDeletePredicate('host="a" OR host="b"'))
+      .toThrow("comparisons can only be joined with AND");
+    expect(() => parseDeletePredicate('host!="a"'))
+      .toThrow("expected key=\"value\" comparisons");
+    expect(() => parseDeletePredicate('_field="usage"'))
+      .toThrow("cannot delete by _field");
+  });
+
+  test("should count matching points per measurement in preview mode", async () => {
+    mockInfluxRequest.mockResolvedValueOnce({
+      status: 200,
+      ok: true,
+      text: async () =>
+        "#group,false,false,true,false\r\n" +
+        "#datatype,string,long,string,long\r\n" +
+        "#default,_result,,,\r\n" +
+        ",result,table,_measurement,_value\r\n" +
+        ",,0,cpu,120\r\n" +
+        ",,1,mem,30\r\n\r\n",
+    });
+
+    const response = await deleteData({
+      org: "test-org",
+      bucket: "metrics",
+      ...RANGE,
+      predicate: 'host="test-agent"',
+      preview: true,
+    });
+
+    expect(response.isError).toBeUndefined();
+    const preview = JSON.parse(response.content[0].text);
+    expect(preview.points).toBe(150);
+    expect(preview.measurements).toEqual([
+      { measurement: "cpu", points: 120 },
+      { measurement: "mem", points: 30 },
+    ]);
+
+    // Only the count ran; nothing was deleted
+    expect(mockInfluxRequest).toHaveBeenCalledTimes(1);
+    const [endpoint, options] = mockInfluxRequest.mock.calls[0];
+    expect(endpoint).toBe("/api/v2/query?orgID=0123456789abcdef");
+    const { query } = JSON.parse(options.body);
+    expect(query).toContain(
+      "range(start: 2024-01-01T00:00:00Z, stop: date.add(d: 1ns, to: 2024-01-02T00:00:00Z))",
+    );
+    expect(query).toContain('filter(fn: (r) => r["host"] == "test-agent")');
+  });
+
+  test("should post the range and predicate to the delete API", async () => {
+    mockInfluxRequest.mockResolvedValueOnce({ status: 204, ok: true });
+
+    const response = await deleteData({
+      bucket: "metrics",
+      ...RANGE,
+      predicate: '_measurement="cpu" AND host="a"',
+    });
+
+    expect(response.isError).toBeUndefined();
+    expect(response.content[0].text).toBe(
+      "Deleted points matching _measurement=\"cpu\" AND host=\"a\" between 2024-01-01T00:00:00Z and 2024-01-02T00:00:00Z from bucket 'metrics'",
+    );
+    const [endpoint, options] = mockInfluxRequest.mock.calls[0];
+    expect(endpoint).toBe("/api/v2/delete?orgID=0123456789abcdef&bucket=metrics");
+    expect(JSON.parse(options.body)).toEqual({
+      ...RANGE,
+      predicate: '_measurement="cpu" AND host="a"',
+    });
+  });
+
+  test("should reject relative times and invalid predicates before calling the API", async () => {
+    let response = await deleteData({ bucket: "metrics", start: "-1h", stop: RANGE.stop });
+    expect(response.isError).toBe(true);
+    expect(response.content[0].text).toContain("start must be an RFC3339 timestamp");
+
+    response = await deleteData({ bucket: "metrics", ...RANGE, predicate: "host=a" });
+    expect(response.isError).toBe(true);
+    expect(response.content[0].text).toContain("Invalid delete predicate near 'host=a'");
+
+    expect(mockInfluxRequest).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,160 @@
+import { jest } from "@jest/globals";
+
+// Test timeout
+jest.setTimeout(10000);
+
+const INFLUXQL_RESPONSE = {
+  results: [{
+    statement_id: 0,
+    series: [{
+      name: "cpu",
+      tags: { host: "server01" },
+      columns: ["time", "mean"],
+      values: [
+        ["2024-01-01T00:00:00Z", 12.5],
+        ["2024-01-01T00:05:00Z", null],
+      ],
+    }, {
+      name: "cpu",
+      tags: { host: "server02" },
+      columns: ["time", "mean"],
+      values: [["2024-01-01T00:00:00Z", 40]],
+    }],
+  }],
+};
+
+describe("InfluxQL Query Tool", () => {
+  let queryInfluxQL;
+  let influxqlToTables;
+  let mockInfluxRequest;
+
+  beforeAll(async () => {
+    // Mock the influxClient module before importing the handler
+    jest.unstable_mockModule("../src/utils/influxClient.js", () => ({
+      influxRequest: jest.fn(),
+    }));
+
+    // Resolve orgs without a lookup request
+    jest.unstable_mockModule("../src/utils/orgs.js", () => ({
+      resolveOrg: jest.fn(async (org) => ({
+        id: "0123456789abcdef",
+        name: org || "test-org",
+      })),
+      resolveOrgID: jest.fn(async () => "0123456789abcdef"),
+    }));
+
+    // Load the mocked client before the handlers so that modules importing
+    // it in parallel share one mock instance
+    const influxClient = await import("../src/utils/influxClient.js");
+    mockInfluxRequest = influxClient.influxRequest;
+
+    const influxqlTool = await import("../src/handlers/influxqlQueryTool.js");
+    queryInfluxQL = influxqlTool.queryInfluxQL;
+
+    const influxql = await import("../src/utils/influxql.js");
+    influxqlToTables = influxql.influxqlToTables;
+  });
+
+  beforeEach(() => {
+    mockInfluxRequest.mockReset();
+  });
+
+  const jsonResponse = (body) => ({
+    status: 200,
+    ok: true,
+    json: async () => body,
+  });
+
+  test("should convert series into tables grouped by name and tags", () => {
+    const tables = influxqlToTables(INFLUXQL_RESPONSE);
+
+    expect(tables).toHaveLength(2);
+    expect(tables[0].groupKey).toEqual({ name: "cpu", host: "server01" });
+    expect(tables[0].columns).toEqual([
+      { name: "name", datatype: "string", group: true },
+      { name: "host", datatype: "string", group: true },
+      { name: "time", datatype: "dateTime:RFC3339", group: false },
+      { name: "mean", datatype: "double", group: false },
+    ]);
+    expect(tables[0].rows[1]).toEqual({
+      name: "cpu",
+      host: "server01",
+      time: "2024-01-01T00:05:00Z",
+      mean: null,
+    });
+    expect(tables[1].columns[3].datatype).toBe("long");
+  });
+
+  test("should throw statement errors", () => {
+    expect(() =>
+      influxqlToTables({
+        results: [{ statement_id: 0, error: "measurement not found" }],
+      })
+    ).toThrow("InfluxQL error in statement 0: measurement not found");
+  });
+
+  test("should resolve a bucket name through its DBRP mapping", async () => {
+    mockInfluxRequest
+      // No mapping uses the name as a database
+      .mockResolvedValueOnce(jsonResponse({ content: [] }))
+      .mockResolvedValueOnce(jsonResponse({
+        buckets: [{ id: "bucket123", name: "telegraf" }],
+      }))
+      .mockResolvedValueOnce(jsonResponse({
+        content: [{
+          database: "telegraf_db",
+          retention_policy: "autogen",
+          default: true,
+          bucketID: "bucket123",
+        }],
+      }))
+      .mockResolvedValueOnce(jsonResponse(INFLUXQL_RESPONSE));
+
+    const response = await queryInfluxQL({
+      org: "test-org",
+      db: "telegraf",
+      query: "SELECT mean(usage) FROM cpu GROUP BY host",
+      format: "json",
+    });
+
+    expect(response.isError).toBeUndefined();
+    expect(mockInfluxRequest.mock.calls[0][0]).toBe(
+      "/api/v2/dbrps?orgID=0123456789abcdef&db=telegraf",
+    );
+    expect(mockInfluxRequest.mock.calls[2][0]).toBe(
+      "/api/v2/dbrps?orgID=0123456789abcdef&bucketID=bucket123",
+    );
+
+    const [endpoint, options] = mockInfluxRequest.mock.calls[3];
+    expect(endpoint).toBe("/query?db=telegraf_db&rp=autogen");
+    expect(options.body).toBe(
+      "q=SELECT+mean%28usage%29+FROM+cpu+GROUP+BY+host",
+    );
+
+    const result = JSON.parse(response.content[0].text);
+    expect(result.tables).toHaveLength(2);
+    expect(result.tables[1].records).toEqual([{
+      name: "cpu",
+      host: "server02",
+      time: "2024-01-01T00:00:00Z",
+      mean: 40,
+    }]);
+  });
+
+  test("should explain a missing DBRP mapping", async () => {
+    mockInfluxRequest
+      .mockResolvedValueOnce(jsonResponse({ content: [] }))
+      .mockResolvedValueOnce(jsonResponse({ buckets: [] }));
+
+    const response = await queryInfluxQL({
+      org: "test-org",
+      db: "missing",
+      query: "SHOW MEASUREMENTS",
+    });
+
+    expect(response.isError).toBe(true);
+    expect(response.content[0].text).toContain(
+      "No DBRP mapping found for database 'missing'",
+    );
+  });
+});
@@ -0,0 +1,264 @@
+import { jest } from "@jest/globals";
+
+// Test timeout
+jest.setTimeout(10000);
+
+describe("Monitoring Tools and Statuses Resource", () => {
+  let createCheck;
+  let updateCheck;
+  let buildCheck;
+  let listNotificationEndpoints;
+  let updateNotificationEndpoint;
+  let createNotificationRule;
+  let recentStatuses;
+  let mockInfluxRequest;
+
+  beforeAll(async () => {
+    // Mock the influxClient module before importing the handlers
+    jest.unstable_mockModule("../src/utils/influxClient.js", () => ({
+      influxRequest: jest.fn(),
+    }));
+
+    // Mock the env module
+    jest.unstable_mockModule("../src/config/env.js", () => ({
+      INFLUXDB_URL: "http://localhost:8086",
+      INFLUXDB_TOKEN: "test-token",
+      DEFAULT_ORG: "test-org",
+      INFLUXDB_BACKEND: "v2",
+      MAX_QUERY_ROWS: 1000,
+      MAX_QUERY_BYTES: 100000,
+      validateEnvironment: () => {},
+    }));
+
+    // Resolve orgs without a lookup request
+    jest.unstable_mockModule("../src/utils/orgs.js", () => ({
+      resolveOrg: jest.fn(async (org) => ({
+        id: "0123456789abcdef",
+        name: org && org !== "0123456789abcdef" ? org : "test-org",
+      })),
+      resolveOrgID: jest.fn(async () => "0123456789abcdef"),
+    }));
+
+    // Load the mocked client before the handlers so that modules importing
+    // it in parallel share one mock instance
+    const influxClient = await import("../src/utils/influxClient.js");
+    mockInfluxRequest = influxClient.influxRequest;
+
+    buildCheck = (await import("../src/utils/checks.js")).buildCheck;
+
+    const checks = await import("../src/handlers/checksTool.js");
+    createCheck = checks.createCheck;
+    updateCheck = checks.updateCheck;
+
+    const endpoints = await import("../src/handlers/notificationEndpointsTool.js");
+    listNotificationEndpoints = endpoints.listNotificationEndpoints;
+    updateNotificationEndpoint = endpoints.updateNotificationEndpoint;
+
+    const rules = await import("../src/handlers/notificationRulesTool.js");
+    createNotificationRule = rules.createNotificationRule;
+
+    recentStatuses = (await import("../src/handlers/statusesHandler.js")).recentStatuses;
+  });
+
+  beforeEach(() => {
+    mockInfluxRequest.mockReset();
+  });
+
+  const jsonResponse = (body) => ({
+    status: 200,
+    ok: true,
+    json: async () => body,
+  });
+
+  // cpu usage_user on host X above 90% for 5m
+  const CPU_CHECK = {
+    name: "cpu high",
+    type: "threshold",
+    bucket: "telegraf",
+    measurement: "cpu",
+    field: "usage_user",
+    tags: { host: "X" },
+    aggregate: "min",
+    every: "5m",
+    thresholds: [{ level: "CRIT", type: "greater", value: 90 }],
+  };
+
+  const SLACK = {
+    id: "0000000000000e01",
+    orgID: "0123456789abcdef",
+    name: "ops slack",
+    type: "slack",
+    status: "active",
+    url: "https://hooks.slack.com/services/T0/B0/XYZ",
+    token: "secret: 0000000000000e01-token",
+  };
+
+  test("should build threshold checks the way the UI query builder does", async () => {
+    mockInfluxRequest.mockImplementationOnce(async (endpoint, options) =>
+      jsonResponse({ id: "0000000000000c01", ...JSON.parse(options.body) })
+    );
+    const confirm = jest.fn(async () => {});
+
+    const response = await createCheck(CPU_CHECK, { confirm });
+
+    expect(response.isError).toBeUndefined();
+    const [endpoint, options] = mockInfluxRequest.mock.calls[0];
+    expect(endpoint).toBe("/api/v2/checks");
+    const body = JSON.parse(options.body);
+    expect(body.query.text).toBe([
+      'from(bucket: "telegraf")',
+      "  |> range(start: v.timeRangeStart, stop: v.timeRangeStop)",
+      '  |> filter(fn: (r) => r["_measurement"] == "cpu")',
+      '  |> filter(fn: (r) => r["_field"] == "usage_user")',
+      '  |> filter(fn: (r) => r["host"] == "X")',
+      "  |> aggregateWindow(every: 5m, fn: min, createEmpty: false)",
+      '  |> yield(name: "min")',
+    ].join("\n"));
+    expect(body.query.builderConfig.functions).toEqual([{ name: "min" }]);
+    expect(body).toMatchObject({
+      orgID: "0123456789abcdef",
+      every: "5m",
+      offset: "0s",
+      thresholds: [{ type: "greater", level: "CRIT", value: 90, allValues: false }],
+    });
+    expect(confirm.mock.calls[0][0]).toMatch(
+      /^Create threshold check 'cpu high' in organization 'test-org', running every 5m: CRIT when > 90\./,
+    );
+    expect(JSON.parse(response.content[0].text).thresholds).toEqual(["CRIT when > 90"]);
+
+    expect(() => buildCheck("o", { ...CPU_CHECK, thresholds: [] }))
+      .toThrow("threshold checks need at least one threshold");
+    expect(() => buildCheck("o", {
+      ...CPU_CHECK,
+      thresholds: [{ level: "WARN", type: "inside", min: 90, max: 80 }],
+    })).toThrow("inside thresholds need numeric min and max");
+    expect(() => buildCheck("o", { ...CPU_CHECK, type: "deadman" }))
+      .toThrow("deadman checks need timeSince");
+  });
+
+  test("should rebuild the query from the builder config on update", async () => {
+    const current = {
+      id: "0000000000000c01",
+      ...buildCheck("0123456789abcdef", CPU_CHECK),
+    };
+    mockInfluxRequest
+      .mockResolvedValueOnce(jsonResponse(current))
+      .mockImplementationOnce(async (endpoint, options) =>
+        jsonResponse({ id: current.id, ...JSON.parse(options.body) })
+      );
+
+    const response = await updateCheck({ check: current.id, every: "10m" });
+
+    expect(response.isError).toBeUndefined();
+    const [endpoint, options] = mockInfluxRequest.mock.calls[1];
+    expect(endpoint).toBe(`/api/v2/checks/${current.id}`);
+    expect(options.method).toBe("PUT");
+    const body = JSON.parse(options.body);
+    expect(body.every).toBe("10m");
+    expect(body.query.text).toContain('filter(fn: (r) => r["host"] == "X")');
+    expect(body.query.text).toContain("aggregateWindow(every: 10m, fn: min");
+    expect(body.thresholds).toEqual(current.thresholds);
+
+    mockInfluxRequest.mockReset();
+    mockInfluxRequest.mockResolvedValueOnce(jsonResponse({
+      ...current,
+      query: { text: 'from(bucket: "telegraf") |> range(start: -5m)' },
+    }));
+    const handWritten = await updateCheck({ check: current.id, field: "usage_system" });
+    expect(handWritten.content[0].text).toContain(
+      "check 'cpu high' has a hand-written query",
+    );
+    expect(mockInfluxRequest).toHaveBeenCalledTimes(1);
+  });
+
+  test("should never show endpoint secrets and keep them on update", async () => {
+    mockInfluxRequest.mockResolvedValueOnce(jsonResponse({ notificationEndpoints: [SLACK] }));
+
+    let response = await listNotificationEndpoints({});
+    expect(mockInfluxRequest.mock.calls[0][0]).toBe(
+      "/api/v2/notificationEndpoints?orgID=0123456789abcdef&offset=0&limit=100",
+    );
+    expect(response.content[0].text).not.toContain("secret:");
+    expect(JSON.parse(response.content[0].text).endpoints[0].secrets).toEqual(["token"]);
+
+    mockInfluxRequest.mockReset();
+    mockInfluxRequest
+      .mockResolvedValueOnce(jsonResponse({ notificationEndpoints: [SLACK] }))
+      .mockImplementationOnce(async (endpoint, options) =>
+        jsonResponse({ ...SLACK, ...JSON.parse(options.body) })
+      );
+    response = await updateNotificationEndpoint({
+      endpoint: "ops slack",
+      url: "https://hooks.slack.com/services/T0/B0/NEW",
+    });
+
+    expect(response.isError).toBeUndefined();
+    const body = JSON.parse(mockInfluxRequest.mock.calls[1][1].body);
+    expect(body).toMatchObject({
+      type: "slack",
+      url: "https://hooks.slack.com/services/T0/B0/NEW",
+      token: "secret: 0000000000000e01-token",
+    });
+  });
+
+  test("should create rules of the endpoint's type", async () => {
+    mockInfluxRequest
+      .mockResolvedValueOnce(jsonResponse({ notificationEndpoints: [SLACK] }))
+      .mockImplementationOnce(async (endpoint, options) =>
+        jsonResponse({ id: "0000000000000f01", ...JSON.parse(options.body) })
+      );
+    const confirm = jest.fn(async () => {});
+
+    const response = await createNotificationRule({
+      name: "page on cpu",
+      endpoint: "ops slack",
+      statusRules: [{ currentLevel: "CRIT", previousLevel: "OK" }],
+      tagRules: { host: "X" },
+    }, { confirm });
+
+    expect(response.isError).toBeUndefined();
+    const body = JSON.parse(mockInfluxRequest.mock.calls[1][1].body);
+    expect(body).toMatchObject({
+      endpointID: SLACK.id,
+      type: "slack",
+      every: "10m",
+      statusRules: [{ currentLevel: "CRIT", previousLevel: "OK" }],
+      tagRules: [{ key: "host", value: "X", operator: "equal" }],
+    });
+    expect(body.messageTemplate).toContain("${ r._message }");
+    expect(confirm.mock.calls[0][0]).toBe(
+      "Create notification rule 'page on cpu' in organization 'test-org', sending OK -> CRIT statuses tagged host=X, checked every 10m, to slack endpoint 'ops slack'.",
+    );
+  });
+
+  test("should list recent statuses with the tags of the checked series", async () => {
+    mockInfluxRequest.mockResolvedValueOnce({
+      status: 200,
+      ok: true,
+      text: async () =>
+        "#group,false,false,false,false,false,false,false,false,false,false\r\n" +
+        "#datatype,string,long,dateTime:RFC3339,string,string,string,string,string,string,string\r\n" +
+        "#default,_result,,,,,,,,,\r\n" +
+        ",result,table,_time,_value,_check_id,_check_name,_level,_measurement,_field,host\r\n" +
+        ",,0,2024-01-01T00:05:00Z,Check: cpu high is: crit,0000000000000c01,cpu high,crit,statuses,_message,X\r\n",
+    });
+
+    const uri = new URL("influxdb://org/ops/statuses");
+    const response = await recentStatuses(uri, { orgName: "ops" });
+
+    expect(JSON.parse(mockInfluxRequest.mock.calls[0][1].body).query).toContain(
+      'from(bucket: "_monitoring")',
+    );
+    expect(JSON.parse(response.contents[0].text)).toEqual({
+      org: "ops",
+      statuses: [{
+        time: "2024-01-01T00:05:00Z",
+        check: "cpu high",
+        checkID: "0000000000000c01",
+        level: "crit",
+        message: "Check: cpu high is: crit",
+        tags: { host: "X" },
+      }],
+    });
+  });
+});
@@ -0,0 +1,197 @@
+import { jest } from "@jest/globals";
+
+// Test timeout
+jest.setTimeout(10000);
+
+describe("Organization Management Tools", () => {
+  let updateOrg;
+  let deleteOrg;
+  let addOrgMember;
+  let removeOrgMember;
+  let forgetOrgs;
+  let setPolicy;
+  let mockInfluxRequest;
+
+  beforeAll(async () => {
+    // Mock the influxClient module before importing the handlers
+    jest.unstable_mockModule("../src/utils/influxClient.js", () => ({
+      influxRequest: jest.fn(),
+    }));
+
+    // Mock the env module
+    jest.unstable_mockModule("../src/config/env.js", () => ({
+      INFLUXDB_URL: "http://localhost:8086",
+      INFLUXDB_TOKEN: "test-token",
+      DEFAULT_ORG: "test-org",
+      validateEnvironment: () => {},
+    }));
+
+    // Resolve orgs without a lookup request
+    jest.unstable_mockModule("../src/utils/orgs.js", () => ({
+      resolveOrg: jest.fn(async (org) => ({
+        id: "0123456789abcdef",
+        name: org || "test-org",
+      })),
+      resolveOrgID: jest.fn(async () => "0123456789abcdef"),
+      forgetOrgs: jest.fn(),
+    }));
+
+    // Load the mocked client before the handlers so that modules importing
+    // it in parallel share one mock instance
+    const influxClient = await import("../src/utils/influxClient.js");
+    mockInfluxRequest = influxClient.influxRequest;
+
+    const orgs = await import("../src/utils/orgs.js");
+    forgetOrgs = orgs.forgetOrgs;
+
+    setPolicy = (await import("../src/utils/policy.js")).setPolicy;
+
+    updateOrg = (await import("../src/handlers/updateOrgTool.js")).updateOrg;
+    deleteOrg = (await import("../src/handlers/deleteOrgTool.js")).deleteOrg;
+
+    const orgMembers = await import("../src/handlers/orgMembersTool.js");
+    addOrgMember = orgMembers.addOrgMember;
+    removeOrgMember = orgMembers.removeOrgMember;
+  });
+
+  beforeEach(() => {
+    mockInfluxRequest.mockReset();
+    forgetOrgs.mockClear();
+  });
+
+  afterEach(() => {
+    setPolicy({});
+  });
+
+  const jsonResponse = (body) => ({
+    status: 200,
+    ok: true,
+    json: async () => body,
+  });
+
+  const ALICE = { id: "00000000000000a1", name: "alice", status: "active" };
+  const BOB = { id: "00000000000000b2", name: "bob", status: "active" };
+
+  test("should rename an org and drop the cached org list", async () => {
+    mockInfluxRequest.mockResolvedValueOnce(jsonResponse({
+      id: "0123456789abcdef",
+      name: "platform",
+    }));
+
+    const response = await updateOrg({ org: "test-org", name: "platform" });
+
+    expect(response.isError).toBeUndefined();
+    const [endpoint, options] = mockInfluxRequest.mock.calls[0];
+    expect(endpoint).toBe("/api/v2/orgs/0123456789abcdef");
+    expect(options.method).toBe("PATCH");
+    expect(JSON.parse(options.body)).toEqual({ name: "platform" });
+    expect(forgetOrgs).toHaveBeenCalled();
+  });
+
+  test("should name the buckets that go with a deleted org", async () => {
+    mockInfluxRequest
+      .mockResolvedValueOnce(jsonResponse({
+        buckets: [
+          { id: "1", name: "metrics" },
+          { id: "2", name: "logs" },
+          { id: "3", name: "_monitoring", type: "system" },
+        ],
+      }))
+      .mockResolvedValueOnce({ status: 204, ok: true });
+    const confirm = jest.fn(async () => {});
+
+    const response = await deleteOrg({ org: "test-org" }, { confirm });
+
+    expect(response.isError).toBeUndefined();
+    expect(confirm.mock.calls[0][0]).toBe(
+      "Delete organization 'test-org' (0123456789abcdef) with 2 buckets (metrics, logs) and all of its data, tasks, dashboards and tokens. This cannot be undone.",
+    );
+    expect(mockInfluxRequest.mock.calls[1][0]).toBe("/api/v2/orgs/0123456789abcdef");
+    expect(mockInfluxRequest.mock.calls[1][1].method).toBe("DELETE");
+
+    // The default org is never deleted by omission
+    const missing = await deleteOrg({});
+    expect(missing.content[0].text).toBe("Error deleting organization: org is required");
+  });
+
+  test("should refuse to delete an org holding buckets hidden by the policy", async () => {
+    const buckets = {
+      buckets: [
+        { id: "1", name: "metrics" },
+        { id: "3", name: "_monitoring", type: "system" },
+      ],
+    };
+    const confirm = jest.fn(async () => {});
+
+    setPolicy({ deniedBuckets: ["metrics"] });
+    mockInfluxRequest.mockResolvedValueOnce(jsonResponse(buckets));
+    let response = await deleteOrg({ org: "test-org" }, { confirm });
+    expect(response.content[0].text).toBe(
+      "Error deleting organization: Access to bucket 'metrics' is denied by policy",
+    );
+
+    // System buckets count too
+    setPolicy({ allowedBuckets: ["metrics"] });
+    mockInfluxRequest.mockResolvedValueOnce(jsonResponse(buckets));
+    response = await deleteOrg({ org: "test-org" }, { confirm });
+    expect(response.content[0].text).toBe(
+      "Error deleting organization: Access to bucket '_monitoring' is denied by policy",
+    );
+
+    expect(confirm).not.toHaveBeenCalled();
+    expect(mockInfluxRequest).toHaveBeenCalledTimes(2);
+  });
+
+  test("should add a user looked up by name as an owner", async () => {
+    mockInfluxRequest
+      .mockResolvedValueOnce(jsonResponse({ users: [ALICE] }))
+      .mockResolvedValueOnce({ status: 201, ok: true });
+
+    const response = await addOrgMember({ user: "alice", role: "owner" });
+
+    expect(response.content[0].text).toBe(
+      "Added user 'alice' (00000000000000a1) to organization 'test-org' as owner",
+    );
+    expect(mockInfluxRequest.mock.calls[0][0]).toBe("/api/v2/users?name=alice");
+    const [endpoint, options] = mockInfluxRequest.mock.calls[1];
+    expect(endpoint).toBe("/api/v2/orgs/0123456789abcdef/owners");
+    expect(JSON.parse(options.body)).toEqual({ id: "00000000000000a1" });
+  });
+
+  test("should report unknown users after a 404 name lookup", async () => {
+    mockInfluxRequest.mockRejectedValueOnce(
+      new Error('InfluxDB API Error (404): {"code":"not found","message":"user not found"}'),
+    );
+
+    const response = await addOrgMember({ user: "nobody" });
+
+    expect(response.isError).toBe(true);
+    expect(response.content[0].text).toBe(
+      "Error adding organization member: User 'nobody' not found",
+    );
+  });
+
+  test("should remove members but keep the last owner", async () => {
+    mockInfluxRequest
+      .mockResolvedValueOnce(jsonResponse({ users: [BOB] }))
+      .mockResolvedValueOnce(jsonResponse({ users: [ALICE, BOB] }))
+      .mockResolvedValueOnce({ status: 204, ok: true });
+
+    let response = await removeOrgMember({ user: "bob" });
+    expect(response.isError).toBeUndefined();
+    expect(mockInfluxRequest.mock.calls[2][0]).toBe(
+      "/api/v2/orgs/0123456789abcdef/members/00000000000000b2",
+    );
+
+    mockInfluxRequest.mockReset();
+    mockInfluxRequest
+      .mockResolvedValueOnce(jsonResponse({ users: [ALICE] }))
+      .mockResolvedValueOnce(jsonResponse({ users: [ALICE] }));
+
+    response = await removeOrgMember({ user: "alice", role: "owner" });
+    expect(response.content[0].text).toBe(
+      "Error removing organization member: user 'alice' is the last owner of organization 'test-org'; add another owner first",
+    );
+    expect(mockInfluxRequest).toHaveBeenCalledTimes(2);
+  });
+});
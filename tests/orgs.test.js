@@ -0,0 +1,98 @@
+import { jest } from "@jest/globals";
+
+// Test timeout
+jest.setTimeout(10000);
+
+describe("Organization Resolver", () => {
+  let resolveOrg;
+  let mockInfluxRequest;
+
+  beforeAll(async () => {
+    // Mock the influxClient module before importing the resolver
+    jest.unstable_mockModule("../src/utils/influxClient.js", () => ({
+      influxRequest: jest.fn(),
+    }));
+
+    // Mock the env module
+    jest.unstable_mockModule("../src/config/env.js", () => ({
+      INFLUXDB_URL: "http://localhost:8086",
+      INFLUXDB_TOKEN: "test-token",
+      DEFAULT_ORG: "test-org",
+      validateEnvironment: () => {},
+    }));
+
+    const influxClient = await import("../src/utils/influxClient.js");
+    mockInfluxRequest = influxClient.influxRequest;
+
+    const orgs = await import("../src/utils/orgs.js");
+    resolveOrg = orgs.resolveOrg;
+  });
+
+  beforeEach(() => {
+    mockInfluxRequest.mockReset();
+  });
+
+  const orgsResponse = (orgs) => ({
+    status: 200,
+    ok: true,
+    json: async () => ({ orgs }),
+  });
+
+  const TEST_ORG = { id: "0123456789abcdef", name: "test-org" };
+  const OTHER_ORG = { id: "fedcba9876543210", name: "other" };
+
+  test("should resolve names, IDs and the default org from one listing", async () => {
+    mockInfluxRequest.mockResolvedValueOnce(orgsResponse([TEST_ORG, OTHER_ORG]));
+
+    await expect(resolveOrg("other")).resolves.toEqual(OTHER_ORG);
+    await expect(resolveOrg("fedcba9876543210")).resolves.toEqual(OTHER_ORG);
+    await expect(resolveOrg()).resolves.toEqual(TEST_ORG);
+
+    // Later lookups are served from the cache
+    expect(mockInfluxRequest).toHaveBeenCalledTimes(1);
+    expect(mockInfluxRequest.mock.calls[0][0]).toBe(
+      "/api/v2/orgs?limit=100&offset=0",
+    );
+  });
+
+  test("should refetch on a miss and list valid orgs when nothing matches", async () => {
+    mockInfluxRequest
+      .mockResolvedValueOnce(orgsResponse([TEST_ORG, OTHER_ORG]))
+      .mockResolvedValueOnce(orgsResponse([TEST_ORG, OTHER_ORG]));
+
+    await expect(resolveOrg("missing")).rejects.toThrow(
+      "Organization 'missing' not found. Valid orgs: test-org (0123456789abcdef), other (fedcba9876543210)",
+    );
+    expect(mockInfluxRequest).toHaveBeenCalledTimes(1);
+
+    // An org created after the last listing is picked up on the next miss
+    mockInfluxRequest.mockReset();
+    mockInfluxRequest.mockResolvedValueOnce(orgsResponse([
+      TEST_ORG,
+      OTHER_ORG,
+      { id: "00000000000000aa", name: "new" },
+    ]));
+    await expect(resolveOrg("new")).resolves.toEqual({
+      id: "00000000000000aa",
+      name: "new",
+    });
+  });
+
+  test("should page through more than one page of orgs", async () => {
+    const firstPage = Array.from({ length: 100 }, (_, index) => ({
+      id: String(index).padStart(16, "0"),
+      name: `org-${index}`,
+    }));
+    mockInfluxRequest
+      .mockResolvedValueOnce(orgsResponse(firstPage))
+      .mockResolvedValueOnce(orgsResponse([{ id: "ffffffffffffffff", name: "last" }]));
+
+    await expect(resolveOrg("last")).resolves.toEqual({
+      id: "ffffffffffffffff",
+      name: "last",
+    });
+    expect(mockInfluxRequest.mock.calls[1][0]).toBe(
+      "/api/v2/orgs?limit=100&offset=100",
+    );
+  });
+});
@@ -0,0 +1,219 @@
+import { jest } from "@jest/globals";
+
+// Test timeout
+jest.setTimeout(10000);
+
+// Minimal AST builders
+const identifier = (name) => ({ type: "Identifier", name });
+const string = (value) => ({ type: "StringLiteral", value });
+const call = (callee, args = {}) => ({
+  type: "CallExpression",
+  callee: identifier(callee),
+  arguments: [{
+    type: "ObjectExpression",
+    properties: Object.entries(args).map(([key, value]) => ({
+      type: "Property",
+      key: identifier(key),
+      value,
+    })),
+  }],
+});
+const file = (expressions) => ({
+  type: "Package",
+  files: [{
+    type: "File",
+    imports: [],
+    body: expressions.map((expression) => ({
+      type: "ExpressionStatement",
+      expression,
+    })),
+  }],
+});
+const astResponse = (ast) => ({
+  status: 200,
+  ok: true,
+  json: async () => ({ ast }),
+});
+
+describe("Access Policy", () => {
+  let setPolicy;
+  let bucketAllowed;
+  let orgAllowed;
+  let assertInfluxQLAllowed;
+  let queryData;
+  let listBuckets;
+  let mockInfluxRequest;
+
+  beforeAll(async () => {
+    // Mock the influxClient module before importing the handlers
+    jest.unstable_mockModule("../src/utils/influxClient.js", () => ({
+      influxRequest: jest.fn(),
+    }));
+
+    // Mock the env module
+    jest.unstable_mockModule("../src/config/env.js", () => ({
+      INFLUXDB_URL: "http://localhost:8086",
+      INFLUXDB_TOKEN: "test-token",
+      DEFAULT_ORG: "test-org",
+      INFLUXDB_BACKEND: "v2",
+      MAX_QUERY_ROWS: 1000,
+      MAX_QUERY_BYTES: 100000,
+      validateEnvironment: () => {},
+    }));
+
+    // Resolve orgs without a lookup request; other-org has its own ID
+    jest.unstable_mockModule("../src/utils/orgs.js", () => ({
+      resolveOrg: jest.fn(async (org) =>
+        org === "other-org" || org === "fedcba9876543210"
+          ? { id: "fedcba9876543210", name: "other-org" }
+          : { id: "0123456789abcdef", name: "test-org" }
+      ),
+      resolveOrgID: jest.fn(async () => "0123456789abcdef"),
+    }));
+
+    // Load the mocked client before the handlers so that modules importing
+    // it in parallel share one mock instance
+    const influxClient = await import("../src/utils/influxClient.js");
+    mockInfluxRequest = influxClient.influxRequest;
+
+    const policy = await import("../src/utils/policy.js");
+    setPolicy = policy.setPolicy;
+    bucketAllowed = policy.bucketAllowed;
+    orgAllowed = policy.orgAllowed;
+    assertInfluxQLAllowed = policy.assertInfluxQLAllowed;
+
+    const queryDataHandler = await import("../src/handlers/queryDataTool.js");
+    queryData = queryDataHandler.queryData;
+
+    const bucketsHandler = await import("../src/handlers/bucketsHandler.js");
+    listBuckets = bucketsHandler.listBuckets;
+  });
+
+  beforeEach(() => {
+    mockInfluxRequest.mockReset();
+    setPolicy({
+      allowedOrgs: ["test-org"],
+      allowedBuckets: ["metrics*"],
+      deniedBuckets: ["metrics-secret"],
+    });
+  });
+
+  afterAll(() => {
+    setPolicy({});
+  });
+
+  test("should match wildcards, org IDs and let the denylist win", () => {
+    expect(bucketAllowed("metrics")).toBe(true);
+    expect(bucketAllowed("metrics-prod")).toBe(true);
+    expect(bucketAllowed("metrics-secret")).toBe(false);
+    expect(bucketAllowed("logs")).toBe(false);
+    expect(bucketAllowed("xmetrics")).toBe(false);
+
+    setPolicy({ deniedOrgs: ["fedcba9876543210"] });
+    expect(orgAllowed({ id: "fedcba9876543210", name: "other-org" })).toBe(false);
+    expect(orgAllowed({ id: "0123456789abcdef", name: "test-org" })).toBe(true);
+    expect(bucketAllowed("anything")).toBe(true);
+  });
+
+  test("should check the buckets a Flux query references, not the prompt", async () => {
+    mockInfluxRequest.mockResolvedValueOnce(astResponse(file([
+      call("from", { bucket: string("metrics") }),
+      call("from", { bucket: string("metrics-secret") }),
+    ])));
+
+    const response = await queryData({
+      org: "test-org",
+      query: 'from(bucket: "metrics") // and another',
+    });
+
+    expect(response.isError).toBe(true);
+    expect(response.content[0].text).toContain(
+      "Access to bucket 'metrics-secret' is denied by policy",
+    );
+    // Only the AST was requested; the query itself never ran
+    expect(mockInfluxRequest).toHaveBeenCalledTimes(1);
+    expect(mockInfluxRequest.mock.calls[0][0]).toBe("/api/v2/query/ast");
+  });
+
+  test("should reject references the policy cannot check", async () => {
+    mockInfluxRequest.mockResolvedValueOnce(astResponse(file([
+      call("from", { bucket: identifier("name") }),
+    ])));
+    let response = await queryData({ org: "test-org", query: "from(bucket: name)" });
+    expect(response.content[0].text).toContain("names buckets with computed values");
+
+    mockInfluxRequest.mockResolvedValueOnce(astResponse(file([call("buckets")])));
+    response = await queryData({ org: "test-org", query: "buckets()" });
+    expect(response.content[0].text).toContain("The query calls buckets");
+
+    mockInfluxRequest.mockResolvedValueOnce(astResponse(file([
+      call("from", { bucket: string("metrics"), org: string("other-org") }),
+    ])));
+    response = await queryData({ org: "test-org", query: "from(...)" });
+    expect(response.content[0].text).toContain(
+      "Access to organization 'other-org' is denied by policy",
+    );
+  });
+
+  test("should run queries that only reference allowed buckets", async () => {
+    mockInfluxRequest
+      .mockResolvedValueOnce(astResponse(file([
+        call("from", {
+          bucket: {
+            type: "MemberExpression",
+            object: identifier("params"),
+            property: identifier("b"),
+          },
+        }),
+      ])))
+      .mockResolvedValueOnce({
+        status: 200,
+        ok: true,
+        text: async () =>
+          "#datatype,string,long,double\r\n,result,table,_value\r\n,,0,1\r\n",
+      });
+
+    const response = await queryData({
+      org: "test-org",
+      query: "from(bucket: params.b)",
+      params: { b: "metrics-prod" },
+    });
+
+    expect(response.isError).toBeUndefined();
+    expect(mockInfluxRequest.mock.calls[1][0]).toBe(
+      "/api/v2/query?orgID=0123456789abcdef",
+    );
+  });
+
+  test("should only allow InfluxQL against the mapped database", () => {
+    expect(() => assertInfluxQLAllowed(
+      "SELECT mean(\"a.b.c\") FROM cpu WHERE host = 'x.y.z'",
+    )).not.toThrow();
+    expect(() => assertInfluxQLAllowed("SELECT * FROM other.autogen.cpu"))
+      .toThrow("names other databases");
+    expect(() => assertInfluxQLAllowed('SELECT * FROM "other".."cpu"'))
+      .toThrow("names other databases");
+    expect(() => assertInfluxQLAllowed("SHOW MEASUREMENTS ON other"))
+      .toThrow("names other databases");
+  });
+
+  test("should leave disallowed buckets and orgs out of the bucket list", async () => {
+    mockInfluxRequest.mockResolvedValueOnce({
+      status: 200,
+      ok: true,
+      json: async () => ({
+        buckets: [
+          { id: "1", name: "metrics", orgID: "0123456789abcdef" },
+          { id: "2", name: "metrics-secret", orgID: "0123456789abcdef" },
+          { id: "3", name: "logs", orgID: "0123456789abcdef" },
+          { id: "4", name: "metrics", orgID: "fedcba9876543210" },
+        ],
+      }),
+    });
+
+    const response = await listBuckets(new URL("influxdb://buckets"));
+
+    expect(JSON.parse(response.contents[0].text).buckets.map((bucket) => bucket.id))
+      .toEqual(["1"]);
+  });
+});
@@ -0,0 +1,224 @@
+import { jest } from "@jest/globals";
+
+// Test timeout
+jest.setTimeout(10000);
+
+const SAMPLE_CSV =
+  "#group,false,false,true,true,false,false\r\n" +
+  "#datatype,string,long,string,string,dateTime:RFC3339,double\r\n" +
+  "#default,_result,,,,,\r\n" +
+  ",result,table,_measurement,host,_time,_value\r\n" +
+  ",,0,cpu,server01,2024-01-01T00:00:00Z,10\r\n" +
+  ",,0,cpu,server01,2024-01-01T00:01:00Z,20\r\n" +
+  ",,1,cpu,server|02,2024-01-01T00:00:00Z,60\r\n" +
+  "\r\n";
+
+describe("Query Data Tool", () => {
+  let queryData;
+  let mockInfluxRequest;
+
+  beforeAll(async () => {
+    // Mock the influxClient module before importing the handler
+    jest.unstable_mockModule("../src/utils/influxClient.js", () => ({
+      influxRequest: jest.fn(),
+    }));
+
+    // Mock the env module
+    jest.unstable_mockModule("../src/config/env.js", () => ({
+      INFLUXDB_URL: "http://localhost:8086",
+      INFLUXDB_TOKEN: "test-token",
+      DEFAULT_ORG: "test-org",
+      INFLUXDB_BACKEND: "v2",
+      MAX_QUERY_ROWS: 1000,
+      MAX_QUERY_BYTES: 100000,
+      validateEnvironment: () => {},
+    }));
+
+    // Resolve orgs without a lookup request
+    jest.unstable_mockModule("../src/utils/orgs.js", () => ({
+      resolveOrg: jest.fn(async (org) => ({
+        id: "0123456789abcdef",
+        name: org || "test-org",
+      })),
+      resolveOrgID: jest.fn(async () => "0123456789abcdef"),
+    }));
+
+    // Load the mocked client before the handlers so that modules importing
+    // it in parallel share one mock instance
+    const influxClient = await import("../src/utils/influxClient.js");
+    mockInfluxRequest = influxClient.influxRequest;
+
+    const queryDataHandler = await import("../src/handlers/queryDataTool.js");
+    queryData = queryDataHandler.queryData;
+  });
+
+  beforeEach(() => {
+    mockInfluxRequest.mockReset();
+    mockInfluxRequest.mockResolvedValue({
+      status: 200,
+      ok: true,
+      text: async () => SAMPLE_CSV,
+    });
+  });
+
+  test("should return the raw annotated CSV by default", async () => {
+    const response = await queryData({ org: "test-org", query: "q" });
+
+    expect(response.isError).toBeUndefined();
+    expect(response.content[0].text).toBe(SAMPLE_CSV);
+  });
+
+  test("should send Flux params alongside the query", async () => {
+    await queryData({
+      org: "test-org",
+      query: "from(bucket: params.bucket) |> range(start: -1h)",
+      params: { bucket: 'metrics") |> drop(', limit: 5 },
+    });
+
+    const [endpoint, options] = mockInfluxRequest.mock.calls[0];
+    expect(endpoint).toBe("/api/v2/query?orgID=0123456789abcdef");
+    expect(JSON.parse(options.body)).toEqual({
+      query: "from(bucket: params.bucket) |> range(start: -1h)",
+      type: "flux",
+      params: { bucket: 'metrics") |> drop(', limit: 5 },
+    });
+  });
+
+  test("should return typed records grouped by table as json", async () => {
+    const response = await queryData({
+      org: "test-org",
+      query: "q",
+      format: "json",
+    });
+    const result = JSON.parse(response.content[0].text);
+
+    expect(result.tables).toHaveLength(2);
+    expect(result.tables[0].groupKey).toEqual({
+      _measurement: "cpu",
+      host: "server01",
+    });
+    expect(result.tables[0].records[1]).toEqual({
+      _measurement: "cpu",
+      host: "server01",
+      _time: "2024-01-01T00:01:00Z",
+      _value: 20,
+    });
+  });
+
+  test("should render compact markdown tables", async () => {
+    const response = await queryData({
+      org: "test-org",
+      query: "q",
+      format: "markdown",
+    });
+
+    expect(response.content[0].text).toBe(
+      "**_result / table 0** (_measurement=cpu, host=server01)\n\n" +
+        "| _time | _value |\n" +
+        "| --- | --- |\n" +
+        "| 2024-01-01T00:00:00Z | 10 |\n" +
+        "| 2024-01-01T00:01:00Z | 20 |\n\n" +
+        "**_result / table 1** (_measurement=cpu, host=server\\|02)\n\n" +
+        "| _time | _value |\n" +
+        "| --- | --- |\n" +
+        "| 2024-01-01T00:00:00Z | 60 |",
+    );
+  });
+
+  test("should summarise numeric columns", async () => {
+    const response = await queryData({
+      org: "test-org",
+      query: "q",
+      format: "summary",
+    });
+    const result = JSON.parse(response.content[0].text);
+
+    expect(result.tables).toBe(2);
+    expect(result.rows).toBe(3);
+    expect(result.timeRange).toEqual({
+      start: "2024-01-01T00:00:00Z",
+      stop: "2024-01-01T00:01:00Z",
+    });
+    expect(result.columns).toContainEqual({
+      name: "_value",
+      datatype: "double",
+      count: 3,
+      min: 10,
+      max: 60,
+      mean: 30,
+    });
+    expect(result.columns).toContainEqual({ name: "host", datatype: "string" });
+  });
+
+  test("should report Flux error tables as tool errors", async () => {
+    mockInfluxRequest.mockResolvedValueOnce({
+      status: 200,
+      ok: true,
+      text: async () =>
+        "#datatype,string,string\r\n" +
+        "#group,true,true\r\n" +
+        "#default,,\r\n" +
+        ",error,reference\r\n" +
+        ",unsupported aggregate column type string,\r\n",
+    });
+
+    const response = await queryData({
+      org: "test-org",
+      query: "q",
+      format: "json",
+    });
+
+    expect(response.isError).toBe(true);
+    expect(response.content[0].text).toContain(
+      "unsupported aggregate column type string",
+    );
+  });
+
+  test("should page results and continue from a cursor", async () => {
+    const first = await queryData({
+      org: "test-org",
+      query: "q",
+      format: "json",
+      maxRows: 2,
+    });
+
+    expect(first.content).toHaveLength(2);
+    expect(JSON.parse(first.content[0].text).tables[0].records).toHaveLength(2);
+    expect(first.content[1].text).toContain(
+      "Result truncated: showing rows 1-2 of 3 across 2 tables.",
+    );
+
+    const cursor = first.content[1].text.match(/cursor "([^"]+)"/)[1];
+    const second = await queryData({ cursor, maxRows: 2 });
+    const page = JSON.parse(second.content[0].text);
+
+    expect(mockInfluxRequest).toHaveBeenCalledTimes(1);
+    expect(page.tables).toHaveLength(1);
+    expect(page.tables[0].groupKey.host).toBe("server|02");
+    expect(second.content[1].text).toContain("rows 3-3 of 3");
+    expect(second.content[1].text).toContain("This is the last page.");
+  });
+
+  test("should re-serialise truncated csv pages with annotations", async () => {
+    const response = await queryData({
+      org: "test-org",
+      query: "q",
+      maxRows: 1,
+    });
+
+    expect(response.content[0].text).toBe(
+      "#group,false,false,true,true,false,false\r\n" +
+        "#datatype,string,long,string,string,dateTime:RFC3339,double\r\n" +
+        "#default,_result,,,,,\r\n" +
+        ",result,table,_measurement,host,_time,_value\r\n" +
+        ",,0,cpu,server01,2024-01-01T00:00:00Z,10\r\n",
+    );
+  });
+
+  test("should reject unknown cursors", async () => {
+    const response = await queryData({ cursor: "missing:10" });
+
+    expect(response.isError).toBe(true);
+    expect(response.content[0].text).toContain("Unknown or expired cursor");
+  });
+});
@@ -0,0 +1,216 @@
+import { jest } from "@jest/globals";
+
+// Test timeout
+jest.setTimeout(10000);
+
+// Minimal AST builders
+const identifier = (name) => ({ type: "Identifier", name });
+const member = (object, property) => ({
+  type: "MemberExpression",
+  object: identifier(object),
+  property: identifier(property),
+});
+const call = (callee, args = {}) => ({
+  type: "CallExpression",
+  callee: typeof callee === "string" ? identifier(callee) : callee,
+  arguments: [{
+    type: "ObjectExpression",
+    properties: Object.entries(args).map(([key, value]) => ({
+      type: "Property",
+      key: identifier(key),
+      value,
+    })),
+  }],
+});
+const file = (imports, expressions) => ({
+  type: "Package",
+  files: [{
+    type: "File",
+    imports: imports.map(([path, alias]) => ({
+      type: "ImportDeclaration",
+      as: alias ? identifier(alias) : null,
+      path: { type: "StringLiteral", value: path },
+    })),
+    body: expressions.map((expression) => ({
+      type: "ExpressionStatement",
+      expression,
+    })),
+  }],
+});
+const pipe = (argument, next) => ({ type: "PipeExpression", argument, call: next });
+
+const FROM = call("from", { bucket: { type: "StringLiteral", value: "metrics" } });
+
+describe("Read-only Mode", () => {
+  let findWriteCalls;
+  let setReadOnly;
+  let assertReadOnlyInfluxQL;
+  let queryData;
+  let mockInfluxRequest;
+
+  beforeAll(async () => {
+    // Mock the influxClient module before importing the handler
+    jest.unstable_mockModule("../src/utils/influxClient.js", () => ({
+      influxRequest: jest.fn(),
+    }));
+
+    // Mock the env module
+    jest.unstable_mockModule("../src/config/env.js", () => ({
+      INFLUXDB_URL: "http://localhost:8086",
+      INFLUXDB_TOKEN: "test-token",
+      DEFAULT_ORG: "test-org",
+      INFLUXDB_BACKEND: "v2",
+      MAX_QUERY_ROWS: 1000,
+      MAX_QUERY_BYTES: 100000,
+      validateEnvironment: () => {},
+    }));
+
+    // Resolve orgs without a lookup request
+    jest.unstable_mockModule("../src/utils/orgs.js", () => ({
+      resolveOrg: jest.fn(async (org) => ({
+        id: "0123456789abcdef",
+        name: org || "test-org",
+      })),
+      resolveOrgID: jest.fn(async () => "0123456789abcdef"),
+    }));
+
+    // Load the mocked client before the handlers so that modules importing
+    // it in parallel share one mock instance
+    const influxClient = await import("../src/utils/influxClient.js");
+    mockInfluxRequest = influxClient.influxRequest;
+
+    const fluxAst = await import("../src/utils/fluxAst.js");
+    findWriteCalls = fluxAst.findWriteCalls;
+
+    const readOnly = await import("../src/utils/readOnly.js");
+    setReadOnly = readOnly.setReadOnly;
+    assertReadOnlyInfluxQL = readOnly.assertReadOnlyInfluxQL;
+
+    const queryDataHandler = await import("../src/handlers/queryDataTool.js");
+    queryData = queryDataHandler.queryData;
+  });
+
+  beforeEach(() => {
+    mockInfluxRequest.mockReset();
+    setReadOnly(true);
+  });
+
+  afterAll(() => {
+    setReadOnly(false);
+  });
+
+  test("should find writers through imports and aliases", () => {
+    expect(findWriteCalls(file([], [pipe(FROM, call("to"))]))).toEqual(["to"]);
+
+    expect(findWriteCalls(file(
+      [["experimental", "ex"], ["http"]],
+      [
+        pipe(FROM, call(member("ex", "to"))),
+        call(member("http", "post"), { url: { type: "StringLiteral", value: "x" } }),
+      ],
+    ))).toEqual(["ex.to", "http.post"]);
+
+    // Assigning a writer to a variable still references it
+    expect(findWriteCalls(file([["sql"]], [{
+      type: "VariableAssignment",
+      id: identifier("w"),
+      init: member("sql", "to"),
+    }]))).toEqual(["sql.to"]);
+  });
+
+  test("should find monitoring, HTTP and notification writers", () => {
+    const check = call(member("monitor", "check"), { data: FROM });
+    expect(findWriteCalls(file(
+      [["influxdata/influxdb/monitor"]],
+      [check, pipe(check, call(member("monitor", "notify")))],
+    ))).toEqual(["monitor.check", "monitor.notify"]);
+
+    expect(findWriteCalls(file(
+      [["http/requests"]],
+      [call(member("requests", "post"), { url: { type: "StringLiteral", value: "x" } })],
+    ))).toEqual(["requests.post"]);
+
+    expect(findWriteCalls(file(
+      [["slack"], ["pagerduty"], ["contrib/sranka/opsgenie"], ["contrib/sranka/telegram"]],
+      [
+        call(member("slack", "message")),
+        call(member("pagerduty", "sendEvent")),
+        call(member("opsgenie", "sendAlert")),
+        call(member("telegram", "message")),
+      ],
+    ))).toEqual(["opsgenie.sendAlert", "pagerduty.sendEvent", "slack.message", "telegram.message"]);
+  });
+
+  test("should block imports of packages not known to only read", async () => {
+    mockInfluxRequest.mockResolvedValueOnce({
+      status: 200,
+      ok: true,
+      json: async () => ({
+        ast: file([["strings"], ["contrib/example/notifier"]], [FROM]),
+      }),
+    });
+
+    const response = await queryData({
+      org: "test-org",
+      query: 'import "strings"\nimport "contrib/example/notifier"\nfrom(bucket: "metrics")',
+    });
+
+    expect(response.content[0].text).toContain(
+      "Read-only mode: the query imports contrib/example/notifier, outside the packages known to only read",
+    );
+    expect(mockInfluxRequest).toHaveBeenCalledTimes(1);
+  });
+
+  test("should ignore columns, keys and unimported packages named like writers", () => {
+    const ast = file([], [
+      pipe(FROM, call("map", {
+        fn: {
+          type: "FunctionExpression",
+          params: [{ type: "Property", key: identifier("r") }],
+          body: {
+            type: "ObjectExpression",
+            properties: [{ type: "Property", key: identifier("to"), value: member("r", "to") }],
+          },
+        },
+      })),
+      call(member("http", "post")),
+    ]);
+
+    expect(findWriteCalls(ast)).toEqual([]);
+  });
+
+  test("should block Flux queries that write before running them", async () => {
+    mockInfluxRequest.mockResolvedValueOnce({
+      status: 200,
+      ok: true,
+      json: async () => ({ ast: file([], [pipe(FROM, call("to"))]) }),
+    });
+
+    const response = await queryData({
+      org: "test-org",
+      query: 'from(bucket: "metrics") |> to(bucket: "copy")',
+    });
+
+    expect(response.isError).toBe(true);
+    expect(response.content[0].text).toContain(
+      "Read-only mode: the query calls to, which can write data",
+    );
+    expect(mockInfluxRequest).toHaveBeenCalledTimes(1);
+    expect(mockInfluxRequest.mock.calls[0][0]).toBe("/api/v2/query/ast");
+  });
+
+  test("should only allow reading InfluxQL statements", () => {
+    expect(() => assertReadOnlyInfluxQL(
+      "SELECT mean(usage) FROM cpu WHERE host = 'into'; SHOW MEASUREMENTS",
+    )).not.toThrow();
+    expect(() => assertReadOnlyInfluxQL(
+      "SELECT * INTO cpu_copy FROM cpu",
+    )).toThrow("got SELECT ... INTO");
+    expect(() => assertReadOnlyInfluxQL(
+      "SHOW DATABASES; DROP MEASUREMENT cpu",
+    )).toThrow("got DROP");
+
+    setReadOnly(false);
+    expect(() => assertReadOnlyInfluxQL("DROP MEASUREMENT cpu")).not.toThrow();
+  });
+});
@@ -0,0 +1,49 @@
+import { flattenRows } from "../src/utils/annotatedCsv.js";
+import { renderPage, sliceTables } from "../src/utils/resultPager.js";
+
+describe("Result Pager", () => {
+  const tables = [
+    { result: "_result", table: 0, groupKey: {}, columns: [], rows: [{ v: 1 }, { v: 2 }] },
+    { result: "_result", table: 1, groupKey: {}, columns: [], rows: [{ v: 3 }] },
+  ];
+
+  test("should slice rows across table boundaries", () => {
+    const page = sliceTables(tables, 1, 2);
+
+    expect(page.map((table) => table.table)).toEqual([0, 1]);
+    expect(page.map((table) => table.rows)).toEqual([[{ v: 2 }], [{ v: 3 }]]);
+  });
+
+  test("should shrink pages to fit the byte cap", () => {
+    const page = renderPage(tables, {
+      maxRows: 100,
+      maxBytes: 20,
+      render: (pageTables) => JSON.stringify(flattenRows(pageTables)),
+    });
+
+    expect(page.text.length).toBeLessThanOrEqual(20);
+    expect(page.rows).toBe(2);
+    expect(page.nextOffset).toBe(2);
+  });
+
+  test("should count the byte cap in UTF-8 bytes", () => {
+    const wide = [
+      { result: "_result", table: 0, groupKey: {}, columns: [], rows: [{ v: "µµµµ" }, { v: "µµµµ" }] },
+    ];
+    const render = (pageTables) => JSON.stringify(flattenRows(pageTables));
+
+    // Both rows render to 27 characters but 35 bytes
+    const page = renderPage(wide, { maxRows: 100, maxBytes: 30, render });
+
+    expect(page.rows).toBe(1);
+    expect(Buffer.byteLength(page.text)).toBeLessThanOrEqual(30);
+  });
+
+  test("should reject offsets past the end of the result", () => {
+    const render = (pageTables) => JSON.stringify(flattenRows(pageTables));
+
+    expect(() => renderPage(tables, { offset: 3, maxRows: 100, maxBytes: 1000, render }))
+      .toThrow("Cursor offset 3 is past the end of the result (3 rows)");
+    expect(renderPage([], { maxRows: 100, maxBytes: 1000, render }).rows).toBe(0);
+  });
+});
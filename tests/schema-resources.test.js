@@ -0,0 +1,260 @@
+import { jest } from "@jest/globals";
+
+// Test timeout
+jest.setTimeout(10000);
+
+describe("Measurement Schema Resources", () => {
+  let measurementTagKeys;
+  let measurementTagValues;
+  let measurementFieldKeys;
+  let mockInfluxRequest;
+  let resolveOrg;
+
+  beforeAll(async () => {
+    // Mock the influxClient module before importing the handler
+    jest.unstable_mockModule("../src/utils/influxClient.js", () => ({
+      influxRequest: jest.fn(),
+    }));
+
+    // Mock the env module
+    jest.unstable_mockModule("../src/config/env.js", () => ({
+      INFLUXDB_URL: "http://localhost:8086",
+      INFLUXDB_TOKEN: "test-token",
+      DEFAULT_ORG: "test-org",
+      INFLUXDB_BACKEND: "v2",
+      validateEnvironment: () => {},
+    }));
+
+    // Resolve orgs without a lookup request
+    jest.unstable_mockModule("../src/utils/orgs.js", () => ({
+      resolveOrg: jest.fn(async (org) => ({
+        id: "0123456789abcdef",
+        name: org || "test-org",
+      })),
+      resolveOrgID: jest.fn(async () => "0123456789abcdef"),
+    }));
+
+    // Load the mocked client before the handlers so that modules importing
+    // it in parallel share one mock instance
+    const influxClient = await import("../src/utils/influxClient.js");
+    mockInfluxRequest = influxClient.influxRequest;
+
+    const orgs = await import("../src/utils/orgs.js");
+    resolveOrg = orgs.resolveOrg;
+
+    const measurementsHandler = await import(
+      "../src/handlers/measurementsHandler.js"
+    );
+    measurementTagKeys = measurementsHandler.measurementTagKeys;
+    measurementTagValues = measurementsHandler.measurementTagValues;
+    measurementFieldKeys = measurementsHandler.measurementFieldKeys;
+  });
+
+  beforeEach(() => {
+    mockInfluxRequest.mockReset();
+  });
+
+  const csvResponse = (text) => ({
+    status: 200,
+    ok: true,
+    text: async () => text,
+  });
+
+  test("should list tag keys without internal columns", async () => {
+    mockInfluxRequest.mockResolvedValueOnce(csvResponse(
+      "#datatype,string,long,string\r\n" +
+        "#group,false,false,false\r\n" +
+        "#default,_result,,\r\n" +
+        ",result,table,_value\r\n" +
+        ",,0,_field\r\n" +
+        ",,0,_measurement\r\n" +
+        ",,0,_start\r\n" +
+        ",,0,_stop\r\n" +
+        ",,0,host\r\n" +
+        ",,0,region\r\n",
+    ));
+
+    const uri = new URL(
+      "influxdb://bucket/test-bucket/measurement/cpu/tags",
+    );
+    const response = await measurementTagKeys(uri, {
+      bucketName: "test-bucket",
+      measurement: "cpu",
+    });
+    const result = JSON.parse(response.contents[0].text);
+
+    expect(result).toEqual({
+      bucket: "test-bucket",
+      measurement: "cpu",
+      tagKeys: ["host", "region"],
+    });
+
+    const body = JSON.parse(mockInfluxRequest.mock.calls[0][1].body);
+    expect(body.query).toContain(
+      "schema.measurementTagKeys(bucket: params.bucket, measurement: params.measurement)",
+    );
+    expect(body.params).toEqual({ bucket: "test-bucket", measurement: "cpu" });
+  });
+
+  test("should decode URI parameters and pass them as Flux params", async () => {
+    mockInfluxRequest.mockResolvedValueOnce(csvResponse(
+      ",result,table,_value\r\n" +
+        ",,0,server-01\r\n" +
+        ",,0,server-02\r\n",
+    ));
+
+    const uri = new URL(
+      'influxdb://bucket/test-bucket/measurement/disk%20io/tags/host%22%29/values',
+    );
+    const response = await measurementTagValues(uri, {
+      bucketName: "test-bucket",
+      measurement: "disk%20io",
+      tagKey: "host%22%29",
+    });
+    const result = JSON.parse(response.contents[0].text);
+
+    expect(result).toEqual({
+      bucket: "test-bucket",
+      measurement: "disk io",
+      tagKey: 'host")',
+      values: ["server-01", "server-02"],
+    });
+
+    const body = JSON.parse(mockInfluxRequest.mock.calls[0][1].body);
+    expect(body.query).not.toContain("disk io");
+    expect(body.params).toEqual({
+      bucket: "test-bucket",
+      measurement: "disk io",
+      tag: 'host")',
+    });
+  });
+
+  test("should report field types from #datatype annotations", async () => {
+    // Each _value datatype gets its own annotation block
+    mockInfluxRequest.mockResolvedValueOnce(csvResponse(
+      "#group,false,false,true,false\r\n" +
+        "#datatype,string,long,string,double\r\n" +
+        "#default,_result,,,\r\n" +
+        ",result,table,_field,_value\r\n" +
+        ",,0,usage_user,12.5\r\n" +
+        ",,1,usage_user,3.25\r\n" +
+        "\r\n" +
+        "#group,false,false,true,false\r\n" +
+        "#datatype,string,long,string,long\r\n" +
+        "#default,_result,,,\r\n" +
+        ",result,table,_field,_value\r\n" +
+        ",,2,cores,8\r\n" +
+        "\r\n" +
+        "#group,false,false,true,false\r\n" +
+        "#datatype,string,long,string,string\r\n" +
+        "#default,_result,,,\r\n" +
+        ",result,table,_field,_value\r\n" +
+        ",,3,state,idle\r\n" +
+        "\r\n" +
+        "#group,false,false,true,false\r\n" +
+        "#datatype,string,long,string,boolean\r\n" +
+        "#default,_result,,,\r\n" +
+        ",result,table,_field,_value\r\n" +
+        ",,4,online,true\r\n" +
+        "\r\n" +
+        "#group,false,false,true,false\r\n" +
+        "#datatype,string,long,string,unsignedLong\r\n" +
+        "#default,_result,,,\r\n" +
+        ",result,table,_field,_value\r\n" +
+        ",,5,ticks,42\r\n",
+    ));
+
+    const uri = new URL("influxdb://bucket/test-bucket/measurement/cpu/fields");
+    const response = await measurementFieldKeys(uri, {
+      bucketName: "test-bucket",
+      measurement: "cpu",
+    });
+    const result = JSON.parse(response.contents[0].text);
+
+    expect(result).toEqual({
+      bucket: "test-bucket",
+      measurement: "cpu",
+      fields: [
+        { name: "usage_user", type: "float" },
+        { name: "cores", type: "integer" },
+        { name: "state", type: "string" },
+        { name: "online", type: "boolean" },
+        { name: "ticks", type: "uinteger" },
+      ],
+    });
+  });
+
+  test("should flag fields written with conflicting types", async () => {
+    // One table per series, the field written as a float by one host and as
+    // an integer by the other
+    mockInfluxRequest.mockResolvedValueOnce(csvResponse(
+      "#group,false,false,true,true,true,false\r\n" +
+        "#datatype,string,long,string,string,string,double\r\n" +
+        ",result,table,_measurement,host,_field,_value\r\n" +
+        ",,0,mixed,a,value,1.5\r\n" +
+        "\r\n" +
+        "#group,false,false,true,true,true,false\r\n" +
+        "#datatype,string,long,string,string,string,long\r\n" +
+        ",result,table,_measurement,host,_field,_value\r\n" +
+        ",,1,mixed,b,value,2\r\n",
+    ));
+
+    const uri = new URL("influxdb://bucket/test-bucket/measurement/mixed/fields");
+    const response = await measurementFieldKeys(uri, {
+      bucketName: "test-bucket",
+      measurement: "mixed",
+    });
+    const result = JSON.parse(response.contents[0].text);
+
+    expect(result.fields).toEqual([
+      { name: "value", type: "float", conflictingTypes: ["float", "integer"] },
+    ]);
+    // Keeping only _field and _value would merge the series into one table
+    const { query } = JSON.parse(mockInfluxRequest.mock.calls[0][1].body);
+    expect(query).not.toContain("keep(");
+    expect(query).toContain('drop(columns: ["_start", "_stop", "_time"])');
+  });
+
+  test("should query org-scoped URIs by org ID", async () => {
+    mockInfluxRequest.mockResolvedValueOnce(csvResponse(
+      ",result,table,_value\r\n" +
+        ",,0,host\r\n",
+    ));
+
+    const uri = new URL(
+      "influxdb://org/other%20org/bucket/metrics/measurement/cpu/tags",
+    );
+    const response = await measurementTagKeys(uri, {
+      orgName: "other%20org",
+      bucketName: "metrics",
+      measurement: "cpu",
+    });
+
+    expect(resolveOrg).toHaveBeenCalledWith("other org");
+    expect(mockInfluxRequest.mock.calls[0][0]).toBe(
+      "/api/v2/query?orgID=0123456789abcdef",
+    );
+    expect(JSON.parse(response.contents[0].text)).toEqual({
+      org: "other org",
+      bucket: "metrics",
+      measurement: "cpu",
+      tagKeys: ["host"],
+    });
+  });
+
+  test("should report query errors as resource errors", async () => {
+    mockInfluxRequest.mockRejectedValueOnce(
+      new Error("InfluxDB API Error (404): bucket not found"),
+    );
+
+    const uri = new URL("influxdb://bucket/missing/measurement/cpu/tags");
+    const response = await measurementTagKeys(uri, {
+      bucketName: "missing",
+      measurement: "cpu",
+    });
+    const result = JSON.parse(response.contents[0].text);
+
+    expect(response.error).toBe(true);
+    expect(result.error).toContain("bucket not found");
+  });
+});
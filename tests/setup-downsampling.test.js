@@ -0,0 +1,227 @@
+import { jest } from "@jest/globals";
+
+// Test timeout
+jest.setTimeout(10000);
+
+describe("Setup Downsampling Tool", () => {
+  let setupDownsampling;
+  let buildDownsampleFlux;
+  let backfillChunks;
+  let withTaskOptions;
+  let mockInfluxRequest;
+
+  beforeAll(async () => {
+    // Mock the influxClient module before importing the handler
+    jest.unstable_mockModule("../src/utils/influxClient.js", () => ({
+      influxRequest: jest.fn(),
+    }));
+
+    // Mock the env module
+    jest.unstable_mockModule("../src/config/env.js", () => ({
+      INFLUXDB_URL: "http://localhost:8086",
+      INFLUXDB_TOKEN: "test-token",
+      DEFAULT_ORG: "test-org",
+      INFLUXDB_BACKEND: "v2",
+      MAX_QUERY_ROWS: 1000,
+      MAX_QUERY_BYTES: 100000,
+      validateEnvironment: () => {},
+    }));
+
+    // Resolve orgs without a lookup request
+    jest.unstable_mockModule("../src/utils/orgs.js", () => ({
+      resolveOrg: jest.fn(async (org) => ({
+        id: "0123456789abcdef",
+        name: org || "test-org",
+      })),
+      resolveOrgID: jest.fn(async () => "0123456789abcdef"),
+    }));
+
+    // Load the mocked client before the handlers so that modules importing
+    // it in parallel share one mock instance
+    const influxClient = await import("../src/utils/influxClient.js");
+    mockInfluxRequest = influxClient.influxRequest;
+
+    const downsampling = await import("../src/utils/downsampling.js");
+    buildDownsampleFlux = downsampling.buildDownsampleFlux;
+    backfillChunks = downsampling.backfillChunks;
+    withTaskOptions = (await import("../src/utils/tasks.js")).withTaskOptions;
+
+    const handler = await import("../src/handlers/setupDownsamplingTool.js");
+    setupDownsampling = handler.setupDownsampling;
+  });
+
+  beforeEach(() => {
+    mockInfluxRequest.mockReset();
+  });
+
+  const jsonResponse = (body) => ({
+    status: 200,
+    ok: true,
+    json: async () => body,
+  });
+
+  const EMPTY_CSV = {
+    status: 200,
+    ok: true,
+    text: async () => "",
+  };
+
+  const SETUP = {
+    sourceBucket: "raw",
+    measurements: ["cpu"],
+    window: "5m",
+    destinationBucket: "raw_5m",
+    retentionPeriodSeconds: 31536000,
+  };
+
+  test("should write one field per aggregate and skip non-numeric values where needed", () => {
+    expect(buildDownsampleFlux({
+      sourceBucket: "raw",
+      destinationBucket: "raw_1h",
+      measurements: ["cpu", "mem"],
+      fields: ["usage"],
+      window: "1h",
+      aggregates: ["mean", "max"],
+      range: "start: -task.every",
+    })).toBe([
+      'import "types"',
+      "",
+      'data = from(bucket: "raw")',
+      "  |> range(start: -task.every)",
+      '  |> filter(fn: (r) => (r["_measurement"] == "cpu" or r["_measurement"] == "mem"))',
+      '  |> filter(fn: (r) => r["_field"] == "usage")',
+      "",
+      "data",
+      "  |> filter(fn: (r) => types.isNumeric(v: r._value))",
+      "  |> aggregateWindow(every: 1h, fn: mean, createEmpty: false)",
+      '  |> map(fn: (r) => ({r with _field: r._field + "_mean"}))',
+      '  |> to(bucket: "raw_1h")',
+      '  |> yield(name: "mean")',
+      "",
+      "data",
+      "  |> aggregateWindow(every: 1h, fn: max, createEmpty: false)",
+      '  |> map(fn: (r) => ({r with _field: r._field + "_max"}))',
+      '  |> to(bucket: "raw_1h")',
+      '  |> yield(name: "max")',
+    ].join("\n"));
+
+    expect(() => buildDownsampleFlux({ ...SETUP, aggregates: ["mode"], range: "" }))
+      .toThrow("aggregates must be among");
+    expect(() => buildDownsampleFlux({ ...SETUP, aggregates: ["max"], window: "5 min", range: "" }))
+      .toThrow("window must be a Flux duration");
+  });
+
+  test("should split the backfill into window-aligned chunks", () => {
+    const now = Date.parse("2024-01-03T12:07:00Z");
+
+    expect(backfillChunks({ start: "-2d", window: "1h" }, now)).toEqual([
+      { start: "2024-01-01T12:00:00.000Z", stop: "2024-01-02T12:00:00.000Z" },
+      { start: "2024-01-02T12:00:00.000Z", stop: "2024-01-03T12:00:00.000Z" },
+    ]);
+    expect(backfillChunks({
+      start: "2024-01-01T00:10:00Z",
+      stop: "2024-01-01T02:00:00Z",
+      window: "5m",
+      chunk: "1h",
+    }, now)).toEqual([
+      { start: "2024-01-01T00:10:00.000Z", stop: "2024-01-01T01:10:00.000Z" },
+      { start: "2024-01-01T01:10:00.000Z", stop: "2024-01-01T02:00:00.000Z" },
+    ]);
+
+    expect(() => backfillChunks({ start: "-1d", window: "1h", chunk: "90m" }, now))
+      .toThrow("backfillChunk must be a multiple of the window");
+    expect(() => backfillChunks({ start: "-1y", window: "1mo" }, now))
+      .toThrow("window must not use mo or y here");
+    expect(() => backfillChunks({ start: "-365d", window: "1m", chunk: "1m" }, now))
+      .toThrow("backfilling would take 525600 queries");
+  });
+
+  test("should create the bucket and task, then backfill chunk by chunk", async () => {
+    mockInfluxRequest
+      .mockResolvedValueOnce(jsonResponse({ buckets: [] }))
+      .mockResolvedValueOnce(jsonResponse({ tasks: [] }))
+      .mockResolvedValueOnce(jsonResponse({ id: "bucket5m", name: "raw_5m" }))
+      .mockImplementationOnce(async (endpoint, options) =>
+        jsonResponse({ id: "0000000000000a01", name: "cpu", every: "5m", ...JSON.parse(options.body) })
+      )
+      .mockResolvedValue(EMPTY_CSV);
+    const confirm = jest.fn(async () => {});
+
+    const response = await setupDownsampling({
+      ...SETUP,
+      taskName: "cpu",
+      backfillStart: "2024-01-01T00:00:00Z",
+      backfillStop: "2024-01-03T00:00:00Z",
+    }, { confirm });
+
+    expect(response.isError).toBeUndefined();
+    expect(confirm.mock.calls[0][0]).toContain(
+      "- create bucket 'raw_5m' with 365 days retention\n- create task 'cpu' running every 5m\n- backfill 2024-01-01T00:00:00.000Z to 2024-01-03T00:00:00.000Z in 2 queries",
+    );
+
+    const calls = mockInfluxRequest.mock.calls;
+    expect(calls[1][0]).toBe("/api/v2/tasks?orgID=0123456789abcdef&name=cpu&limit=100");
+    expect(JSON.parse(calls[2][1].body)).toEqual({
+      name: "raw_5m",
+      orgID: "0123456789abcdef",
+      retentionRules: [{ type: "expire", everySeconds: 31536000 }],
+    });
+    const { flux } = JSON.parse(calls[3][1].body);
+    expect(flux).toMatch(/^option task = \{name: "cpu", every: 5m\}\n\nimport "types"/);
+    expect(flux).toContain("range(start: -task.every)");
+
+    expect(calls).toHaveLength(6);
+    expect(calls[4][0]).toBe("/api/v2/query?orgID=0123456789abcdef");
+    expect(calls[4][2]).toBe(60000);
+    expect(JSON.parse(calls[5][1].body).query).toContain(
+      "range(start: 2024-01-02T00:00:00.000Z, stop: 2024-01-03T00:00:00.000Z)",
+    );
+    expect(response.content[0].text).toContain(
+      "Backfilled 2024-01-01T00:00:00.000Z to 2024-01-03T00:00:00.000Z in 2 queries",
+    );
+  });
+
+  test("should reuse what exists and say where a failed backfill stopped", async () => {
+    const flux = withTaskOptions(
+      buildDownsampleFlux({ ...SETUP, aggregates: ["mean"], range: "start: -task.every" }),
+      { name: "cpu", every: "5m" },
+    );
+    mockInfluxRequest
+      .mockResolvedValueOnce(jsonResponse({ buckets: [{ id: "bucket5m", name: "raw_5m" }] }))
+      .mockResolvedValueOnce(jsonResponse({
+        tasks: [{ id: "0000000000000a01", name: "cpu", every: "5m", flux }],
+      }))
+      .mockResolvedValueOnce(EMPTY_CSV)
+      .mockRejectedValueOnce(new Error("InfluxDB API Error (500): timeout"));
+
+    const response = await setupDownsampling({
+      ...SETUP,
+      taskName: "cpu",
+      backfillStart: "2024-01-01T00:00:00Z",
+      backfillStop: "2024-01-03T00:00:00Z",
+    });
+
+    expect(response.isError).toBe(true);
+    expect(response.content[0].text).toBe([
+      "Using existing bucket 'raw_5m' (bucket5m)",
+      "Using existing task 'cpu' (0000000000000a01) running every 5m",
+      "Error setting up downsampling: backfilling 2024-01-02T00:00:00.000Z to 2024-01-03T00:00:00.000Z failed after 1 of 2 queries: InfluxDB API Error (500): timeout. Call the tool again with backfillStart 2024-01-02T00:00:00.000Z to resume.",
+    ].join("\n"));
+    expect(mockInfluxRequest).toHaveBeenCalledTimes(4);
+  });
+
+  test("should refuse a same-named task with another script", async () => {
+    mockInfluxRequest
+      .mockResolvedValueOnce(jsonResponse({ buckets: [] }))
+      .mockResolvedValueOnce(jsonResponse({
+        tasks: [{ id: "0000000000000a01", name: "cpu", flux: "other" }],
+      }));
+
+    const response = await setupDownsampling({ ...SETUP, taskName: "cpu" });
+
+    expect(response.content[0].text).toBe(
+      "Error setting up downsampling: A task named 'cpu' already exists in org 'test-org' with a different script; pass another taskName or change it with update-task",
+    );
+    expect(mockInfluxRequest).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,203 @@
+import { jest } from "@jest/globals";
+
+// Test timeout
+jest.setTimeout(10000);
+
+describe("InfluxDB 3 SQL Backend", () => {
+  let queryData;
+  let measurementTagKeys;
+  let measurementTagValues;
+  let measurementFieldKeys;
+  let listBuckets;
+  let writeData;
+  let mockInfluxRequest;
+  let mockFetch;
+
+  beforeAll(async () => {
+    // Mock the influxClient module before importing the handlers
+    jest.unstable_mockModule("../src/utils/influxClient.js", () => ({
+      influxRequest: jest.fn(),
+    }));
+
+    // Mock the env module with the v3 backend selected
+    jest.unstable_mockModule("../src/config/env.js", () => ({
+      INFLUXDB_URL: "http://localhost:8181",
+      INFLUXDB_TOKEN: "test-token",
+      DEFAULT_ORG: undefined,
+      INFLUXDB_BACKEND: "v3",
+      MAX_QUERY_ROWS: 1000,
+      MAX_QUERY_BYTES: 100000,
+      validateEnvironment: () => {},
+    }));
+
+    // write-data posts line protocol with node-fetch directly
+    jest.unstable_mockModule("node-fetch", () => ({ default: jest.fn() }));
+    mockFetch = (await import("node-fetch")).default;
+
+    // Load the mocked client before the handlers so that modules importing
+    // it in parallel share one mock instance
+    const influxClient = await import("../src/utils/influxClient.js");
+    mockInfluxRequest = influxClient.influxRequest;
+
+    const queryDataHandler = await import("../src/handlers/queryDataTool.js");
+    queryData = queryDataHandler.queryData;
+
+    const measurementsHandler = await import(
+      "../src/handlers/measurementsHandler.js"
+    );
+    measurementTagKeys = measurementsHandler.measurementTagKeys;
+    measurementTagValues = measurementsHandler.measurementTagValues;
+    measurementFieldKeys = measurementsHandler.measurementFieldKeys;
+
+    listBuckets = (await import("../src/handlers/bucketsHandler.js")).listBuckets;
+    writeData = (await import("../src/handlers/writeDataTool.js")).writeData;
+  });
+
+  beforeEach(() => {
+    mockInfluxRequest.mockReset();
+  });
+
+  const jsonResponse = (body) => ({
+    status: 200,
+    ok: true,
+    json: async () => body,
+  });
+
+  const CPU_COLUMNS = [
+    { column_name: "host", data_type: "Dictionary(Int32, Utf8)" },
+    { column_name: "region", data_type: "Dictionary(Int32, Utf8)" },
+    { column_name: "time", data_type: "Timestamp(Nanosecond, None)" },
+    { column_name: "usage", data_type: "Float64" },
+    { column_name: "cores", data_type: "Int64" },
+    { column_name: "online", data_type: "Boolean" },
+  ];
+
+  test("should run SQL through /api/v3/query_sql", async () => {
+    mockInfluxRequest.mockResolvedValueOnce(jsonResponse([
+      { host: "a", time: "2024-01-01T00:00:00", usage: 1.5 },
+      { host: "b", time: "2024-01-01T00:00:00" },
+    ]));
+
+    const response = await queryData({
+      database: "metrics",
+      query: "SELECT host, time, usage FROM cpu WHERE host = $host",
+      params: { host: "a" },
+      format: "json",
+    });
+
+    const [endpoint, options] = mockInfluxRequest.mock.calls[0];
+    expect(endpoint).toBe("/api/v3/query_sql");
+    expect(JSON.parse(options.body)).toEqual({
+      db: "metrics",
+      q: "SELECT host, time, usage FROM cpu WHERE host = $host",
+      format: "json",
+      params: { host: "a" },
+    });
+
+    const result = JSON.parse(response.content[0].text);
+    expect(result.tables[0].columns).toEqual([
+      { name: "host", datatype: "string" },
+      { name: "time", datatype: "dateTime:RFC3339" },
+      { name: "usage", datatype: "double" },
+    ]);
+    expect(result.tables[0].records[1]).toEqual({
+      host: "b",
+      time: "2024-01-01T00:00:00",
+      usage: null,
+    });
+  });
+
+  test("should list databases as buckets", async () => {
+    mockInfluxRequest.mockResolvedValue(jsonResponse([
+      { "iox::database": "_internal" },
+      { "iox::database": "metrics" },
+      { "iox::database": "logs" },
+    ]));
+
+    let response = await listBuckets(new URL("influxdb://buckets?system=false"));
+    expect(mockInfluxRequest.mock.calls[0][0]).toBe("/api/v3/configure/database?format=json");
+    expect(JSON.parse(response.contents[0].text).buckets).toEqual([
+      { name: "metrics" },
+      { name: "logs" },
+    ]);
+
+    response = await listBuckets(new URL("influxdb://buckets?org=test-org"));
+    expect(JSON.parse(response.contents[0].text).error).toBe(
+      "Error retrieving buckets: InfluxDB 3 has no orgs; leave out the org filter",
+    );
+  });
+
+  test("should write to a database without looking up orgs", async () => {
+    mockFetch.mockResolvedValueOnce({ status: 204, ok: true });
+
+    const response = await writeData({
+      bucket: "metrics",
+      data: "cpu,host=a usage=1.5",
+      precision: "s",
+    });
+
+    expect(response.isError).toBeUndefined();
+    expect(mockInfluxRequest).not.toHaveBeenCalled();
+    const [url, options] = mockFetch.mock.calls[0];
+    expect(url).toBe("http://localhost:8181/api/v2/write?bucket=metrics&precision=s");
+    expect(options.body).toBe("cpu,host=a usage=1.5");
+  });
+
+  test("should require a database for SQL queries", async () => {
+    const response = await queryData({ org: "ignored", query: "SELECT 1" });
+
+    expect(response.isError).toBe(true);
+    expect(response.content[0].text).toContain("database is required");
+  });
+
+  test("should discover tags and fields from information_schema", async () => {
+    mockInfluxRequest
+      .mockResolvedValueOnce(jsonResponse(CPU_COLUMNS))
+      .mockResolvedValueOnce(jsonResponse(CPU_COLUMNS));
+
+    const tagsUri = new URL("influxdb://bucket/metrics/measurement/cpu/tags");
+    const tags = JSON.parse(
+      (await measurementTagKeys(tagsUri, {
+        bucketName: "metrics",
+        measurement: "cpu",
+      })).contents[0].text,
+    );
+    expect(tags.tagKeys).toEqual(["host", "region"]);
+
+    const body = JSON.parse(mockInfluxRequest.mock.calls[0][1].body);
+    expect(body.q).toContain("information_schema.columns");
+    expect(body.params).toEqual({ measurement: "cpu" });
+
+    const fieldsUri = new URL("influxdb://bucket/metrics/measurement/cpu/fields");
+    const fields = JSON.parse(
+      (await measurementFieldKeys(fieldsUri, {
+        bucketName: "metrics",
+        measurement: "cpu",
+      })).contents[0].text,
+    );
+    expect(fields.fields).toEqual([
+      { name: "usage", type: "float" },
+      { name: "cores", type: "integer" },
+      { name: "online", type: "boolean" },
+    ]);
+  });
+
+  test("should quote identifiers when listing tag values", async () => {
+    mockInfluxRequest.mockResolvedValueOnce(
+      jsonResponse([{ value: "a" }, { value: "b" }]),
+    );
+
+    const uri = new URL(
+      "influxdb://bucket/metrics/measurement/cpu/tags/host/values",
+    );
+    const response = await measurementTagValues(uri, {
+      bucketName: "metrics",
+      measurement: 'cp"u',
+      tagKey: "host",
+    });
+
+    expect(JSON.parse(response.contents[0].text).values).toEqual(["a", "b"]);
+    const body = JSON.parse(mockInfluxRequest.mock.calls[0][1].body);
+    expect(body.q).toContain('SELECT DISTINCT "host" AS value FROM "cp""u"');
+  });
+});
@@ -0,0 +1,189 @@
+import { jest } from "@jest/globals";
+
+// Test timeout
+jest.setTimeout(10000);
+
+describe("Task Tools and Resources", () => {
+  let withTaskOptions;
+  let createTask;
+  let runTask;
+  let deleteTask;
+  let taskRuns;
+  let taskRunLogs;
+  let mockInfluxRequest;
+
+  beforeAll(async () => {
+    // Mock the influxClient module before importing the handlers
+    jest.unstable_mockModule("../src/utils/influxClient.js", () => ({
+      influxRequest: jest.fn(),
+    }));
+
+    // Mock the env module
+    jest.unstable_mockModule("../src/config/env.js", () => ({
+      INFLUXDB_URL: "http://localhost:8086",
+      INFLUXDB_TOKEN: "test-token",
+      DEFAULT_ORG: "test-org",
+      validateEnvironment: () => {},
+    }));
+
+    // Resolve orgs without a lookup request
+    jest.unstable_mockModule("../src/utils/orgs.js", () => ({
+      resolveOrg: jest.fn(async (org) => ({
+        id: "0123456789abcdef",
+        name: org || "test-org",
+      })),
+      resolveOrgID: jest.fn(async () => "0123456789abcdef"),
+    }));
+
+    // Load the mocked client before the handlers so that modules importing
+    // it in parallel share one mock instance
+    const influxClient = await import("../src/utils/influxClient.js");
+    mockInfluxRequest = influxClient.influxRequest;
+
+    const tasks = await import("../src/utils/tasks.js");
+    withTaskOptions = tasks.withTaskOptions;
+
+    const tasksTool = await import("../src/handlers/tasksTool.js");
+    createTask = tasksTool.createTask;
+    runTask = tasksTool.runTask;
+    deleteTask = tasksTool.deleteTask;
+
+    const tasksHandler = await import("../src/handlers/tasksHandler.js");
+    taskRuns = tasksHandler.taskRuns;
+    taskRunLogs = tasksHandler.taskRunLogs;
+  });
+
+  beforeEach(() => {
+    mockInfluxRequest.mockReset();
+  });
+
+  const jsonResponse = (body) => ({
+    status: 200,
+    ok: true,
+    json: async () => body,
+  });
+
+  const TASK = {
+    id: "0000000000000a01",
+    name: "downsample",
+    org: "test-org",
+    orgID: "0123456789abcdef",
+    status: "active",
+    every: "1h",
+    flux: 'option task = {name: "downsample", every: 1h}\n\nfrom(bucket: "raw")',
+  };
+
+  test("should add task options unless the script declares them", () => {
+    expect(withTaskOptions('from(bucket: "raw")', {
+      name: 'down"sample',
+      every: "1h",
+      offset: "5m",
+    })).toBe(
+      'option task = {name: "down\\"sample", every: 1h, offset: 5m}\n\nfrom(bucket: "raw")',
+    );
+    expect(withTaskOptions("x", { name: "n", cron: "0 * * * *" }))
+      .toBe('option task = {name: "n", cron: "0 * * * *"}\n\nx');
+    expect(withTaskOptions(TASK.flux, {})).toBe(TASK.flux);
+
+    expect(() => withTaskOptions("x", { name: "n" }))
+      .toThrow("exactly one of every and cron is required");
+    expect(() => withTaskOptions(TASK.flux, { every: "2h" }))
+      .toThrow("already declares option task");
+    expect(() => withTaskOptions("x", { name: "n", every: "1 hour" }))
+      .toThrow("every must be a Flux duration");
+  });
+
+  test("should create a task in the resolved org", async () => {
+    mockInfluxRequest.mockResolvedValueOnce(jsonResponse(TASK));
+
+    const response = await createTask({
+      flux: 'from(bucket: "raw")',
+      name: "downsample",
+      every: "1h",
+    });
+
+    expect(response.isError).toBeUndefined();
+    const [endpoint, options] = mockInfluxRequest.mock.calls[0];
+    expect(endpoint).toBe("/api/v2/tasks");
+    expect(JSON.parse(options.body)).toEqual({
+      orgID: "0123456789abcdef",
+      flux: 'option task = {name: "downsample", every: 1h}\n\nfrom(bucket: "raw")',
+      status: "active",
+    });
+    expect(JSON.parse(response.content[0].text).id).toBe(TASK.id);
+  });
+
+  test("should find tasks by name and refuse ambiguous names", async () => {
+    mockInfluxRequest
+      .mockResolvedValueOnce(jsonResponse({ tasks: [TASK] }))
+      .mockResolvedValueOnce(jsonResponse({ id: "run1", status: "scheduled" }));
+
+    let response = await runTask({ task: "downsample" });
+    expect(mockInfluxRequest.mock.calls[0][0]).toBe(
+      "/api/v2/tasks?orgID=0123456789abcdef&name=downsample&limit=100",
+    );
+    expect(mockInfluxRequest.mock.calls[1][0]).toBe(`/api/v2/tasks/${TASK.id}/runs`);
+    expect(response.content[0].text).toBe(
+      `Run run1 of task 'downsample' queued with status scheduled. Read influxdb://task/${TASK.id}/runs/run1/logs for its logs.`,
+    );
+
+    mockInfluxRequest.mockReset();
+    mockInfluxRequest.mockResolvedValueOnce(jsonResponse({
+      tasks: [TASK, { ...TASK, id: "00000000000000b2" }],
+    }));
+    response = await deleteTask({ task: "downsample" });
+    expect(response.content[0].text).toBe(
+      `Error deleting task: Several tasks in org 'test-org' are named 'downsample' (${TASK.id}, 00000000000000b2); pass the task ID instead`,
+    );
+    expect(mockInfluxRequest).toHaveBeenCalledTimes(1);
+  });
+
+  test("should list runs with the error of failed ones", async () => {
+    mockInfluxRequest
+      .mockResolvedValueOnce(jsonResponse(TASK))
+      .mockResolvedValueOnce(jsonResponse({
+        runs: [
+          {
+            id: "run2",
+            status: "failed",
+            scheduledFor: "2024-01-01T01:00:00Z",
+            log: [
+              { message: "Started task from script" },
+              { message: "could not find bucket \"raw\"" },
+            ],
+          },
+          { id: "run1", status: "success", scheduledFor: "2024-01-01T00:00:00Z" },
+        ],
+      }));
+
+    const uri = new URL(`influxdb://task/${TASK.id}/runs`);
+    const response = await taskRuns(uri, { taskID: TASK.id });
+
+    expect(mockInfluxRequest.mock.calls[1][0]).toBe(
+      `/api/v2/tasks/${TASK.id}/runs?limit=50`,
+    );
+    const { runs } = JSON.parse(response.contents[0].text);
+    expect(runs[0]).toMatchObject({ id: "run2", error: "could not find bucket \"raw\"" });
+    expect(runs[1]).not.toHaveProperty("error");
+  });
+
+  test("should return the log events of a run", async () => {
+    mockInfluxRequest
+      .mockResolvedValueOnce(jsonResponse(TASK))
+      .mockResolvedValueOnce(jsonResponse({
+        events: [{ runID: "run2", time: "2024-01-01T01:00:01Z", message: "failed" }],
+      }));
+
+    const uri = new URL(`influxdb://task/${TASK.id}/runs/run2/logs`);
+    const response = await taskRunLogs(uri, { taskID: TASK.id, runID: "run2" });
+
+    expect(mockInfluxRequest.mock.calls[1][0]).toBe(
+      `/api/v2/tasks/${TASK.id}/runs/run2/logs`,
+    );
+    expect(JSON.parse(response.contents[0].text)).toEqual({
+      taskID: TASK.id,
+      runID: "run2",
+      events: [{ time: "2024-01-01T01:00:01Z", message: "failed" }],
+    });
+  });
+});
@@ -0,0 +1,301 @@
+import { jest } from "@jest/globals";
+
+// Test timeout
+jest.setTimeout(10000);
+
+describe("Template and Stack Tools", () => {
+  let exportTemplate;
+  let diffTemplate;
+  let applyTemplate;
+  let summarizeDiff;
+  let diffQueries;
+  let setPolicy;
+  let mockInfluxRequest;
+
+  beforeAll(async () => {
+    // Mock the influxClient module before importing the handlers
+    jest.unstable_mockModule("../src/utils/influxClient.js", () => ({
+      influxRequest: jest.fn(),
+    }));
+
+    // Mock the env module
+    jest.unstable_mockModule("../src/config/env.js", () => ({
+      INFLUXDB_URL: "http://localhost:8086",
+      INFLUXDB_TOKEN: "test-token",
+      DEFAULT_ORG: "test-org",
+      validateEnvironment: () => {},
+    }));
+
+    // Resolve orgs without a lookup request
+    jest.unstable_mockModule("../src/utils/orgs.js", () => ({
+      resolveOrg: jest.fn(async (org) => ({
+        id: "0123456789abcdef",
+        name: org && org !== "0123456789abcdef" ? org : "test-org",
+      })),
+      resolveOrgID: jest.fn(async () => "0123456789abcdef"),
+    }));
+
+    // Load the mocked client before the handlers so that modules importing
+    // it in parallel share one mock instance
+    const influxClient = await import("../src/utils/influxClient.js");
+    mockInfluxRequest = influxClient.influxRequest;
+
+    const templates = await import("../src/utils/templates.js");
+    summarizeDiff = templates.summarizeDiff;
+    diffQueries = templates.diffQueries;
+    setPolicy = (await import("../src/utils/policy.js")).setPolicy;
+
+    const tool = await import("../src/handlers/templatesTool.js");
+    exportTemplate = tool.exportTemplate;
+    diffTemplate = tool.diffTemplate;
+    applyTemplate = tool.applyTemplate;
+  });
+
+  beforeEach(() => {
+    mockInfluxRequest.mockReset();
+  });
+
+  afterEach(() => {
+    setPolicy({});
+  });
+
+  const jsonResponse = (body) => ({
+    status: 200,
+    ok: true,
+    json: async () => body,
+  });
+
+  const TEMPLATE = JSON.stringify({
+    apiVersion: "influxdata.com/v2alpha1",
+    kind: "Bucket",
+    metadata: { name: "metrics" },
+    spec: { name: "metrics", retentionRules: [{ type: "expire", everySeconds: 86400 }] },
+  });
+
+  const DIFF = {
+    buckets: [{
+      kind: "Bucket",
+      stateStatus: "new",
+      templateMetaName: "metrics",
+      new: { name: "metrics", retentionRules: [{ type: "expire", everySeconds: 86400 }] },
+    }],
+    tasks: [{
+      kind: "Task",
+      stateStatus: "exists",
+      templateMetaName: "rollup",
+      old: { name: "rollup", every: "1h", query: "from(bucket: \"metrics\")" },
+      new: { name: "rollup", every: "30m", query: "from(bucket: \"metrics\")" },
+    }],
+    dashboards: [{
+      kind: "Dashboard",
+      stateStatus: "remove",
+      templateMetaName: "old",
+      old: { name: "Old" },
+    }],
+    labels: [{
+      kind: "Label",
+      stateStatus: "exists",
+      old: { name: "prod", color: "#fff" },
+      new: { name: "prod", color: "#fff" },
+    }],
+    labelMappings: [{
+      stateStatus: "new",
+      resourceType: "buckets",
+      resourceName: "metrics",
+      labelName: "prod",
+    }],
+  };
+
+  test("should sort a diff into creates, updates and deletes", () => {
+    expect(summarizeDiff(DIFF)).toEqual({
+      create: ["Bucket 'metrics'", "Label 'prod' on buckets 'metrics'"],
+      update: ["Task 'rollup': every"],
+      delete: ["Dashboard 'Old'"],
+      unchanged: ["Label 'prod'"],
+    });
+  });
+
+  test("should export selected resources by name", async () => {
+    mockInfluxRequest
+      .mockResolvedValueOnce(jsonResponse({
+        buckets: [{ id: "00000000000000b1", orgID: "0123456789abcdef", name: "metrics" }],
+      }))
+      .mockResolvedValueOnce(jsonResponse({
+        labels: [{ id: "00000000000000a1", orgID: "0123456789abcdef", name: "prod" }],
+      }))
+      .mockResolvedValueOnce(jsonResponse([JSON.parse(TEMPLATE)]));
+
+    const response = await exportTemplate({ buckets: ["metrics"], labels: ["prod"] });
+
+    expect(response.isError).toBeUndefined();
+    const [endpoint, options] = mockInfluxRequest.mock.calls[2];
+    expect(endpoint).toBe("/api/v2/templates/export");
+    expect(JSON.parse(options.body)).toEqual({
+      resources: [
+        { kind: "Bucket", id: "00000000000000b1" },
+        { kind: "Label", id: "00000000000000a1" },
+      ],
+    });
+    expect(JSON.parse(response.content[0].text)[0].kind).toBe("Bucket");
+  });
+
+  test("should dry-run, confirm the diff and then apply", async () => {
+    mockInfluxRequest
+      .mockResolvedValueOnce(jsonResponse({ diff: DIFF }))
+      .mockResolvedValueOnce(jsonResponse({ stackID: "00000000000000s1", diff: DIFF }));
+    const confirm = jest.fn(async () => {});
+
+    const response = await applyTemplate({ template: TEMPLATE }, { confirm });
+
+    expect(response.isError).toBeUndefined();
+    const bodies = mockInfluxRequest.mock.calls.map(([, options]) => JSON.parse(options.body));
+    expect(bodies.map((body) => body.dryRun)).toEqual([true, false]);
+    expect(bodies[1]).toEqual({
+      orgID: "0123456789abcdef",
+      dryRun: false,
+      template: { contents: [JSON.parse(TEMPLATE)] },
+    });
+    expect(confirm.mock.calls[0][0]).toBe(
+      "Apply the template to organization 'test-org' as a new stack:\n\n" +
+        "create:\n- Bucket 'metrics'\n- Label 'prod' on buckets 'metrics'\n" +
+        "update:\n- Task 'rollup': every\ndelete:\n- Dashboard 'Old'\n" +
+        "unchanged: 1",
+    );
+    expect(JSON.parse(response.content[0].text).stackID).toBe("00000000000000s1");
+  });
+
+  test("should refuse templates that touch buckets hidden by the policy", async () => {
+    setPolicy({ deniedBuckets: ["metrics"] });
+    mockInfluxRequest.mockResolvedValueOnce(jsonResponse({ diff: DIFF }));
+    const confirm = jest.fn(async () => {});
+
+    const response = await applyTemplate({ template: TEMPLATE }, { confirm });
+
+    expect(response.content[0].text).toBe(
+      "Error applying template: Access to bucket 'metrics' is denied by policy",
+    );
+    expect(confirm).not.toHaveBeenCalled();
+    expect(mockInfluxRequest).toHaveBeenCalledTimes(1);
+  });
+
+  test("should check dashboard cell queries and refuse Telegraf configs under a policy", async () => {
+    setPolicy({ deniedBuckets: ["secrets"] });
+    const dashboardDiff = {
+      dashboards: [{
+        kind: "Dashboard",
+        stateStatus: "new",
+        new: {
+          name: "Leak",
+          charts: [{ properties: { queries: [{ text: 'from(bucket: "secrets")' }] } }],
+        },
+      }],
+    };
+    const fromSecrets = {
+      type: "Package",
+      files: [{
+        type: "File",
+        body: [{
+          type: "ExpressionStatement",
+          expression: {
+            type: "CallExpression",
+            callee: { type: "Identifier", name: "from" },
+            arguments: [{
+              type: "ObjectExpression",
+              properties: [{
+                type: "Property",
+                key: { type: "Identifier", name: "bucket" },
+                value: { type: "StringLiteral", value: "secrets" },
+              }],
+            }],
+          },
+        }],
+      }],
+    };
+    mockInfluxRequest
+      .mockResolvedValueOnce(jsonResponse({ diff: dashboardDiff }))
+      .mockResolvedValueOnce(jsonResponse({ ast: fromSecrets }));
+
+    let response = await applyTemplate({ template: TEMPLATE });
+    expect(response.content[0].text).toBe(
+      "Error applying template: Access to bucket 'secrets' is denied by policy",
+    );
+    expect(JSON.parse(mockInfluxRequest.mock.calls[1][1].body).query)
+      .toBe('from(bucket: "secrets")');
+
+    mockInfluxRequest.mockReset();
+    mockInfluxRequest.mockResolvedValueOnce(jsonResponse({
+      diff: {
+        telegrafConfigs: [{ kind: "Telegraf", stateStatus: "new", new: { name: "hosts" } }],
+      },
+    }));
+
+    response = await applyTemplate({ template: TEMPLATE });
+    expect(response.content[0].text).toBe(
+      "Error applying template: The template changes Telegraf configs (hosts), whose buckets the access policy cannot check; remove them from the template",
+    );
+    expect(mockInfluxRequest).toHaveBeenCalledTimes(1);
+  });
+
+  test("should check the queries of query variables", () => {
+    const variableDiff = {
+      variables: [
+        {
+          kind: "Variable",
+          stateStatus: "new",
+          new: {
+            name: "hosts",
+            args: {
+              type: "query",
+              values: { query: 'from(bucket: "secrets")', language: "flux" },
+            },
+          },
+        },
+        {
+          kind: "Variable",
+          stateStatus: "new",
+          new: { name: "env", args: { type: "constant", values: ["prod"] } },
+        },
+      ],
+    };
+
+    expect(diffQueries(variableDiff)).toEqual(['from(bucket: "secrets")']);
+  });
+
+  test("should refuse remote templates under a policy", async () => {
+    setPolicy({ deniedBuckets: ["secrets"] });
+    const confirm = jest.fn(async () => {});
+
+    let response = await applyTemplate(
+      { url: "https://example.com/template.yml" },
+      { confirm },
+    );
+    expect(response.content[0].text).toBe(
+      "Error applying template: Templates given by url cannot be checked against the access policy, as they are fetched again when applied; pass the template inline",
+    );
+    expect(mockInfluxRequest).not.toHaveBeenCalled();
+
+    mockInfluxRequest.mockResolvedValueOnce(jsonResponse({
+      id: "00000000000000s1",
+      events: [
+        { urls: [] },
+        { urls: ["https://example.com/template.yml"] },
+      ],
+    }));
+    response = await applyTemplate({ stack: "00000000000000s1" }, { confirm });
+    expect(response.content[0].text).toBe(
+      "Error applying template: Stack 00000000000000s1 applies templates from https://example.com/template.yml, which cannot be checked against the access policy, as they are fetched again when applied",
+    );
+    expect(mockInfluxRequest.mock.calls[0][0]).toBe("/api/v2/stacks/00000000000000s1");
+    expect(mockInfluxRequest).toHaveBeenCalledTimes(1);
+    expect(confirm).not.toHaveBeenCalled();
+  });
+
+  test("should ask for YAML templates by URL", async () => {
+    const response = await diffTemplate({ template: "kind: Bucket" });
+
+    expect(response.content[0].text).toMatch(
+      /^Error diffing template: template must be JSON \(.*\); pass YAML or Jsonnet templates by url$/,
+    );
+    expect(mockInfluxRequest).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,182 @@
+import { jest } from "@jest/globals";
+
+// Test timeout
+jest.setTimeout(10000);
+
+describe("Token Tools", () => {
+  let listTokens;
+  let createToken;
+  let setTokenStatus;
+  let deleteToken;
+  let setPolicy;
+  let mockInfluxRequest;
+
+  beforeAll(async () => {
+    // Mock the influxClient module before importing the handlers
+    jest.unstable_mockModule("../src/utils/influxClient.js", () => ({
+      influxRequest: jest.fn(),
+    }));
+
+    // Mock the env module
+    jest.unstable_mockModule("../src/config/env.js", () => ({
+      INFLUXDB_URL: "http://localhost:8086",
+      INFLUXDB_TOKEN: "test-token",
+      DEFAULT_ORG: "test-org",
+      validateEnvironment: () => {},
+    }));
+
+    // Resolve orgs without a lookup request
+    jest.unstable_mockModule("../src/utils/orgs.js", () => ({
+      resolveOrg: jest.fn(async (org) => ({
+        id: "0123456789abcdef",
+        name: org || "test-org",
+      })),
+      resolveOrgID: jest.fn(async () => "0123456789abcdef"),
+    }));
+
+    // Load the mocked client before the handlers so that modules importing
+    // it in parallel share one mock instance
+    const influxClient = await import("../src/utils/influxClient.js");
+    mockInfluxRequest = influxClient.influxRequest;
+
+    setPolicy = (await import("../src/utils/policy.js")).setPolicy;
+
+    const tokens = await import("../src/handlers/tokensTool.js");
+    listTokens = tokens.listTokens;
+    createToken = tokens.createToken;
+    setTokenStatus = tokens.setTokenStatus;
+    deleteToken = tokens.deleteToken;
+  });
+
+  beforeEach(() => {
+    mockInfluxRequest.mockReset();
+  });
+
+  afterEach(() => {
+    setPolicy({});
+  });
+
+  const jsonResponse = (body) => ({
+    status: 200,
+    ok: true,
+    json: async () => body,
+  });
+
+  const EXISTING = {
+    id: "auth1",
+    token: "existing-secret-token",
+    description: "telegraf",
+    status: "active",
+    org: "test-org",
+    orgID: "0123456789abcdef",
+    user: "admin",
+    userID: "user1",
+    permissions: [{
+      action: "write",
+      resource: { type: "buckets", id: "bucket123", name: "metrics", orgID: "0123456789abcdef" },
+    }],
+  };
+
+  test("should list tokens without their values", async () => {
+    mockInfluxRequest.mockResolvedValueOnce(jsonResponse({ authorizations: [EXISTING] }));
+
+    const response = await listTokens({ org: "test-org" });
+
+    expect(mockInfluxRequest.mock.calls[0][0]).toBe(
+      "/api/v2/authorizations?orgID=0123456789abcdef",
+    );
+    expect(response.content[0].text).not.toContain("existing-secret-token");
+    const { authorizations } = JSON.parse(response.content[0].text);
+    expect(authorizations[0]).toMatchObject({
+      id: "auth1",
+      description: "telegraf",
+      permissions: ["write buckets/metrics"],
+    });
+    expect(authorizations[0]).not.toHaveProperty("token");
+  });
+
+  test("should build bucket and org-wide permissions and show the new token once", async () => {
+    mockInfluxRequest
+      .mockResolvedValueOnce(jsonResponse({
+        buckets: [{ id: "bucket123", name: "metrics" }],
+      }))
+      .mockResolvedValueOnce(jsonResponse({
+        id: "auth2",
+        token: "new-secret-token",
+        permissions: [
+          { action: "write", resource: { type: "buckets", id: "bucket123", name: "metrics" } },
+          { action: "read", resource: { type: "tasks" } },
+        ],
+      }));
+
+    const response = await createToken({
+      description: "ingest",
+      writeBuckets: ["metrics"],
+      resources: [{ type: "tasks", action: "read" }],
+    });
+
+    expect(response.isError).toBeUndefined();
+    const [endpoint, options] = mockInfluxRequest.mock.calls[1];
+    expect(endpoint).toBe("/api/v2/authorizations");
+    expect(JSON.parse(options.body)).toEqual({
+      orgID: "0123456789abcdef",
+      description: "ingest",
+      permissions: [
+        {
+          action: "write",
+          resource: { type: "buckets", id: "bucket123", orgID: "0123456789abcdef", name: "metrics" },
+        },
+        { action: "read", resource: { type: "tasks", orgID: "0123456789abcdef" } },
+      ],
+    });
+    expect(response.content[0].text).toContain("Permissions: write buckets/metrics, read tasks");
+    expect(response.content[0].text).toContain("Token: new-secret-token");
+  });
+
+  test("should refuse tokens without permissions", async () => {
+    const response = await createToken({ description: "empty" });
+
+    expect(response.content[0].text).toBe(
+      "Error creating token: at least one permission is required",
+    );
+    expect(mockInfluxRequest).not.toHaveBeenCalled();
+  });
+
+  test("should refuse org-wide grants that bypass the access policy", async () => {
+    setPolicy({ deniedBuckets: ["secrets-*"] });
+
+    const response = await createToken({
+      description: "reader",
+      resources: [{ type: "buckets", action: "read" }],
+    });
+
+    expect(response.content[0].text).toBe(
+      "Error creating token: org-wide buckets access would bypass the access policy; name the buckets in readBuckets or writeBuckets instead",
+    );
+    expect(mockInfluxRequest).not.toHaveBeenCalled();
+  });
+
+  test("should describe the token in confirmations without its value", async () => {
+    mockInfluxRequest
+      .mockResolvedValueOnce(jsonResponse(EXISTING))
+      .mockResolvedValueOnce(jsonResponse({ ...EXISTING, status: "inactive" }))
+      .mockResolvedValueOnce(jsonResponse(EXISTING))
+      .mockResolvedValueOnce({ status: 204, ok: true });
+    const confirm = jest.fn(async () => {});
+
+    let response = await setTokenStatus({ id: "auth1", status: "inactive" }, { confirm });
+    expect(response.content[0].text).toBe("Token auth1 is now inactive");
+    expect(JSON.parse(mockInfluxRequest.mock.calls[1][1].body)).toEqual({ status: "inactive" });
+
+    response = await deleteToken({ id: "auth1" }, { confirm });
+    expect(response.content[0].text).toBe("Token auth1 ('telegraf') deleted successfully");
+    expect(mockInfluxRequest.mock.calls[3][1].method).toBe("DELETE");
+
+    expect(confirm.mock.calls[1][0]).toBe(
+      "Delete token auth1 ('telegraf', write buckets/metrics) in organization 'test-org'. Clients using it lose access immediately.",
+    );
+    for (const [summary] of confirm.mock.calls) {
+      expect(summary).not.toContain("existing-secret-token");
+    }
+  });
+});
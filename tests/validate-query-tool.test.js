@@ -0,0 +1,211 @@
+import { jest } from "@jest/globals";
+
+// Test timeout
+jest.setTimeout(10000);
+
+// AST for:
+//   import "experimental"
+//   from(bucket: "metrics")
+//     |> range(start: -1h)
+//     |> filter(fn: (r) => r._measurement == "cpu" and r["host"] == "a")
+//     |> experimental.to(bucket: params.target)
+const SAMPLE_AST = {
+  type: "Package",
+  package: "main",
+  files: [{
+    type: "File",
+    imports: [{ type: "ImportDeclaration", path: { type: "StringLiteral", value: "experimental" } }],
+    body: [{
+      type: "ExpressionStatement",
+      expression: {
+        type: "PipeExpression",
+        argument: {
+          type: "PipeExpression",
+          argument: {
+            type: "PipeExpression",
+            argument: {
+              type: "CallExpression",
+              callee: { type: "Identifier", name: "from" },
+              arguments: [{
+                type: "ObjectExpression",
+                properties: [{
+                  type: "Property",
+                  key: { type: "Identifier", name: "bucket" },
+                  value: { type: "StringLiteral", value: "metrics" },
+                }],
+              }],
+            },
+            call: {
+              type: "CallExpression",
+              callee: { type: "Identifier", name: "range" },
+              arguments: [{
+                type: "ObjectExpression",
+                properties: [{
+                  type: "Property",
+                  key: { type: "Identifier", name: "start" },
+                  value: {
+                    type: "UnaryExpression",
+                    operator: "-",
+                    argument: { type: "DurationLiteral", values: [{ magnitude: 1, unit: "h" }] },
+                  },
+                }],
+              }],
+            },
+          },
+          call: {
+            type: "CallExpression",
+            callee: { type: "Identifier", name: "filter" },
+            arguments: [{
+              type: "ObjectExpression",
+              properties: [{
+                type: "Property",
+                key: { type: "Identifier", name: "fn" },
+                value: {
+                  type: "FunctionExpression",
+                  params: [{ type: "Property", key: { type: "Identifier", name: "r" } }],
+                  body: {
+                    type: "LogicalExpression",
+                    operator: "and",
+                    left: {
+                      type: "BinaryExpression",
+                      operator: "==",
+                      left: {
+                        type: "MemberExpression",
+                        object: { type: "Identifier", name: "r" },
+                        property: { type: "Identifier", name: "_measurement" },
+                      },
+                      right: { type: "StringLiteral", value: "cpu" },
+                    },
+                    right: {
+                      type: "BinaryExpression",
+                      operator: "==",
+                      left: {
+                        type: "MemberExpression",
+                        object: { type: "Identifier", name: "r" },
+                        property: { type: "StringLiteral", value: "host" },
+                      },
+                      right: { type: "StringLiteral", value: "a" },
+                    },
+                  },
+                },
+              }],
+            }],
+          },
+        },
+        call: {
+          type: "CallExpression",
+          callee: {
+            type: "MemberExpression",
+            object: { type: "Identifier", name: "experimental" },
+            property: { type: "Identifier", name: "to" },
+          },
+          arguments: [{
+            type: "ObjectExpression",
+            properties: [{
+              type: "Property",
+              key: { type: "Identifier", name: "bucket" },
+              value: {
+                type: "MemberExpression",
+                object: { type: "Identifier", name: "params" },
+                property: { type: "Identifier", name: "target" },
+              },
+            }],
+          }],
+        },
+      },
+    }],
+  }],
+};
+
+describe("Validate Query Tool", () => {
+  let validateQuery;
+  let findReferences;
+  let mockInfluxRequest;
+
+  beforeAll(async () => {
+    // Mock the influxClient module before importing the handler
+    jest.unstable_mockModule("../src/utils/influxClient.js", () => ({
+      influxRequest: jest.fn(),
+    }));
+
+    const validateQueryHandler = await import(
+      "../src/handlers/validateQueryTool.js"
+    );
+    validateQuery = validateQueryHandler.validateQuery;
+
+    const fluxAst = await import("../src/utils/fluxAst.js");
+    findReferences = fluxAst.findReferences;
+
+    const influxClient = await import("../src/utils/influxClient.js");
+    mockInfluxRequest = influxClient.influxRequest;
+  });
+
+  beforeEach(() => {
+    mockInfluxRequest.mockReset();
+  });
+
+  const jsonResponse = (body) => ({
+    status: 200,
+    ok: true,
+    json: async () => body,
+  });
+
+  test("should find buckets, measurements and functions in the AST", () => {
+    expect(findReferences(SAMPLE_AST)).toEqual({
+      buckets: ["metrics"],
+      bucketIDs: [],
+      measurements: ["cpu"],
+      functions: ["experimental.to", "filter", "from", "range"],
+      dynamicBuckets: 1,
+    });
+
+    // Supplied params resolve otherwise dynamic arguments
+    expect(findReferences(SAMPLE_AST, { target: "archive" }).buckets).toEqual([
+      "metrics",
+      "archive",
+    ]);
+  });
+
+  test("should report a valid query with its references", async () => {
+    mockInfluxRequest
+      .mockResolvedValueOnce(jsonResponse({ errors: [] }))
+      .mockResolvedValueOnce(jsonResponse({ ast: SAMPLE_AST }));
+
+    const response = await validateQuery({ query: "from(...)" });
+    const result = JSON.parse(response.content[0].text);
+
+    expect(mockInfluxRequest.mock.calls[0][0]).toBe("/api/v2/query/analyze");
+    expect(mockInfluxRequest.mock.calls[1][0]).toBe("/api/v2/query/ast");
+    expect(result.valid).toBe(true);
+    expect(result.references.buckets).toEqual(["metrics"]);
+    expect(result.references.functions).toContain("experimental.to");
+  });
+
+  test("should report errors with positions", async () => {
+    mockInfluxRequest
+      .mockResolvedValueOnce(jsonResponse({
+        errors: [{
+          line: 2,
+          column: 6,
+          character: 30,
+          message: "expected RPAREN, got EOF",
+        }],
+      }))
+      .mockRejectedValueOnce(new Error("InfluxDB API Error (400): parse error"));
+
+    const response = await validateQuery({ query: "from(bucket: \"x\"\n  |> range(" });
+    const result = JSON.parse(response.content[0].text);
+
+    expect(response.isError).toBeUndefined();
+    expect(result).toEqual({
+      valid: false,
+      errors: [{
+        line: 2,
+        column: 6,
+        character: 30,
+        message: "expected RPAREN, got EOF",
+      }],
+      references: null,
+    });
+  });
+});